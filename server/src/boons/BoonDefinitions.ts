@@ -0,0 +1,165 @@
+// server/src/boons/BoonDefinitions.ts
+// Boon catalogue. Each boon is plain data: where it drops, how it stacks,
+// which stats it modifies per stack, and optional hooks the server calls when
+// shooting, moving, dealing/taking damage or dying.
+
+import type { Player } from '../game_server';
+
+export type Rarity = 'common' | 'rare' | 'epic' | 'legendary';
+
+// A boon held by a player; one entry per stack. `data` carries per-instance
+// state (cooldowns) and stays on the wire for older clients.
+export interface Boon {
+  type: string;
+  rarity: Rarity;
+  data: { rarity: Rarity; [key: string]: any };
+}
+
+// Modifiers applied once per stack. Multipliers compound, the rest add up.
+export interface BoonStats {
+  damageMultiplier?: number;
+  monsterDamageMultiplier?: number;
+  speedMultiplier?: number;
+  maxHpBonus?: number;
+  pierce?: number; // Extra targets a projectile passes through
+  lifesteal?: number; // Fraction of damage dealt healed back
+}
+
+export interface BoonHookHost {
+  readonly state: { players: { [playerId: string]: Player } };
+  respawnPlayer(playerId: string): void;
+  transferBoon(from: Player, to: Player, index: number): void;
+}
+
+export interface ShotContext {
+  player: Player;
+  shots: Array<{ angle: number; damage: number }>; // Hooks may add or change shots
+}
+
+export interface MoveContext {
+  player: Player;
+  sprinting: boolean;
+  speed: number; // Hooks may scale it
+}
+
+export interface DamageContext {
+  attacker: Player | null;
+  victim: Player;
+  damage: number; // onHurt hooks may reduce it
+  now: number; // Date.now()
+}
+
+export interface BoonHooks {
+  onShoot?(boon: Boon, ctx: ShotContext): void;
+  onMove?(boon: Boon, ctx: MoveContext): void;
+  onHit?(boon: Boon, ctx: DamageContext, game: BoonHookHost): void; // Holder dealt damage
+  onHurt?(boon: Boon, ctx: DamageContext, game: BoonHookHost): void; // Holder is about to take damage
+  onDeath?(boon: Boon, ctx: DamageContext, game: BoonHookHost): boolean; // Return true to cancel the death
+}
+
+export interface BoonDefinition {
+  type: string;
+  rarity: Rarity;
+  maxStacks: number;
+  stats?: BoonStats;
+  hooks?: BoonHooks;
+}
+
+// Chance for a chest to roll each rarity (checked rarest first, else common)
+export const CHEST_RARITY_CHANCES: Array<{ rarity: Rarity; chance: number }> = [
+  { rarity: 'legendary', chance: 0.005 },
+  { rarity: 'epic', chance: 0.02 },
+  { rarity: 'rare', chance: 0.1 },
+];
+
+export const SLOW_DURATION = 2.0; // seconds
+export const SLOW_MULTIPLIER = 0.6;
+
+export const BOON_DEFINITIONS: BoonDefinition[] = [
+  // --- Common ---
+  { type: 'damage_boost', rarity: 'common', maxStacks: 3, stats: { damageMultiplier: 1.5 } },
+  { type: 'speed_boost', rarity: 'common', maxStacks: 3, stats: { speedMultiplier: 1.15 } },
+  { type: 'hp_boost', rarity: 'common', maxStacks: 4, stats: { maxHpBonus: 25 } },
+
+  // --- Rare ---
+  {
+    type: 'triple_shot',
+    rarity: 'rare',
+    maxStacks: 1,
+    hooks: {
+      onShoot(_boon, ctx) {
+        const main = ctx.shots[0];
+        const spread = 0.2; // radians either side
+        ctx.shots.push({ angle: main.angle - spread, damage: main.damage });
+        ctx.shots.push({ angle: main.angle + spread, damage: main.damage });
+      },
+    },
+  },
+  { type: 'piercing', rarity: 'rare', maxStacks: 2, stats: { pierce: 1 } },
+  { type: 'lifesteal', rarity: 'rare', maxStacks: 3, stats: { lifesteal: 0.2 } },
+
+  // --- Epic ---
+  {
+    type: 'dash',
+    rarity: 'epic',
+    maxStacks: 1,
+    hooks: {
+      onMove(_boon, ctx) {
+        if (ctx.sprinting) ctx.speed *= 1.4;
+      },
+    },
+  },
+  {
+    type: 'shield',
+    rarity: 'epic',
+    maxStacks: 1,
+    hooks: {
+      // Blocks one hit completely, recharges after 10 seconds
+      onHurt(boon, ctx) {
+        if ((boon.data.readyAt || 0) > ctx.now) return;
+        ctx.damage = 0;
+        boon.data.readyAt = ctx.now + 10000;
+      },
+    },
+  },
+  {
+    type: 'slow_enemies',
+    rarity: 'epic',
+    maxStacks: 1,
+    hooks: {
+      onHit(_boon, ctx) {
+        ctx.victim.slowTimer = SLOW_DURATION;
+      },
+    },
+  },
+
+  // --- Legendary ---
+  {
+    type: 'teleport',
+    rarity: 'legendary',
+    maxStacks: 1,
+    hooks: {
+      // Cheat death: blink to a random spot instead, once every 2 minutes
+      onDeath(boon, ctx, game) {
+        if ((boon.data.readyAt || 0) > ctx.now) return false;
+        boon.data.readyAt = ctx.now + 120000;
+        game.respawnPlayer(ctx.victim.id);
+        return true;
+      },
+    },
+  },
+  {
+    type: 'steal_on_hit',
+    rarity: 'legendary',
+    maxStacks: 1,
+    hooks: {
+      // 10% chance per hit to take one random boon from the victim
+      onHit(_boon, ctx, game) {
+        if (!ctx.attacker || ctx.victim.boons.length === 0 || Math.random() >= 0.1) return;
+        const index = Math.floor(Math.random() * ctx.victim.boons.length);
+        game.transferBoon(ctx.victim, ctx.attacker, index);
+      },
+    },
+  },
+  { type: 'boss_damage', rarity: 'legendary', maxStacks: 1, stats: { monsterDamageMultiplier: 2.0 } },
+];
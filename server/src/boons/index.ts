@@ -0,0 +1,103 @@
+// server/src/boons/index.ts
+// Resolves the boon catalogue against what a player holds
+
+import type { Player } from '../game_server';
+import {
+  Boon,
+  BoonDefinition,
+  BoonHooks,
+  BOON_DEFINITIONS,
+  CHEST_RARITY_CHANCES,
+  Rarity,
+} from './BoonDefinitions';
+
+export * from './BoonDefinitions';
+
+export const BASE_MAX_HP = 100;
+
+const DEFINITIONS_BY_TYPE: { [type: string]: BoonDefinition } = {};
+for (const def of BOON_DEFINITIONS) {
+  DEFINITIONS_BY_TYPE[def.type] = def;
+}
+
+// Aggregated effect of every boon stack a player holds
+export interface ResolvedStats {
+  damageMultiplier: number;
+  monsterDamageMultiplier: number;
+  speedMultiplier: number;
+  maxHp: number;
+  pierce: number;
+  lifesteal: number;
+}
+
+export function getBoonDefinition(type: string): BoonDefinition | null {
+  return DEFINITIONS_BY_TYPE[type] || null;
+}
+
+export function rollChestRarity(): Rarity {
+  for (const { rarity, chance } of CHEST_RARITY_CHANCES) {
+    if (Math.random() < chance) return rarity;
+  }
+  return 'common';
+}
+
+export function countStacks(player: Player, type: string): number {
+  let count = 0;
+  for (const boon of player.boons) {
+    if (boon.type === type) count++;
+  }
+  return count;
+}
+
+export function canHoldMore(player: Player, type: string): boolean {
+  const def = getBoonDefinition(type);
+  return !!def && countStacks(player, type) < def.maxStacks;
+}
+
+export function createBoon(def: BoonDefinition): Boon {
+  return { type: def.type, rarity: def.rarity, data: { rarity: def.rarity } };
+}
+
+// Random boon of the given rarity that the player (if any) can still stack,
+// or null if they've maxed out every boon of that rarity
+export function rollBoon(rarity: Rarity, player: Player | null = null): Boon | null {
+  const pool = BOON_DEFINITIONS.filter(def => def.rarity === rarity && (!player || canHoldMore(player, def.type)));
+  if (pool.length === 0) return null;
+  return createBoon(pool[Math.floor(Math.random() * pool.length)]);
+}
+
+export function resolveStats(player: Player): ResolvedStats {
+  const stats: ResolvedStats = {
+    damageMultiplier: 1,
+    monsterDamageMultiplier: 1,
+    speedMultiplier: 1,
+    maxHp: BASE_MAX_HP,
+    pierce: 0,
+    lifesteal: 0,
+  };
+
+  for (const boon of player.boons) {
+    const mods = getBoonDefinition(boon.type)?.stats;
+    if (!mods) continue;
+    if (mods.damageMultiplier) stats.damageMultiplier *= mods.damageMultiplier;
+    if (mods.monsterDamageMultiplier) stats.monsterDamageMultiplier *= mods.monsterDamageMultiplier;
+    if (mods.speedMultiplier) stats.speedMultiplier *= mods.speedMultiplier;
+    if (mods.maxHpBonus) stats.maxHp += mods.maxHpBonus;
+    if (mods.pierce) stats.pierce += mods.pierce;
+    if (mods.lifesteal) stats.lifesteal += mods.lifesteal;
+  }
+  return stats;
+}
+
+// Call `name` on every boon the player holds that defines it
+export function forEachHook<K extends keyof BoonHooks>(
+  player: Player,
+  name: K,
+  call: (hook: NonNullable<BoonHooks[K]>, boon: Boon) => void
+): void {
+  // Copy: hooks may move boons between players
+  for (const boon of [...player.boons]) {
+    const hook = getBoonDefinition(boon.type)?.hooks?.[name];
+    if (hook) call(hook as NonNullable<BoonHooks[K]>, boon);
+  }
+}
@@ -2,14 +2,14 @@
 // Server-authoritative game server for Boon Snatch
 // Always running, manages extraction cycles, authoritative for all game state
 
-interface Player {
+export interface Player {
   id: string;
   x: number;
   y: number;
   direction: string;
   hp: number;
   maxHp: number;
-  boons: any[];
+  boons: Boon[];
   kills: number;
   deaths: number;
   invulnerable: boolean;
@@ -18,9 +18,10 @@ interface Player {
   skin?: string;
   sprinting?: boolean;
   lastProcessedSeq?: number;
+  slowTimer?: number; // seconds left of slow_enemies
 }
 
-interface Projectile {
+export interface Projectile {
   id: string;
   x: number;
   y: number;
@@ -29,18 +30,20 @@ interface Projectile {
   ownerId: string;
   damage: number;
   lifetime: number;
+  rewindMs: number; // How far back in time hits are checked (shooter's view lag)
+  pierce: number; // Targets it can still pass through before it's used up
 }
 
-interface Chest {
+export interface Chest {
   id: string;
   x: number;
   y: number;
   opened: boolean;
   respawnTimer: number;
-  rarity: string;
+  rarity: Rarity;
 }
 
-interface NPC {
+export interface NPC {
   id: string;
   x: number;
   y: number;
@@ -49,7 +52,7 @@ interface NPC {
   dialogue: string[];
 }
 
-interface Animal {
+export interface Animal {
   id: string;
   x: number;
   y: number;
@@ -63,19 +66,62 @@ interface Animal {
   groupRadius: number;
 }
 
-interface Pet {
+export interface Pet {
   x: number;
   y: number;
   monster?: string;
 }
 
-interface GameState {
+// A boon lying in the world (dropped by a monster); walk over it to pick it up
+export interface Drop {
+  id: string;
+  x: number;
+  y: number;
+  boon: Boon;
+  lifetime: number; // seconds until it vanishes
+}
+
+// What a client receives every broadcast (globals plus the entities it can see)
+export interface StateSnapshot {
+  players: { [playerId: string]: Player };
+  pets: { [playerId: string]: Pet };
+  projectiles: { [projId: string]: Projectile };
+  chests: { [chestId: string]: Chest };
+  npcs: { [npcId: string]: NPC };
+  animals: { [animalId: string]: Animal };
+  monsters: { [monsterId: string]: Monster };
+  drops: { [dropId: string]: Drop };
+  cycleTimeRemaining: number;
+  cycleDuration: number;
+  deadlyEventActive: boolean;
+  extractionZones: Array<{ x: number; y: number; radius: number }>;
+}
+
+// Everything needed to bring a room back after a restart. Players who were
+// connected come back parked until someone rejoins as them.
+export interface GameServerSnapshot {
+  seed: number;
+  worldWidth: number;
+  worldHeight: number;
+  mode: string;
+  cycleElapsed: number; // ms into the cycle; downtime doesn't count
+  players: Player[];
+  pets: { [playerId: string]: Pet };
+  chests: { [chestId: string]: Chest };
+  nextChestId: number;
+  environment?: EnvironmentSnapshot; // Missing in snapshots from before day/night
+  cycleDuration?: number; // Only when changed from the mode's default
+}
+
+export interface GameState {
   players: { [playerId: string]: Player };
   pets: { [playerId: string]: Pet }; // One pet per player
   projectiles: { [projId: string]: Projectile };
   chests: { [chestId: string]: Chest };
   npcs: { [npcId: string]: NPC };
   animals: { [animalId: string]: Animal };
+  monsters: { [monsterId: string]: Monster }; // Alive monsters, owned by MonsterManager
+  drops: { [dropId: string]: Drop };
   cycleStartTime: number;
   cycleDuration: number; // 20 minutes in milliseconds
   cycleTimeRemaining: number; // milliseconds
@@ -86,22 +132,73 @@ interface GameState {
 import { ChunkManager, ChunkData } from './world/ChunkManager';
 import { WorldGenerator } from './world/WorldGenerator';
 import { AnimalManager } from './world/AnimalManager';
+import { Monster, MonsterManager } from './world/MonsterManager';
+import { Environment, EnvironmentSnapshot, EnvironmentState } from './world/Environment';
+import { CollisionMasks } from './world/CollisionMasks';
+import { Obstacles } from './world/Obstacles';
 import { SpatialGrid } from './world/SpatialGrid';
+import { PositionHistory } from './world/PositionHistory';
+import { InputGuard } from './world/InputGuard';
+import { DurationSummary } from './metrics';
+import { GameMode, GameModeHost, createGameMode } from './modes';
+import {
+  Boon,
+  BoonHookHost,
+  DamageContext,
+  MoveContext,
+  Rarity,
+  ShotContext,
+  SLOW_MULTIPLIER,
+  BASE_MAX_HP,
+  canHoldMore,
+  forEachHook,
+  resolveStats,
+  rollBoon,
+  rollChestRarity,
+} from './boons';
+
+export interface GameServerOptions {
+  mode?: GameMode; // Defaults to Boon Snatch
+  seed?: number; // World generation seed
+  worldWidth?: number; // pixels
+  worldHeight?: number;
+  collisionMasks?: CollisionMasks; // Defaults to server/collision-masks.json
+}
 
-export class GameServer {
-  private state: GameState;
-  // Match client world size: 2,500x2,500 pixels (smaller for MIYO optimization)
-  private worldWidth: number = 2500;
-  private worldHeight: number = 2500;
+export const DEFAULT_WORLD_SEED = 12345;
+// Match client world size: 2,500x2,500 pixels (smaller for MIYO optimization)
+export const DEFAULT_WORLD_SIZE = 2500;
+
+export class GameServer implements GameModeHost, BoonHookHost {
+  readonly state: GameState;
+  readonly mode: GameMode;
+  readonly worldWidth: number;
+  readonly worldHeight: number;
+  readonly seed: number;
+  readonly environment: Environment = new Environment(); // Time of day and weather
+  readonly inputGuard: InputGuard = new InputGuard(); // Fire rate, movement time and violation counts
+  readonly tickDurations: DurationSummary = new DurationSummary(); // Seconds spent in update(), for /metrics
+  tickOverruns: number = 0; // Ticks that took longer than the tick interval
   private nextProjectileId: number = 1;
   private nextChestId: number = 1;
+  private nextDropId: number = 1;
   private lastUpdate: number = Date.now();
   private updateInterval: NodeJS.Timeout | null = null;
-  private readonly CYCLE_DURATION = 20 * 60 * 1000; // 20 minutes in milliseconds
+  private cycleEnded: boolean = false; // mode.onCycleEnd already ran for this cycle
   private readonly UPDATE_RATE = 1 / 60; // 60 updates per second
   private readonly PROJECTILE_SPEED = 400; // pixels per second
   private readonly PROJECTILE_DAMAGE = 10;
   private readonly PROJECTILE_LIFETIME = 3.0; // seconds
+  private readonly VIEW_DISTANCE_CELLS = 2; // Interest radius in spatial grid cells (512px each)
+  private readonly LOW_VISIBILITY_VIEW_DISTANCE_CELLS = 1; // At night or in fog
+  private readonly CLIENT_INTERPOLATION_MS = 100; // Remote players render this far behind (remote_player.lua)
+  private readonly MAX_LAG_COMPENSATION_MS = 250; // Rewind cap so high ping can't reach further into the past
+  private readonly DROP_LIFETIME = 60.0; // seconds
+  private readonly DROP_PICKUP_RANGE = 16;
+  private readonly FOOT_OFFSET_X = 8; // Entities collide with a small circle at their feet
+  private readonly FOOT_OFFSET_Y = 14;
+  private readonly FOOT_RADIUS = 2;
+  private readonly PROJECTILE_RADIUS = 2;
   private readonly MONSTER_SPRITES = [
     "Blinded Grimlock",
     "Bloodshot Eye",
@@ -121,11 +218,21 @@ export class GameServer {
   ];
 
   private chunkManager: ChunkManager;
+  private obstacles: Obstacles;
   private animalManager: AnimalManager | null = null;
+  private monsterManager: MonsterManager;
   private spatialGrid: SpatialGrid;
-
-  constructor() {
+  private positionHistory: PositionHistory;
+  private projectileHits: Map<string, Set<string>> = new Map(); // Targets each piercing projectile already hit
+  private parkedPlayers: Map<string, { player: Player; pet: Pet | undefined }> = new Map(); // Restored or dropped, not rejoined yet
+
+  constructor(options: GameServerOptions = {}) {
+    this.mode = options.mode || createGameMode();
+    this.seed = options.seed ?? DEFAULT_WORLD_SEED;
+    this.worldWidth = options.worldWidth ?? DEFAULT_WORLD_SIZE;
+    this.worldHeight = options.worldHeight ?? DEFAULT_WORLD_SIZE;
     this.spatialGrid = new SpatialGrid(512); // Grid cell size 512px
+    this.positionHistory = new PositionHistory(1000); // Must cover MAX_LAG_COMPENSATION_MS
     this.state = {
       players: {},
       pets: {}, // Initialize empty pets object
@@ -133,26 +240,40 @@ export class GameServer {
       chests: {},
       npcs: {},
       animals: {},
+      monsters: {},
+      drops: {},
       cycleStartTime: Date.now(),
-      cycleDuration: this.CYCLE_DURATION,
-      cycleTimeRemaining: this.CYCLE_DURATION,
-      extractionZones: [
-        { x: 250, y: 250, radius: 50 }, // Top-left
-        { x: 2250, y: 250, radius: 50 }, // Top-right
-        { x: 250, y: 2250, radius: 50 }, // Bottom-left
-        { x: 2250, y: 2250, radius: 50 }, // Bottom-right
-      ],
+      cycleDuration: this.mode.cycleDuration,
+      cycleTimeRemaining: this.mode.cycleDuration,
+      extractionZones: [], // Set by the mode
       deadlyEventActive: false,
     };
 
     // Initialize World Generation
     this.chunkManager = new ChunkManager(this.worldWidth, this.worldHeight);
-    const worldGen = new WorldGenerator(this.chunkManager, 12345); // Fixed seed for now
+    const worldGen = new WorldGenerator(this.chunkManager, this.seed);
     worldGen.generate();
+    this.obstacles = new Obstacles(
+      this.chunkManager,
+      options.collisionMasks || CollisionMasks.load(),
+      () => Object.values(this.state.npcs),
+    );
 
     // Create Animals
     this.animalManager = worldGen.getAnimalManager();
     if (this.animalManager) {
+      // Let animals see players and bite the ones that provoke them
+      this.animalManager.setSenses({
+        grid: this.spatialGrid,
+        players: () => this.state.players,
+        attack: (_animal, playerId, damage) => {
+          const player = this.state.players[playerId];
+          if (player && !player.invulnerable && this.mode.canDamage(this, null, player)) {
+            this.damagePlayer(null, player, damage);
+          }
+        },
+        isNight: () => this.environment.isNight(),
+      });
       const animals = this.animalManager.getAnimals();
       for (const animalId in animals) {
         const animal = animals[animalId];
@@ -161,8 +282,23 @@ export class GameServer {
       }
     }
 
-    // Spawn initial chests
-    this.spawnInitialChests(10);
+    // Monster camps spawn as players come near them
+    this.monsterManager = new MonsterManager(this.seed, {
+      targets: () => Object.values(this.state.players).filter(player =>
+        !player.invulnerable && !player.extracted && this.mode.canDamage(this, null, player)),
+      canMoveTo: (x, y) => this.canMoveTo(x, y),
+      isWaterTile: (tx, ty) => this.chunkManager.isWaterTile(tx, ty),
+      attack: (_monster, playerId, damage) => {
+        const player = this.state.players[playerId];
+        if (player) this.damagePlayer(null, player, damage);
+      },
+      isStorm: () => this.environment.getWeather() === 'storm',
+    }, this.worldWidth, this.worldHeight);
+    this.state.monsters = this.monsterManager.getMonsters();
+
+    // Mode sets up its rules (extraction zones, initial chests, ...)
+    this.mode.onInit(this);
+    console.log(`[GameServer] Game mode: ${this.mode.id}`);
 
     // Create NPCs
     this.createNPCs();
@@ -188,10 +324,13 @@ export class GameServer {
       timestamp: Date.now()
     };
 
-    // Get all chunks from chunk manager
-    const allChunks = this.chunkManager.getAllChunks();
-    for (const [chunkKey, chunkData] of Object.entries(allChunks)) {
-      worldData.chunks[chunkKey] = chunkData;
+    // Every chunk in the world; forces generation of any not requested yet
+    const size = this.chunkManager.CHUNK_SIZE;
+    for (let cy = 0; cy * size < this.worldHeight; cy++) {
+      for (let cx = 0; cx * size < this.worldWidth; cx++) {
+        const chunkData = this.chunkManager.getChunk(cx, cy);
+        if (chunkData) worldData.chunks[`${cx},${cy}`] = chunkData;
+      }
     }
 
     console.log(`[GameServer] World data prepared: ${Object.keys(worldData.chunks).length} chunks, ${worldData.npcs.length} NPCs, ${worldData.animals.length} animals`);
@@ -204,7 +343,11 @@ export class GameServer {
       const dt = (now - this.lastUpdate) / 1000; // Convert to seconds
       this.lastUpdate = now;
 
+      const started = performance.now();
       this.update(dt);
+      const seconds = (performance.now() - started) / 1000;
+      this.tickDurations.observe(seconds);
+      if (seconds > this.UPDATE_RATE) this.tickOverruns++;
     };
 
     // Run at 60 FPS
@@ -216,72 +359,88 @@ export class GameServer {
     const elapsed = Date.now() - this.state.cycleStartTime;
     this.state.cycleTimeRemaining = Math.max(0, this.state.cycleDuration - elapsed);
 
-    // Check if cycle ended (deadly event)
-    if (this.state.cycleTimeRemaining <= 0 && !this.state.deadlyEventActive) {
-      this.triggerDeadlyEvent();
+    // Check if cycle ended (Boon Snatch: deadly event)
+    if (this.state.cycleTimeRemaining <= 0 && !this.cycleEnded) {
+      this.endCycle();
+    }
+
+    if (this.environment.update(dt)) {
+      console.log(`[GameServer] Weather changed to ${this.environment.getWeather()}`);
     }
 
     // Update animals
     if (this.animalManager) {
-      this.animalManager.update(dt);
-      // Sync animal state from manager to game state
-      const animals = this.animalManager.getAnimals();
-      for (const animalId in animals) {
-        const animal = animals[animalId];
-        if (this.state.animals[animalId]) {
-          this.state.animals[animalId].x = animal.x;
-          this.state.animals[animalId].y = animal.y;
-          this.state.animals[animalId].state = animal.state;
-          this.state.animals[animalId].direction = animal.direction;
-
-          this.spatialGrid.updateEntity(animalId, animal.x, animal.y);
+      // Sync the ones that were simulated from manager to game state
+      for (const animal of this.animalManager.update(dt)) {
+        const synced = this.state.animals[animal.id];
+        if (!synced) continue;
+        synced.state = animal.state;
+        synced.direction = animal.direction;
+        if (synced.x !== animal.x || synced.y !== animal.y) {
+          synced.x = animal.x;
+          synced.y = animal.y;
+          this.spatialGrid.updateEntity(animal.id, animal.x, animal.y);
         }
       }
     }
 
+    // Update monsters (killed ones leave the grid in damageMonster)
+    for (const monsterId of this.monsterManager.update(dt)) {
+      this.spatialGrid.removeEntity(monsterId);
+    }
+    for (const monster of this.monsterManager.takeMoved()) {
+      this.spatialGrid.updateEntity(monster.id, monster.x, monster.y);
+    }
+
+    // Remember where everyone is for lag-compensated hit checks
+    const now = Date.now();
+    for (const playerId in this.state.players) {
+      const player = this.state.players[playerId];
+      this.positionHistory.record(playerId, player.x, player.y, now);
+    }
+
     // Update game state
     this.updateProjectiles(dt);
     this.updateChests(dt);
+    this.updateDrops(dt);
     this.updatePlayerInvulnerability(dt);
+    this.updateStatusEffects(dt);
     this.updatePets(dt); // Update pets to follow owners
-  }
-
-  private triggerDeadlyEvent(): void {
-    console.log('[GameServer] Deadly event triggered - killing all players');
-    this.state.deadlyEventActive = true;
 
-    // Kill all non-extracted players
-    for (const playerId in this.state.players) {
-      const player = this.state.players[playerId];
-      if (!player.extracted) {
-        player.hp = 0;
-        player.deaths++;
-      }
-    }
+    this.mode.onTick(this, dt);
+  }
 
-    // Reset cycle after a short delay (5 seconds)
-    setTimeout(() => {
-      this.resetCycle();
-    }, 5000);
+  // End the current cycle now and let the mode decide what that means
+  endCycle(): void {
+    this.cycleEnded = true;
+    this.mode.onCycleEnd(this);
   }
 
-  private resetCycle(): void {
+  resetCycle(): void {
     console.log('[GameServer] Resetting extraction cycle');
     this.state.cycleStartTime = Date.now();
     this.state.cycleTimeRemaining = this.state.cycleDuration;
     this.state.deadlyEventActive = false;
+    this.cycleEnded = false;
 
-    // Respawn all players
-    for (const playerId in this.state.players) {
-      const player = this.state.players[playerId];
-      this.respawnPlayer(playerId);
-    }
+    this.mode.onCycleStart(this);
+  }
 
-    // Respawn chests
-    this.spawnInitialChests(10);
+  // Change how long cycles last; the running cycle keeps its start time, so it
+  // ends on the next tick if it has already run longer than that
+  setCycleDuration(durationMs: number): void {
+    this.state.cycleDuration = durationMs;
+    this.state.cycleTimeRemaining = Math.max(0, durationMs - (Date.now() - this.state.cycleStartTime));
+    console.log(`[GameServer] Cycle duration set to ${Math.round(durationMs / 1000)}s`);
   }
 
   addPlayer(playerId: string, x?: number, y?: number): void {
+    const parked = this.parkedPlayers.get(playerId);
+    if (parked) {
+      this.resumePlayer(playerId, parked.player, parked.pet);
+      return;
+    }
+
     let spawnX: number;
     let spawnY: number;
 
@@ -336,8 +495,8 @@ export class GameServer {
       x: spawnX,
       y: spawnY,
       direction: 'down',
-      hp: 100,
-      maxHp: 100,
+      hp: BASE_MAX_HP,
+      maxHp: BASE_MAX_HP,
       boons: [],
       kills: 0,
       deaths: 0,
@@ -355,35 +514,110 @@ export class GameServer {
     };
 
     this.spatialGrid.updateEntity(playerId, spawnX, spawnY);
+    this.mode.onPlayerJoin(this, this.state.players[playerId]);
 
     console.log(`[GameServer] Player ${playerId} added at (${spawnX}, ${spawnY}) with pet`);
   }
 
+  // Parked players still waiting for their clients, oldest first
+  parkedPlayerIds(): string[] {
+    return Array.from(this.parkedPlayers.keys());
+  }
+
+  isParked(playerId: string): boolean {
+    return this.parkedPlayers.has(playerId);
+  }
+
+  // Take a disconnected player out of the world but keep everything about
+  // them; addPlayer with the same id puts them back
+  parkPlayer(playerId: string): void {
+    const player = this.state.players[playerId];
+    if (!player) return;
+    this.parkedPlayers.set(playerId, { player, pet: this.state.pets[playerId] });
+    this.detachPlayer(playerId);
+    console.log(`[GameServer] Player ${playerId} parked`);
+  }
+
+  // A parked player whose client never came back
+  dropParkedPlayer(playerId: string): void {
+    if (this.parkedPlayers.delete(playerId)) {
+      this.inputGuard.forget(playerId);
+      console.log(`[GameServer] Parked player ${playerId} dropped`);
+    }
+  }
+
+  private resumePlayer(playerId: string, player: Player, pet: Pet | undefined): void {
+    this.parkedPlayers.delete(playerId);
+    // The new client numbers its inputs from scratch
+    player.lastProcessedSeq = undefined;
+    player.sprinting = false;
+
+    this.state.players[playerId] = player;
+    this.state.pets[playerId] = pet || { x: player.x, y: player.y };
+    this.spatialGrid.updateEntity(playerId, player.x, player.y);
+    this.mode.onPlayerJoin(this, player);
+
+    console.log(`[GameServer] Player ${playerId} resumed at (${player.x}, ${player.y}) with ${player.boons.length} boons`);
+  }
+
   removePlayer(playerId: string): void {
+    this.detachPlayer(playerId);
+    this.inputGuard.forget(playerId);
+    console.log(`[GameServer] Player ${playerId} removed`);
+  }
+
+  private detachPlayer(playerId: string): void {
+    const player = this.state.players[playerId];
+    if (player) this.mode.onPlayerLeave(this, player);
     delete this.state.players[playerId];
     delete this.state.pets[playerId]; // Remove pet too
     this.spatialGrid.removeEntity(playerId);
-    console.log(`[GameServer] Player ${playerId} removed`);
+    this.positionHistory.clear(playerId);
   }
 
   updatePlayerPosition(playerId: string, direction: string, batch: { dx: number, dy: number, sprinting: boolean, dt: number, seq: number }[]): void {
     const player = this.state.players[playerId];
     if (!player || batch.length === 0) return;
 
+    const stats = resolveStats(player);
+    const now = Date.now();
+    let requestedTime = 0;
+    let grantedTime = 0;
+    let oversized = 0;
     for (const input of batch) {
       // Skip already processed inputs
       if (player.lastProcessedSeq !== undefined && input.seq <= player.lastProcessedSeq) {
         continue;
       }
 
-      const speed = 60 * (input.sprinting ? 1.5 : 1.0);
-      const dt = Math.min(input.dt, 0.1); // Clamp dt for safety
-
-      const newX = player.x + input.dx * speed * dt;
-      const newY = player.y + input.dy * speed * dt;
+      // Direction is at most a unit vector; a longer one is a speed hack
+      let { dx, dy } = input;
+      const length = Math.hypot(dx, dy);
+      if (length > 1.01) {
+        dx /= length;
+        dy /= length;
+        oversized = Math.max(oversized, length);
+      }
 
-      // Validate move
-      if (this.canMoveTo(newX, newY)) {
+      const move: MoveContext = {
+        player,
+        sprinting: input.sprinting,
+        speed: 60 * (input.sprinting ? 1.5 : 1.0) * stats.speedMultiplier,
+      };
+      if (player.slowTimer) move.speed *= SLOW_MULTIPLIER;
+      forEachHook(player, 'onMove', (hook, boon) => hook(boon, move));
+      const speed = move.speed;
+      const requested = Math.max(0, Math.min(input.dt, 0.1)); // Clamp dt for safety
+      // Together the inputs can't cover more time than really passed
+      const dt = this.inputGuard.grantMoveTime(playerId, requested, now);
+      requestedTime += requested;
+      grantedTime += dt;
+
+      const newX = player.x + dx * speed * dt;
+      const newY = player.y + dy * speed * dt;
+
+      // Validate move (anyone already stuck in something, e.g. respawned on a rock, may walk out)
+      if (this.canMoveTo(newX, newY) || !this.canMoveTo(player.x, player.y)) {
         player.x = newX;
         player.y = newY;
       } else {
@@ -399,45 +633,72 @@ export class GameServer {
       player.sprinting = input.sprinting;
     }
 
+    if (oversized > 0) {
+      this.inputGuard.report(playerId, 'move_vector', `direction length ${oversized.toFixed(2)}`, now);
+    }
+    if (requestedTime - grantedTime > 0.001) {
+      this.inputGuard.report(playerId, 'move_time', `${requestedTime.toFixed(2)}s of input, ${grantedTime.toFixed(2)}s allowed`, now);
+    }
+
     player.direction = direction;
     this.spatialGrid.updateEntity(playerId, player.x, player.y);
+    // Build the terrain (and wake the camps) around players before their clients ask for it
+    this.chunkManager.ensureChunksAround(player.x, player.y, 1);
+    this.monsterManager.ensureCampsAround(player.x, player.y, 1);
   }
 
-  handleShoot(playerId: string, angle: number): void {
+  // latencyMs is the shooter's measured round-trip time; hits are resolved
+  // against targets rewound to what the shooter saw when firing
+  handleShoot(playerId: string, angle: number, latencyMs: number = 0): void {
     const player = this.state.players[playerId];
     if (!player) return;
+    if (!this.inputGuard.allowShot(playerId)) return;
 
-    // Calculate damage with boon modifiers
-    let damage = this.PROJECTILE_DAMAGE;
-    for (const boon of player.boons) {
-      if (boon.type === 'damage_boost') {
-        damage = damage * (1 + (boon.data?.multiplier || 0.5));
-      }
+    // Calculate damage with boon modifiers, then let boons shape the volley
+    const stats = resolveStats(player);
+    const volley: ShotContext = {
+      player,
+      shots: [{ angle, damage: this.PROJECTILE_DAMAGE * stats.damageMultiplier }],
+    };
+    forEachHook(player, 'onShoot', (hook, boon) => hook(boon, volley));
+
+    const rewindMs = Math.min(this.MAX_LAG_COMPENSATION_MS, Math.max(0, latencyMs / 2) + this.CLIENT_INTERPOLATION_MS);
+    for (const shot of volley.shots) {
+      // Create projectile
+      const projId = `proj_${this.nextProjectileId++}`;
+      const vx = Math.cos(shot.angle) * this.PROJECTILE_SPEED;
+      const vy = Math.sin(shot.angle) * this.PROJECTILE_SPEED;
+
+      this.state.projectiles[projId] = {
+        id: projId,
+        x: player.x,
+        y: player.y,
+        vx,
+        vy,
+        ownerId: playerId,
+        damage: shot.damage,
+        lifetime: this.PROJECTILE_LIFETIME,
+        rewindMs,
+        pierce: stats.pierce,
+      };
+      this.spatialGrid.updateEntity(projId, player.x, player.y);
     }
 
-    // Create projectile
-    const projId = `proj_${this.nextProjectileId++}`;
-    const vx = Math.cos(angle) * this.PROJECTILE_SPEED;
-    const vy = Math.sin(angle) * this.PROJECTILE_SPEED;
-
-    this.state.projectiles[projId] = {
-      id: projId,
-      x: player.x,
-      y: player.y,
-      vx,
-      vy,
-      ownerId: playerId,
-      damage,
-      lifetime: this.PROJECTILE_LIFETIME,
-    };
+    // Gunfire spooks or provokes nearby animals
+    if (this.animalManager) this.animalManager.disturb(player.x, player.y, playerId);
 
-    console.log(`[GameServer] Player ${playerId} shot projectile ${projId}`);
+    console.log(`[GameServer] Player ${playerId} shot ${volley.shots.length} projectile(s)`);
   }
 
   handleInteract(playerId: string): void {
     const player = this.state.players[playerId];
     if (!player) return;
 
+    this.mode.onInteract(this, player);
+  }
+
+  // Open the closest unopened chest in reach and grant its boon
+  openNearbyChest(player: Player): boolean {
     // Check for nearby chests (within 32 pixels)
     const interactRange = 32;
     for (const chestId in this.state.chests) {
@@ -452,30 +713,66 @@ export class GameServer {
           chest.opened = true;
           chest.respawnTimer = 30.0;
 
-          const boonType = this.generateRandomBoon(chest.rarity);
-          player.boons.push({
-            type: boonType,
-            data: { rarity: chest.rarity },
-            rarity: chest.rarity,
-          });
-
-          console.log(`[GameServer] Player ${playerId} opened chest ${chestId}, got boon ${boonType}`);
-          return; // Only open one chest at a time
+          const boon = rollBoon(chest.rarity, player);
+          if (boon) {
+            this.giveBoon(player, boon);
+            console.log(`[GameServer] Player ${player.id} opened chest ${chestId}, got boon ${boon.type}`);
+          } else {
+            console.log(`[GameServer] Player ${player.id} opened chest ${chestId}, already maxed every ${chest.rarity} boon`);
+          }
+          return true;
         }
       }
     }
+    return false;
+  }
 
-    // Check for extraction zones
-    for (const zone of this.state.extractionZones) {
-      const dx = player.x - zone.x;
-      const dy = player.y - zone.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
+  // Add a boon if the player can stack another one of its type
+  giveBoon(player: Player, boon: Boon): boolean {
+    if (!canHoldMore(player, boon.type)) return false;
+    player.boons.push(boon);
+    this.refreshPlayerStats(player);
+    return true;
+  }
+
+  // Move one boon between players; it's lost if the receiver is at the stack cap
+  transferBoon(from: Player, to: Player, index: number): void {
+    const [boon] = from.boons.splice(index, 1);
+    if (!boon) return;
+    this.refreshPlayerStats(from);
+    this.giveBoon(to, boon);
+  }
+
+  // Re-derive stats that live on the player (max HP) after boons changed
+  private refreshPlayerStats(player: Player): void {
+    const maxHp = resolveStats(player).maxHp;
+    if (maxHp > player.maxHp) player.hp += maxHp - player.maxHp; // Gained max HP comes filled
+    player.maxHp = maxHp;
+    player.hp = Math.min(player.hp, maxHp);
+  }
 
-      if (dist <= zone.radius && !player.extracted) {
-        player.extracted = true;
-        console.log(`[GameServer] Player ${playerId} extracted at zone (${zone.x}, ${zone.y})`);
-        // Could add extraction timer/sequence here
+  // Apply a projectile hit, running boon damage/death hooks on both sides
+  private damagePlayer(attacker: Player | null, victim: Player, damage: number): void {
+    const ctx: DamageContext = { attacker, victim, damage, now: Date.now() };
+    forEachHook(victim, 'onHurt', (hook, boon) => hook(boon, ctx, this));
+
+    const dealt = Math.min(victim.hp, Math.max(0, ctx.damage));
+    victim.hp -= dealt;
+
+    if (attacker && dealt > 0) {
+      const lifesteal = resolveStats(attacker).lifesteal;
+      if (lifesteal > 0) {
+        attacker.hp = Math.min(attacker.maxHp, attacker.hp + dealt * lifesteal);
       }
+      forEachHook(attacker, 'onHit', (hook, boon) => hook(boon, ctx, this));
+    }
+
+    if (victim.hp <= 0) {
+      let survived = false;
+      forEachHook(victim, 'onDeath', (hook, boon) => {
+        if (!survived) survived = hook(boon, ctx, this);
+      });
+      if (!survived) this.mode.onKill(this, attacker, victim);
     }
   }
 
@@ -495,25 +792,20 @@ export class GameServer {
     // Block water
     if (chunk.water[tileKey]) return false;
 
-    // 3. Object-based collision (Rocks/Trees)
-    // For simplicity, we'll check against trees/rocks in this chunk and neighbors
-    // Note: This is an approximation for now to avoid high CPU spikes
-    for (const tree of chunk.trees) {
-      const trunkX = tree.x + 24;
-      const trunkY = tree.y + 57;
-      if (x >= trunkX && x <= trunkX + 16 && y >= trunkY && y <= trunkY + 8) return false;
-    }
-
-    return true;
+    // 3. Object-based collision (trees, rocks, NPCs) from their sprite masks
+    return !this.obstacles.blocks(x + this.FOOT_OFFSET_X, y + this.FOOT_OFFSET_Y, this.FOOT_RADIUS);
   }
 
   private updateProjectiles(dt: number): void {
     const projectilesToRemove: string[] = [];
+    const now = Date.now();
 
     for (const projId in this.state.projectiles) {
       const proj = this.state.projectiles[projId];
 
       // Move projectile
+      const fromX = proj.x;
+      const fromY = proj.y;
       proj.x += proj.vx * dt;
       proj.y += proj.vy * dt;
       proj.lifetime -= dt;
@@ -524,39 +816,62 @@ export class GameServer {
         continue;
       }
 
+      // Stop at obstacles it flies into (shots fired from under a canopy still get out)
+      if (this.obstacles.blocks(proj.x, proj.y, this.PROJECTILE_RADIUS, true) &&
+          !this.obstacles.blocks(fromX, fromY, this.PROJECTILE_RADIUS, true)) {
+        projectilesToRemove.push(projId);
+        continue;
+      }
+      this.spatialGrid.updateEntity(projId, proj.x, proj.y);
+
       // Check collision with players
+      const shooter = this.state.players[proj.ownerId] || null;
+      const alreadyHit = this.projectileHits.get(projId);
+      let spent = false;
       for (const playerId in this.state.players) {
         const player = this.state.players[playerId];
-        if (playerId !== proj.ownerId && !player.invulnerable) {
-          const dx = player.x - proj.x;
-          const dy = player.y - proj.y;
+        if (alreadyHit && alreadyHit.has(playerId)) continue;
+        if (playerId !== proj.ownerId && !player.invulnerable && this.mode.canDamage(this, shooter, player)) {
+          // Where the target was on the shooter's screen
+          const target = this.positionHistory.getPositionAt(playerId, now - proj.rewindMs) || player;
+          const dx = target.x - proj.x;
+          const dy = target.y - proj.y;
           const dist = Math.sqrt(dx * dx + dy * dy);
 
           if (dist < 16) {
             // Hit!
-            player.hp = Math.max(0, player.hp - proj.damage);
-            projectilesToRemove.push(projId);
-
-            if (player.hp <= 0) {
-              // Player died - steal boons!
-              const killer = this.state.players[proj.ownerId];
-              if (killer) {
-                const stolenCount = player.boons.length;
-                killer.boons.push(...player.boons);
-                player.boons = [];
-                killer.kills++;
-                player.deaths++;
-              }
-
-              // Respawn player
-              this.respawnPlayer(playerId);
-            }
+            this.damagePlayer(shooter, player, proj.damage);
+
+            // Piercing projectiles fly on to the next target
+            if (this.pierceThrough(projId, proj, playerId)) continue;
 
+            spent = true;
             break; // Projectile hit someone, remove it
           }
         }
       }
 
+      // Check collision with monsters near the projectile
+      if (!spent) {
+        for (const monsterId of this.spatialGrid.getNearbyEntityIds(proj.x, proj.y, 1)) {
+          const monster = this.state.monsters[monsterId];
+          if (!monster || (alreadyHit && alreadyHit.has(monsterId))) continue;
+          const dx = monster.x - proj.x;
+          const dy = monster.y - proj.y;
+          if (dx * dx + dy * dy >= 16 * 16) continue;
+
+          this.damageMonster(shooter, monster, proj.damage);
+          if (this.pierceThrough(projId, proj, monsterId)) continue;
+
+          spent = true;
+          break;
+        }
+      }
+
+      if (spent) {
+        projectilesToRemove.push(projId);
+      }
+
       // Remove expired projectiles
       if (proj.lifetime <= 0) {
         projectilesToRemove.push(projId);
@@ -566,6 +881,73 @@ export class GameServer {
     // Remove projectiles
     for (const projId of projectilesToRemove) {
       delete this.state.projectiles[projId];
+      this.projectileHits.delete(projId);
+      this.spatialGrid.removeEntity(projId);
+    }
+  }
+
+  // Use up one pierce charge on a target; false when the projectile is spent
+  private pierceThrough(projId: string, proj: Projectile, targetId: string): boolean {
+    if (proj.pierce <= 0) return false;
+    proj.pierce--;
+    if (!this.projectileHits.has(projId)) this.projectileHits.set(projId, new Set());
+    this.projectileHits.get(projId)!.add(targetId);
+    return true;
+  }
+
+  // Player (or stray) damage to a monster; boss_damage and lifesteal apply
+  private damageMonster(attacker: Player | null, monster: Monster, damage: number): void {
+    if (attacker) {
+      const stats = resolveStats(attacker);
+      damage *= stats.monsterDamageMultiplier;
+      if (stats.lifesteal > 0) {
+        const dealt = Math.min(monster.hp, damage);
+        attacker.hp = Math.min(attacker.maxHp, attacker.hp + dealt * stats.lifesteal);
+      }
+    }
+
+    const x = monster.x;
+    const y = monster.y;
+    const dropChance = this.monsterManager.getType(monster.id)?.dropChance ?? 0;
+    if (this.monsterManager.damage(monster.id, damage, attacker ? attacker.id : null)) {
+      this.spatialGrid.removeEntity(monster.id);
+      console.log(`[GameServer] ${monster.type} ${monster.id} killed by ${attacker ? attacker.id : 'a player who left'}`);
+      if (Math.random() < dropChance) this.spawnDrop(x, y);
+    }
+  }
+
+  // Leave a random boon on the ground
+  private spawnDrop(x: number, y: number): void {
+    const boon = rollBoon(rollChestRarity());
+    if (!boon) return;
+
+    const dropId = `drop_${this.nextDropId++}`;
+    this.state.drops[dropId] = { id: dropId, x, y, boon, lifetime: this.DROP_LIFETIME };
+    this.spatialGrid.updateEntity(dropId, x, y);
+  }
+
+  // Expire drops and hand them to whoever walks over them
+  private updateDrops(dt: number): void {
+    for (const dropId in this.state.drops) {
+      const drop = this.state.drops[dropId];
+      drop.lifetime -= dt;
+
+      let taken = false;
+      for (const playerId in this.state.players) {
+        const player = this.state.players[playerId];
+        const dx = player.x - drop.x;
+        const dy = player.y - drop.y;
+        if (dx * dx + dy * dy <= this.DROP_PICKUP_RANGE * this.DROP_PICKUP_RANGE && this.giveBoon(player, drop.boon)) {
+          console.log(`[GameServer] Player ${playerId} picked up boon ${drop.boon.type}`);
+          taken = true;
+          break;
+        }
+      }
+
+      if (taken || drop.lifetime <= 0) {
+        delete this.state.drops[dropId];
+        this.spatialGrid.removeEntity(dropId);
+      }
     }
   }
 
@@ -593,6 +975,15 @@ export class GameServer {
     }
   }
 
+  private updateStatusEffects(dt: number): void {
+    for (const playerId in this.state.players) {
+      const player = this.state.players[playerId];
+      if (player.slowTimer) {
+        player.slowTimer = Math.max(0, player.slowTimer - dt);
+      }
+    }
+  }
+
   private updatePets(dt: number): void {
     const PET_SPEED = 45; // Base movement speed from client
     const PET_CATCH_UP_SPEED = 80; // Catch up speed from client
@@ -627,7 +1018,7 @@ export class GameServer {
     }
   }
 
-  private respawnPlayer(playerId: string): void {
+  respawnPlayer(playerId: string): void {
     const player = this.state.players[playerId];
     if (!player) return;
 
@@ -641,19 +1032,21 @@ export class GameServer {
     player.extracted = false;
 
     this.spatialGrid.updateEntity(playerId, player.x, player.y);
+    this.positionHistory.clear(playerId);
   }
 
-  private spawnInitialChests(count: number): void {
+  spawnInitialChests(count: number): void {
     // Clear existing chests
+    for (const chestId in this.state.chests) {
+      this.spatialGrid.removeEntity(chestId);
+    }
     this.state.chests = {};
     this.nextChestId = 1;
 
     for (let i = 0; i < count; i++) {
       const x = 100 + Math.random() * (this.worldWidth - 200);
       const y = 100 + Math.random() * (this.worldHeight - 200);
-      let rarity = 'common';
-      if (Math.random() < 0.1) rarity = 'rare';
-      if (Math.random() < 0.02) rarity = 'epic';
+      const rarity = rollChestRarity();
 
       const chestId = `chest_${this.nextChestId++}`;
       this.state.chests[chestId] = {
@@ -664,21 +1057,10 @@ export class GameServer {
         respawnTimer: 0,
         rarity,
       };
+      this.spatialGrid.updateEntity(chestId, x, y);
     }
   }
 
-  private generateRandomBoon(rarity: string): string {
-    const boons: { [key: string]: string[] } = {
-      common: ['damage_boost', 'speed_boost', 'hp_boost'],
-      rare: ['triple_shot', 'piercing', 'lifesteal'],
-      epic: ['dash', 'shield', 'slow_enemies'],
-      legendary: ['teleport', 'steal_on_hit', 'boss_damage'],
-    };
-
-    const availableBoons = boons[rarity] || boons.common;
-    return availableBoons[Math.floor(Math.random() * availableBoons.length)];
-  }
-
   private createNPCs(): void {
     // Create NPCs matching the client's NPC positions (server-authoritative)
     const npcs: Array<{ id: string; x: number; y: number; spritePath: string; name: string; dialogue: string[] }> = [
@@ -821,34 +1203,49 @@ export class GameServer {
     return Object.values(this.state.animals);
   }
 
-  getStateSnapshot(): string {
-    return JSON.stringify({
+  getState(): StateSnapshot {
+    return {
       players: this.state.players,
+      pets: this.state.pets,
       projectiles: this.state.projectiles,
       chests: this.state.chests,
       npcs: this.state.npcs,
       animals: this.state.animals,
+      monsters: this.state.monsters,
+      drops: this.state.drops,
       cycleTimeRemaining: this.state.cycleTimeRemaining,
       cycleDuration: this.state.cycleDuration,
       deadlyEventActive: this.state.deadlyEventActive,
       extractionZones: this.state.extractionZones,
-    });
+    };
   }
 
-  getPlayerStateSnapshot(playerId: string): string {
+  getStateSnapshot(): string {
+    return JSON.stringify(this.getState());
+  }
+
+  getPlayerState(playerId: string): StateSnapshot {
     const player = this.state.players[playerId];
-    if (!player) return this.getStateSnapshot(); // Fallback if player invalid
+    if (!player) return this.getState(); // Fallback if player invalid
+    return this.getStateAt(player.x, player.y);
+  }
 
+  // Everything a viewer at (x, y) sees: all players, plus entities in the interest
+  // area. Spectators use this directly with their camera position.
+  getStateAt(x: number, y: number): StateSnapshot {
     // Get nearby entity IDs from grid (e.g., 2 cells view distance = 1000px radius approx)
-    const nearbyIds = this.spatialGrid.getNearbyEntityIds(player.x, player.y, 2);
+    const viewDistance = this.environment.limitsVision() ? this.LOW_VISIBILITY_VIEW_DISTANCE_CELLS : this.VIEW_DISTANCE_CELLS;
+    const nearbyIds = this.spatialGrid.getNearbyEntityIds(x, y, viewDistance);
 
-    const relevantState: any = {
+    const relevantState: StateSnapshot = {
       players: {},
       pets: {}, // Include pets
-      projectiles: {}, // Projectiles might be fast, maybe redundant spatial check?
-      chests: {}, // Chests are static? No, they open/close. Should add to grid.
+      projectiles: {},
+      chests: {},
       npcs: {},
       animals: {},
+      monsters: {},
+      drops: {},
       // Globals
       cycleTimeRemaining: this.state.cycleTimeRemaining,
       cycleDuration: this.state.cycleDuration,
@@ -856,9 +1253,6 @@ export class GameServer {
       extractionZones: this.state.extractionZones,
     };
 
-    // Include self always
-    relevantState.players[playerId] = player;
-
     // Include ALL players (not just nearby) - players need to see all other players
     // Spatial filtering for players causes issues where remote players disappear/reappear
     for (const pid in this.state.players) {
@@ -883,12 +1277,39 @@ export class GameServer {
       }
     }
 
-    // TODO: Projectiles and chests currently NOT in spatial grid, so we send all.
-    // Ideally put them in grid too. For now sending all is safer than invisible bullets.
-    relevantState.projectiles = this.state.projectiles;
-    relevantState.chests = this.state.chests;
+    // Filter Monsters (re-gridded whenever they move, like animals)
+    for (const mid in this.state.monsters) {
+      if (nearbyIds.has(mid)) {
+        relevantState.monsters[mid] = this.state.monsters[mid];
+      }
+    }
 
-    return JSON.stringify(relevantState);
+    // Filter Drops
+    for (const dropId in this.state.drops) {
+      if (nearbyIds.has(dropId)) {
+        relevantState.drops[dropId] = this.state.drops[dropId];
+      }
+    }
+
+    // Filter Projectiles (re-gridded every tick as they fly)
+    for (const projId in this.state.projectiles) {
+      if (nearbyIds.has(projId)) {
+        relevantState.projectiles[projId] = this.state.projectiles[projId];
+      }
+    }
+
+    // Filter Chests
+    for (const chestId in this.state.chests) {
+      if (nearbyIds.has(chestId)) {
+        relevantState.chests[chestId] = this.state.chests[chestId];
+      }
+    }
+
+    return relevantState;
+  }
+
+  getPlayerStateSnapshot(playerId: string): string {
+    return JSON.stringify(this.getPlayerState(playerId));
   }
 
   getCycleTimeRemaining(): number {
@@ -899,10 +1320,65 @@ export class GameServer {
     return this.state.cycleDuration;
   }
 
+  getEnvironment(): EnvironmentState {
+    return this.environment.getState();
+  }
+
+  // A deep copy: stores write it asynchronously, and later ticks must not
+  // leak into a snapshot taken at this cycleElapsed
+  serialize(): GameServerSnapshot {
+    const players = Object.values(this.state.players);
+    const pets = { ...this.state.pets };
+    for (const [playerId, parked] of this.parkedPlayers) {
+      players.push(parked.player);
+      if (parked.pet) pets[playerId] = parked.pet;
+    }
+
+    return structuredClone({
+      seed: this.seed,
+      worldWidth: this.worldWidth,
+      worldHeight: this.worldHeight,
+      mode: this.mode.id,
+      cycleElapsed: Date.now() - this.state.cycleStartTime,
+      players,
+      pets,
+      chests: this.state.chests,
+      nextChestId: this.nextChestId,
+      environment: this.environment.serialize(),
+      cycleDuration: this.state.cycleDuration !== this.mode.cycleDuration ? this.state.cycleDuration : undefined,
+    });
+  }
+
+  // Load a snapshot into a freshly constructed server (same seed, size and mode)
+  restore(snapshot: GameServerSnapshot): void {
+    if (snapshot.cycleDuration) this.state.cycleDuration = snapshot.cycleDuration;
+    this.state.cycleStartTime = Date.now() - snapshot.cycleElapsed;
+    this.state.cycleTimeRemaining = Math.max(0, this.state.cycleDuration - snapshot.cycleElapsed);
+
+    for (const chestId in this.state.chests) {
+      this.spatialGrid.removeEntity(chestId);
+    }
+    this.state.chests = snapshot.chests;
+    this.nextChestId = snapshot.nextChestId;
+    for (const chestId in this.state.chests) {
+      const chest = this.state.chests[chestId];
+      this.spatialGrid.updateEntity(chestId, chest.x, chest.y);
+    }
+
+    if (snapshot.environment) this.environment.restore(snapshot.environment);
+
+    for (const player of snapshot.players) {
+      this.parkedPlayers.set(player.id, { player, pet: snapshot.pets[player.id] });
+    }
+
+    console.log(`[GameServer] Restored cycle at ${Math.floor(snapshot.cycleElapsed / 1000)}s, ${snapshot.players.length} parked players`);
+  }
+
   destroy(): void {
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
     }
+    this.mode.onDestroy(this);
   }
 }
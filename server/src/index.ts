@@ -1,7 +1,14 @@
-import express, { Request, Response } from 'express';
+import express, { NextFunction, Request, Response } from 'express';
 import cors from 'cors';
+import crypto from 'crypto';
 import net from 'net';
-import { GameServer } from './game_server';
+import { GameServer, DEFAULT_WORLD_SIZE } from './game_server';
+import { DEFAULT_GAME_MODE, createGameMode, isGameMode, listGameModes } from './modes';
+import { Connection } from './net/Connection';
+import { ClientMessage, JoinRequest, MAX_MOVE_BATCH, requestedProtocolVersion } from './net/protocol';
+import { RoomSnapshot, ROOM_SNAPSHOT_VERSION, createRoomStore } from './persistence';
+import { CollisionMasks, DEFAULT_COLLISION_MASKS_PATH } from './world/CollisionMasks';
+import { Labels, MetricsWriter, metrics } from './metrics';
 
 // --- Configuration ---
 // Railway: HTTP on PORT (should be 8080), TCP on 12346 (Railway TCP proxy forwards to this)
@@ -22,6 +29,44 @@ if (RAILWAY_PORT === 12346 && !process.env.TCP_PORT) {
   TCP_PORT = RAILWAY_TCP_PORT;
 }
 
+// Room persistence (see src/persistence): snapshot every room this often and on shutdown
+const ROOM_SNAPSHOT_INTERVAL_MS = parseInt(process.env.ROOM_SNAPSHOT_INTERVAL_MS || '30000', 10);
+const roomStore = createRoomStore();
+
+// How long a dropped player's entity is held for a JOIN with their session token
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS || '30000', 10);
+
+// Room lifecycle: rooms nobody is connected to shut down after ROOM_IDLE_TIMEOUT_MS
+// (0 keeps them forever), and at most MAX_ROOMS exist at once
+const ROOM_IDLE_TIMEOUT_MS = parseInt(process.env.ROOM_IDLE_TIMEOUT_MS || '600000', 10);
+const MAX_ROOMS = parseInt(process.env.MAX_ROOMS || '100', 10);
+// Local testing only: let a TCP JOIN start a room the matchmaker never issued
+const ALLOW_UNLISTED_ROOMS = process.env.ALLOW_UNLISTED_ROOMS === '1';
+
+// Matchmaker: this server's latency region (rooms default to it), and how long a
+// seat reserved by quick-match or join-room waits for the TCP JOIN
+const SERVER_REGION = process.env.SERVER_REGION || 'default';
+const SEAT_TICKET_TTL_MS = parseInt(process.env.SEAT_TICKET_TTL_MS || '15000', 10);
+
+// Admin API (/api/admin) bearer token; the API is off without one
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// /metrics bearer token; falls back to the admin token, and the endpoint is off without either
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ADMIN_TOKEN;
+
+// Sprite collision masks from tools/collision-editor, shared by every room
+// A server without them would let everyone walk and shoot through the world, so refuse to start
+let collisionMasks: CollisionMasks;
+try {
+  collisionMasks = CollisionMasks.load(process.env.COLLISION_MASKS_PATH || DEFAULT_COLLISION_MASKS_PATH);
+} catch (err) {
+  console.error(`[Collision] ${(err as Error).message}`);
+  process.exit(1);
+}
+
+// Accepted world sizes for /api/create-room, in pixels
+const MIN_WORLD_SIZE = 1024;
+const MAX_WORLD_SIZE = 32768; // Chunks generate lazily, so size no longer costs startup time
+
 // --- Types ---
 interface Room {
   code: string;
@@ -32,15 +77,54 @@ interface Room {
   createdAt: number;
   lastHeartbeat: number;
   gameStarted: boolean;  // Track if game has begun
+  mode: string;  // Game mode id (see src/modes)
+  seed: number;  // World generation seed, share it to replay a map
+  worldWidth: number;
+  worldHeight: number;
+  region: string;  // Latency region quick-match groups players by
+  reservations: Map<string, number>;  // Seat ticket -> expiry, until its TCP JOIN arrives
+}
+
+// What a room's game server is built from
+interface RoomSettings {
+  mode: string;
+  seed?: number;
+  worldWidth?: number;
+  worldHeight?: number;
+}
+
+// Room settings a request asked for (create-room, quick-match)
+interface RoomOptions {
+  mode?: string;
+  region?: string;
+  seed?: number;
+  worldWidth?: number;
+  worldHeight?: number;
+}
+
+// A player's claim to their entity across reconnects
+interface Session {
+  playerId: string;
+  expiry: NodeJS.Timeout | null; // Set while the player is disconnected
+}
+
+// A connection watching a room without an entity
+interface Spectator {
+  follow: string | null; // Player the camera tracks, null while free-roaming
+  x: number;
+  y: number;
 }
 
 interface RoomData {
-  sockets: Map<net.Socket, string>; // socket -> playerId mapping
+  sockets: Map<Connection, string>; // connection -> playerId mapping
+  spectators: Map<Connection, Spectator>; // Not players: no entity, no seat
+  sessions: Map<string, Session>; // token -> session
   gameStarted: boolean;
   gameServer: GameServer;
   lastStateBroadcast: number;
   stateBroadcastInterval: number; // milliseconds
   nextPlayerId: number;
+  emptySince: number | null; // When the last player left (or the room started), null while occupied
 }
 
 // --- In-Memory State ---
@@ -54,40 +138,386 @@ function generateRoomCode(): string {
   return code;
 }
 
-// --- HTTP Server (Matchmaker) ---
-const app = express();
-app.use(cors());
-app.use(express.json());
+// --- Helper: Matchmaker listings and running rooms, counted once each ---
+function roomCount(): number {
+  let count = rooms.size;
+  for (const code of roomSockets.keys()) {
+    if (!rooms.has(code)) count++;
+  }
+  return count;
+}
 
-app.post('/api/create-room', (req: Request, res: Response) => {
-  const { isPublic, hostName = 'Host' } = req.body;
-  const code = generateRoomCode();
+// --- Helper: Validate room settings from a request body; sends the 400 itself ---
+// Fields left out stay undefined: create-room fills in defaults, quick-match matches any
+function parseRoomOptions(body: any, res: Response): RoomOptions | null {
+  const { mode, region } = body;
+  if (mode !== undefined && !isGameMode(mode)) {
+    res.status(400).json({ error: 'Unknown game mode', modes: listGameModes() });
+    return null;
+  }
+  if (region !== undefined && (typeof region !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(region))) {
+    res.status(400).json({ error: 'region must be 1-32 letters, digits, - or _' });
+    return null;
+  }
+  const seed = parseIntField(body.seed, 0, 0xffffffff);
+  if (seed === null) {
+    res.status(400).json({ error: 'seed must be an integer between 0 and 4294967295' });
+    return null;
+  }
+  const worldWidth = parseIntField(body.worldWidth, MIN_WORLD_SIZE, MAX_WORLD_SIZE);
+  const worldHeight = parseIntField(body.worldHeight, MIN_WORLD_SIZE, MAX_WORLD_SIZE);
+  if (worldWidth === null || worldHeight === null) {
+    res.status(400).json({ error: `worldWidth and worldHeight must be integers between ${MIN_WORLD_SIZE} and ${MAX_WORLD_SIZE}` });
+    return null;
+  }
+  return { mode, region, seed, worldWidth, worldHeight };
+}
 
+function matchesRoomOptions(room: Room, options: RoomOptions): boolean {
+  return (options.mode === undefined || room.mode === options.mode) &&
+    (options.seed === undefined || room.seed === options.seed) &&
+    (options.worldWidth === undefined || room.worldWidth === options.worldWidth) &&
+    (options.worldHeight === undefined || room.worldHeight === options.worldHeight);
+}
+
+// --- Helper: Add a matchmaker listing; its game server starts on the first TCP JOIN ---
+function createRoom(options: RoomOptions, hostName: string, isPublic: boolean, players: number): Room {
+  const code = generateRoomCode();
+  const mode = options.mode || DEFAULT_GAME_MODE;
   const room: Room = {
     code,
     hostName,
-    isPublic: !!isPublic,
-    players: 1,
+    isPublic,
+    players,
     maxPlayers: 10,
     createdAt: Date.now(),
     lastHeartbeat: Date.now(),
     gameStarted: false,
+    mode,
+    seed: options.seed ?? Math.floor(Math.random() * 0x100000000), // New map per room unless one is asked for
+    worldWidth: options.worldWidth ?? DEFAULT_WORLD_SIZE,
+    worldHeight: options.worldHeight ?? DEFAULT_WORLD_SIZE,
+    region: options.region || SERVER_REGION,
+    reservations: new Map(),
   };
 
   rooms.set(code, room);
-  res.json({ roomCode: code });
-  console.log(`[HTTP] Room ${code} created`);
+  console.log(`[HTTP] Room ${code} created (${mode}, seed ${room.seed}, ${room.worldWidth}x${room.worldHeight}, ${room.region})`);
+  return room;
+}
+
+// --- Helper: Seats taken, promised to a ticket or held for a dropped player ---
+// Expired tickets are dropped on the way
+function seatsTaken(room: Room, now: number = Date.now()): number {
+  for (const [ticket, expiresAt] of room.reservations) {
+    if (expiresAt <= now) room.reservations.delete(ticket);
+  }
+  let held = 0;
+  const roomData = roomSockets.get(room.code);
+  if (roomData) {
+    for (const session of roomData.sessions.values()) {
+      if (session.expiry) held++;
+    }
+  }
+  return room.players + room.reservations.size + held;
+}
+
+// A ticket is used up either way, but only holds a seat until it expires
+function redeemTicket(room: Room, ticket: string, now: number = Date.now()): boolean {
+  const expiresAt = room.reservations.get(ticket);
+  room.reservations.delete(ticket);
+  return expiresAt !== undefined && expiresAt > now;
+}
+
+function reserveSeat(room: Room): string {
+  const ticket = crypto.randomBytes(8).toString('hex');
+  room.reservations.set(ticket, Date.now() + SEAT_TICKET_TTL_MS);
+  return ticket;
+}
+
+// --- Helper: Session tokens are sent in JOIN lines, so no ':' ---
+function generateSessionToken(): string {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// --- Helper: Validate an optional integer request field ---
+function parseIntField(value: unknown, min: number, max: number): number | null | undefined {
+  if (value === undefined || value === null) return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) return null;
+  return n;
+}
+
+// --- Helper: Start a room's game server, optionally from a saved snapshot ---
+function startRoom(code: string, settings: RoomSettings, snapshot?: RoomSnapshot): RoomData {
+  const gameServer = new GameServer({
+    mode: createGameMode(isGameMode(settings.mode) ? settings.mode : DEFAULT_GAME_MODE),
+    seed: settings.seed,
+    worldWidth: settings.worldWidth,
+    worldHeight: settings.worldHeight,
+    collisionMasks,
+  });
+  if (snapshot) gameServer.restore(snapshot.game);
+
+  const roomData: RoomData = {
+    sockets: new Map(),
+    spectators: new Map(),
+    gameStarted: true, // Game always running
+    gameServer,
+    lastStateBroadcast: Date.now(),
+    stateBroadcastInterval: 50, // 20 times per second (50ms)
+    nextPlayerId: snapshot ? snapshot.nextPlayerId : 1,
+    sessions: new Map(),
+    emptySince: Date.now(),
+  };
+  roomSockets.set(code, roomData);
+
+  // Restored players are parked; their clients get the grace period to come back
+  if (snapshot) {
+    const sessions = snapshot.sessions || {};
+    for (const token in sessions) {
+      const session: Session = { playerId: sessions[token], expiry: null };
+      roomData.sessions.set(token, session);
+      holdSession(code, roomData, token, session);
+    }
+    // Only a session token proves a player is yours; older snapshots have none
+    const claimable = new Set(Object.values(sessions));
+    for (const playerId of gameServer.parkedPlayerIds()) {
+      if (!claimable.has(playerId)) gameServer.dropParkedPlayer(playerId);
+    }
+  }
+  return roomData;
+}
+
+// --- Helper: Keep a dropped player parked until their session expires ---
+function holdSession(code: string, roomData: RoomData, token: string, session: Session): void {
+  if (session.expiry) clearTimeout(session.expiry);
+  session.expiry = setTimeout(() => {
+    roomData.sessions.delete(token);
+    roomData.gameServer.dropParkedPlayer(session.playerId);
+    console.log(`[TCP] Session for ${session.playerId} in room ${code} expired`);
+  }, RECONNECT_GRACE_MS);
+}
+
+// --- Helper: Shut a room down and forget it, including its saved snapshot ---
+function closeRoom(code: string, reason: string): void {
+  const roomData = roomSockets.get(code);
+  if (roomData) {
+    for (const session of roomData.sessions.values()) {
+      if (session.expiry) clearTimeout(session.expiry);
+    }
+    for (const connection of roomData.sockets.keys()) connection.disconnect('Room closed');
+    for (const connection of roomData.spectators.keys()) connection.disconnect('Room closed');
+    roomData.gameServer.destroy();
+    roomSockets.delete(code);
+  }
+  rooms.delete(code);
+
+  if (roomStore) {
+    const store = roomStore;
+    // A save already under way may still write this room; delete after it
+    (saveInProgress || Promise.resolve())
+      .then(() => store.delete(code))
+      .catch(err => console.log(`[Store] Failed to delete room ${code}: ${(err as Error).message}`));
+  }
+  console.log(`[TCP] Room ${code} closed (${reason}), ${roomCount()} rooms open`);
+}
+
+// --- Helper: Point a spectator's camera at a player, or at (x, y) to free-roam ---
+// An unknown or departed player leaves the camera where it is
+function aimSpectator(gameServer: GameServer, spectator: Spectator, follow: string, x: number, y: number): void {
+  if (follow) {
+    const target = gameServer['state'].players[follow];
+    if (target) {
+      spectator.follow = follow;
+      spectator.x = target.x;
+      spectator.y = target.y;
+      return;
+    }
+  } else {
+    spectator.x = Math.max(0, Math.min(gameServer.worldWidth, x));
+    spectator.y = Math.max(0, Math.min(gameServer.worldHeight, y));
+  }
+  spectator.follow = null;
+}
+
+// --- Helper: Remove a connected player for good (kicks); there's no reconnect grace ---
+function disconnectPlayer(code: string, roomData: RoomData, connection: Connection, reason: string): void {
+  const playerId = roomData.sockets.get(connection);
+  if (!playerId) return;
+
+  const session = findSession(roomData, playerId);
+  if (session) {
+    if (session[1].expiry) clearTimeout(session[1].expiry);
+    roomData.sessions.delete(session[0]);
+  }
+  roomData.sockets.delete(connection);
+  connection.disconnect(reason);
+  roomData.gameServer.removePlayer(playerId);
+
+  const room = rooms.get(code);
+  if (room) room.players = roomData.sockets.size;
+  if (roomData.sockets.size === 0) roomData.emptySince = Date.now();
+  roomData.sockets.forEach((_, c) => c.sendOpponentLeft());
+  console.log(`[TCP] Player ${playerId} disconnected from room ${code}: ${reason}`);
+}
+
+function findSession(roomData: RoomData, playerId: string): [string, Session] | null {
+  for (const entry of roomData.sessions) {
+    if (entry[1].playerId === playerId) return entry;
+  }
+  return null;
+}
+
+// --- Persistence ---
+function snapshotRoom(code: string, roomData: RoomData): RoomSnapshot {
+  const room = rooms.get(code);
+  return {
+    version: ROOM_SNAPSHOT_VERSION,
+    code,
+    savedAt: Date.now(),
+    room: room ? {
+      hostName: room.hostName,
+      isPublic: room.isPublic,
+      maxPlayers: room.maxPlayers,
+      createdAt: room.createdAt,
+      mode: room.mode,
+      region: room.region,
+    } : null,
+    nextPlayerId: roomData.nextPlayerId,
+    sessions: Object.fromEntries(Array.from(roomData.sessions, ([token, session]) => [token, session.playerId])),
+    game: roomData.gameServer.serialize(),
+  };
+}
+
+let saveInProgress: Promise<void> | null = null;
+
+function saveAllRooms(): Promise<void> {
+  if (!roomStore) return Promise.resolve();
+  if (saveInProgress) return saveInProgress;
+
+  const store = roomStore;
+  const snapshots = Array.from(roomSockets.entries()).map(([code, roomData]) => snapshotRoom(code, roomData));
+  saveInProgress = Promise.all(snapshots.map(snapshot =>
+    store.save(snapshot).catch(err => {
+      console.log(`[Store] Failed to save room ${snapshot.code}: ${(err as Error).message}`);
+    })
+  )).then(() => {
+    saveInProgress = null;
+  });
+  return saveInProgress;
+}
+
+async function restoreRooms(): Promise<void> {
+  if (!roomStore) return;
+
+  const snapshots = await roomStore.loadAll();
+  for (const snapshot of snapshots) {
+    const { seed, worldWidth, worldHeight } = snapshot.game;
+    const mode = snapshot.room ? snapshot.room.mode : snapshot.game.mode;
+    if (snapshot.room) {
+      rooms.set(snapshot.code, {
+        code: snapshot.code,
+        ...snapshot.room,
+        region: snapshot.room.region || SERVER_REGION,
+        players: 0,
+        lastHeartbeat: Date.now(),
+        gameStarted: false,
+        seed,
+        worldWidth,
+        worldHeight,
+        reservations: new Map(),
+      });
+    }
+    startRoom(snapshot.code, { mode, seed, worldWidth, worldHeight }, snapshot);
+    console.log(`[Store] Restored room ${snapshot.code} (${mode}) saved at ${new Date(snapshot.savedAt).toISOString()}`);
+  }
+}
+
+// --- HTTP Server (Matchmaker) ---
+const app = express();
+app.use(cors());
+app.use(express.json());
+
+app.post('/api/create-room', (req: Request, res: Response) => {
+  const { isPublic, hostName = 'Host' } = req.body;
+  const options = parseRoomOptions(req.body, res);
+  if (!options) return;
+  if (roomCount() >= MAX_ROOMS) {
+    return res.status(503).json({ error: 'Server is full, try again later' });
+  }
+
+  const room = createRoom(options, hostName, !!isPublic, 1);
+  res.json({ roomCode: room.code, mode: room.mode, seed: room.seed, worldWidth: room.worldWidth, worldHeight: room.worldHeight });
+});
+
+// Quick match: the fullest public room that fits, preferring the caller's region,
+// or a new public room when none does. The seat is held for SEAT_TICKET_TTL_MS by
+// a ticket the client sends with its TCP JOIN (JOIN:<code>:ticket=<ticket>).
+app.post('/api/quick-match', (req: Request, res: Response) => {
+  const { hostName = 'Host' } = req.body;
+  const options = parseRoomOptions(req.body, res);
+  if (!options) return;
+  const region = options.region || SERVER_REGION;
+
+  const now = Date.now();
+  let best: Room | null = null;
+  let bestScore = -1;
+  for (const room of rooms.values()) {
+    if (!room.isPublic || !matchesRoomOptions(room, options)) continue;
+    // Listings with no game server and no heartbeat are stale
+    if (!roomSockets.has(room.code) && now - room.lastHeartbeat >= 60000) continue;
+    const taken = seatsTaken(room, now);
+    if (taken >= room.maxPlayers) continue;
+
+    // Region outweighs fill; ties go to the older room
+    const score = (room.region === region ? 1 : 0) + taken / room.maxPlayers;
+    if (score > bestScore) {
+      best = room;
+      bestScore = score;
+    }
+  }
+
+  const created = !best;
+  if (!best) {
+    if (roomCount() >= MAX_ROOMS) {
+      return res.status(503).json({ error: 'Server is full, try again later' });
+    }
+    best = createRoom({ ...options, region }, hostName, true, 0);
+  }
+
+  const ticket = reserveSeat(best);
+  res.json({
+    roomCode: best.code,
+    ticket,
+    ticketExpiresIn: SEAT_TICKET_TTL_MS,
+    created,
+    mode: best.mode,
+    region: best.region,
+    seed: best.seed,
+    worldWidth: best.worldWidth,
+    worldHeight: best.worldHeight,
+    players: seatsTaken(best),
+    maxPlayers: best.maxPlayers,
+  });
+  console.log(`[HTTP] Quick match into room ${best.code} (${created ? 'new' : 'existing'}, ${best.region}, ${seatsTaken(best)}/${best.maxPlayers} seats)`);
 });
 
 app.get('/api/list-rooms', (_req: Request, res: Response) => {
   const now = Date.now();
   const publicRooms = Array.from(rooms.values()).filter(r =>
     r.isPublic &&
-    r.players < r.maxPlayers &&
+    seatsTaken(r, now) < r.maxPlayers &&
     (now - r.lastHeartbeat) < 60000 // Only show active rooms
     // Game is always running, so we don't filter by gameStarted
   );
-  res.json({ rooms: publicRooms });
+  // Reservations are internal; listings show seats taken or promised
+  res.json({
+    rooms: publicRooms.map(room => {
+      const { reservations: _reservations, ...listing } = room;
+      return { ...listing, players: seatsTaken(room, now) };
+    }),
+  });
 });
 
 app.post('/api/join-room', (req: Request, res: Response) => {
@@ -95,10 +525,11 @@ app.post('/api/join-room', (req: Request, res: Response) => {
   const room = rooms.get(roomCode?.toUpperCase());
 
   if (!room) return res.status(404).json({ error: 'Room not found' });
-  if (room.players >= room.maxPlayers) return res.status(400).json({ error: 'Room full' });
+  if (seatsTaken(room) >= room.maxPlayers) return res.status(400).json({ error: 'Room full' });
   // Game is always running, so we don't check gameStarted
 
-  res.json({ success: true });
+  // Hold the seat so two joiners can't race into the last one
+  res.json({ success: true, ticket: reserveSeat(room), ticketExpiresIn: SEAT_TICKET_TTL_MS });
 });
 
 app.post('/api/heartbeat', (req: Request, res: Response) => {
@@ -112,6 +543,204 @@ app.post('/api/heartbeat', (req: Request, res: Response) => {
   }
 });
 
+// --- Admin API ---
+// Live room operations for playtests. Every request needs
+// `Authorization: Bearer <ADMIN_TOKEN>`.
+const admin = express.Router();
+
+// Compare digests so the check takes as long for a wrong token as a right one
+function tokensMatch(given: string, expected: string): boolean {
+  const a = crypto.createHash('sha256').update(given).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function hasBearer(req: Request, token: string): boolean {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') && tokensMatch(header.slice(7), token);
+}
+
+admin.use((req: Request, res: Response, next: NextFunction) => {
+  if (!ADMIN_TOKEN) return res.status(404).json({ error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+  if (!hasBearer(req, ADMIN_TOKEN)) {
+    console.log(`[Admin] Rejected ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+});
+
+// Everything an operator needs to see about a room, running or only listed
+function describeRoom(code: string) {
+  const room = rooms.get(code);
+  const roomData = roomSockets.get(code);
+  const gameServer = roomData ? roomData.gameServer : null;
+  const players = roomData ? Array.from(roomData.sockets, ([connection, playerId]) => {
+    const player = roomData.gameServer['state'].players[playerId];
+    return {
+      id: playerId,
+      x: player ? Math.round(player.x) : null,
+      y: player ? Math.round(player.y) : null,
+      hp: player ? player.hp : null,
+      boons: player ? player.boons.length : 0,
+      kills: player ? player.kills : 0,
+      deaths: player ? player.deaths : 0,
+      extracted: player ? player.extracted : false,
+      latencyMs: Math.round(connection.latencyMs),
+      binary: connection.binary,
+      flagged: roomData.gameServer.inputGuard.isFlagged(playerId),
+    };
+  }) : [];
+
+  return {
+    code,
+    listed: !!room,
+    running: !!roomData,
+    hostName: room ? room.hostName : null,
+    isPublic: room ? room.isPublic : false,
+    region: room ? room.region : null,
+    mode: gameServer ? gameServer.mode.id : room!.mode,
+    maxPlayers: room ? room.maxPlayers : null,
+    createdAt: room ? room.createdAt : null,
+    players,
+    // Disconnected players still inside their reconnect grace period
+    held: roomData ? Array.from(roomData.sessions.values()).filter(session => session.expiry).map(session => session.playerId) : [],
+    spectators: roomData ? roomData.spectators.size : 0,
+    emptySince: roomData ? roomData.emptySince : null,
+    cycleTimeRemaining: gameServer ? gameServer.getCycleTimeRemaining() : null,
+    cycleDuration: gameServer ? gameServer.getCycleDuration() : null,
+    deadlyEventActive: gameServer ? gameServer['state'].deadlyEventActive : false,
+  };
+}
+
+// The running room named in the URL, or a 404
+function runningRoom(req: Request, res: Response): [string, RoomData] | null {
+  const code = String(req.params.code).toUpperCase();
+  const roomData = roomSockets.get(code);
+  if (!roomData) {
+    res.status(404).json({ error: 'Room not running' });
+    return null;
+  }
+  return [code, roomData];
+}
+
+admin.get('/rooms', (_req: Request, res: Response) => {
+  const codes = new Set([...rooms.keys(), ...roomSockets.keys()]);
+  res.json({ rooms: Array.from(codes, describeRoom) });
+});
+
+admin.get('/rooms/:code', (req: Request, res: Response) => {
+  const code = String(req.params.code).toUpperCase();
+  if (!rooms.has(code) && !roomSockets.has(code)) return res.status(404).json({ error: 'Room not found' });
+  res.json(describeRoom(code));
+});
+
+// Kicked players are removed outright, no reconnect grace
+admin.post('/rooms/:code/kick', (req: Request, res: Response) => {
+  const found = runningRoom(req, res);
+  if (!found) return;
+  const [code, roomData] = found;
+  const { playerId, reason = 'Kicked by an admin' } = req.body;
+  for (const [connection, pid] of roomData.sockets) {
+    if (pid !== playerId) continue;
+    disconnectPlayer(code, roomData, connection, String(reason));
+    console.log(`[Admin] Kicked ${playerId} from room ${code}`);
+    return res.json({ success: true });
+  }
+  res.status(404).json({ error: 'Player not connected' });
+});
+
+// To every player and spectator, in one room or all of them
+admin.post('/broadcast', (req: Request, res: Response) => {
+  const { message, roomCode } = req.body;
+  if (typeof message !== 'string' || message.trim() === '' || message.length > 200) {
+    return res.status(400).json({ error: 'message must be 1-200 characters' });
+  }
+  const code = roomCode === undefined ? null : String(roomCode).toUpperCase();
+  if (code && !roomSockets.has(code)) return res.status(404).json({ error: 'Room not running' });
+
+  let recipients = 0;
+  for (const [c, roomData] of roomSockets) {
+    if (code && c !== code) continue;
+    for (const connection of [...roomData.sockets.keys(), ...roomData.spectators.keys()]) {
+      connection.sendAnnouncement(message);
+      recipients++;
+    }
+  }
+  console.log(`[Admin] Broadcast to ${code ? `room ${code}` : 'all rooms'} (${recipients} recipients): ${message}`);
+  res.json({ success: true, recipients });
+});
+
+admin.post('/rooms/:code/reset-cycle', (req: Request, res: Response) => {
+  const found = runningRoom(req, res);
+  if (!found) return;
+  found[1].gameServer.resetCycle();
+  console.log(`[Admin] Reset the cycle in room ${found[0]}`);
+  res.json(describeRoom(found[0]));
+});
+
+// Ends the cycle now: the deadly event in boonsnatch, a chest restock in exploration
+admin.post('/rooms/:code/deadly-event', (req: Request, res: Response) => {
+  const found = runningRoom(req, res);
+  if (!found) return;
+  found[1].gameServer.endCycle();
+  console.log(`[Admin] Ended the cycle in room ${found[0]}`);
+  res.json(describeRoom(found[0]));
+});
+
+admin.post('/rooms/:code/cycle-duration', (req: Request, res: Response) => {
+  const found = runningRoom(req, res);
+  if (!found) return;
+  const durationMs = parseIntField(req.body.durationMs, 10000, 24 * 60 * 60 * 1000);
+  if (durationMs === null || durationMs === undefined) {
+    return res.status(400).json({ error: 'durationMs must be an integer between 10000 and 86400000' });
+  }
+  found[1].gameServer.setCycleDuration(durationMs);
+  console.log(`[Admin] Set the cycle duration in room ${found[0]} to ${durationMs / 1000}s`);
+  res.json(describeRoom(found[0]));
+});
+
+// Disconnects everyone with a message, stops the game server and forgets the room
+admin.post('/rooms/:code/shutdown', (req: Request, res: Response) => {
+  const code = String(req.params.code).toUpperCase();
+  if (!rooms.has(code) && !roomSockets.has(code)) return res.status(404).json({ error: 'Room not found' });
+  closeRoom(code, 'shut down by an admin');
+  res.json({ success: true });
+});
+
+app.use('/api/admin', admin);
+
+// Prometheus scrape target. Per-room series are labelled with room codes, and a
+// private room's code is all it takes to join it, so scrapes need a token.
+app.get('/metrics', (req: Request, res: Response) => {
+  if (!METRICS_TOKEN) return res.status(404).json({ error: 'Metrics are disabled (set METRICS_TOKEN or ADMIN_TOKEN)' });
+  if (!hasBearer(req, METRICS_TOKEN)) return res.status(401).json({ error: 'Unauthorized' });
+
+  const running = Array.from(roomSockets.entries());
+  const perRoom = (value: (roomData: RoomData) => number): [Labels, number][] =>
+    running.map(([code, roomData]) => [{ room: code, mode: roomData.gameServer.mode.id }, value(roomData)]);
+
+  const writer = new MetricsWriter()
+    .gauge('relay_rooms', 'Rooms by state: running a game server, or only listed by the matchmaker', [
+      [{ state: 'running' }, running.length],
+      [{ state: 'listed' }, roomCount() - running.length],
+    ])
+    .gauge('relay_room_players', 'Connected players per room', perRoom(roomData => roomData.sockets.size))
+    .gauge('relay_room_spectators', 'Connected spectators per room', perRoom(roomData => roomData.spectators.size))
+    .summary('relay_tick_duration_seconds', 'GameServer.update time per tick, quantiles over the last 600 ticks',
+      running.map(([code, roomData]) => [{ room: code, mode: roomData.gameServer.mode.id }, roomData.gameServer.tickDurations]))
+    .counter('relay_tick_overruns_total', 'Ticks that took longer than the 16.7ms tick interval', perRoom(roomData => roomData.gameServer.tickOverruns))
+    .summary('relay_broadcast_duration_seconds', 'State broadcast loop time per pass, quantiles over the last 200 passes',
+      [[{}, metrics.broadcastDuration]])
+    .counter('relay_messages_received_total', 'Messages received from clients', metrics.messagesIn.samples())
+    .counter('relay_received_bytes_total', 'Bytes received from clients, framing included', metrics.bytesIn.samples())
+    .counter('relay_messages_sent_total', 'Messages sent to clients', metrics.messagesOut.samples())
+    .counter('relay_sent_bytes_total', 'Bytes sent to clients, framing included', metrics.bytesOut.samples())
+    .counter('relay_chunk_requests_total', 'Chunk requests served', metrics.chunkRequests.samples())
+    .counter('relay_socket_errors_total', 'TCP socket errors by error code', metrics.socketErrors.samples());
+
+  res.type('text/plain; version=0.0.4').send(writer.toString());
+});
+
 // Health check
 app.get('/health', (req: Request, res: Response) => {
   res.json({ status: 'ok' });
@@ -122,194 +751,231 @@ app.get('/ping', (req: Request, res: Response) => {
   res.json({ timestamp: Date.now() });
 });
 
-// --- TCP Server (Real-time Relay) ---
-
-app.listen(HTTP_PORT, '0.0.0.0', () => {
-  console.log(`[HTTP] Matchmaker listening on port ${HTTP_PORT}`);
-});
-
 // --- TCP Server (Real-time Relay) ---
 const tcpServer = net.createServer((socket: net.Socket) => {
   let currentRoomCode: string | null = null;
-  let buffer = '';
   let cleanedUp = false;
 
-  socket.on('data', (data: Buffer) => {
-    buffer += data.toString();
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || '';
-
-    for (const line of lines) {
-      if (line.startsWith('JOIN:')) {
-        const code = line.split(':')[1].toUpperCase();
-        currentRoomCode = code;
-
-        const room = rooms.get(code);
-
-        // Game is always running, so we don't reject based on gameStarted
-        // Players can join at any time during the cycle
-
-        let roomData = roomSockets.get(code);
-        if (!roomData) {
-          // Create new room with game server (always running)
-          const gameServer = new GameServer();
-
-          roomData = {
-            sockets: new Map(),
-            gameStarted: true, // Game always running
-            gameServer,
-            lastStateBroadcast: Date.now(),
-            stateBroadcastInterval: 50, // 20 times per second (50ms)
-            nextPlayerId: 1,
-          };
-          roomSockets.set(code, roomData);
-          console.log(`[TCP] Room ${code} created with game server (always running)`);
-        }
+  const handleJoin = (join: JoinRequest) => {
+    const code = join.code;
+    const room = rooms.get(code);
 
-        // Generate player ID (monotonic to avoid reuse/collisions)
-        const playerId = `p${roomData.nextPlayerId++}`;
-        roomData.sockets.set(socket, playerId);
-
-        // Add player to game server (will scatter spawn automatically)
-        roomData.gameServer.addPlayer(playerId);
-
-        // Get the actual spawn position from the game server
-        const player = roomData.gameServer['state'].players[playerId];
-        const spawnX = player ? Math.floor(player.x) : 2500;
-        const spawnY = player ? Math.floor(player.y) : 2500;
-
-        // Send player their ID and initial state
-        socket.write(`join|${playerId}|${spawnX}|${spawnY}\n`);
-
-        // Send NPC data (server-authoritative)
-        const npcs = roomData.gameServer.getNPCs();
-        if (npcs.length > 0) {
-          const npcParts = ['npcs', npcs.length.toString()];
-          for (const npc of npcs) {
-            npcParts.push(Math.floor(npc.x).toString());
-            npcParts.push(Math.floor(npc.y).toString());
-            npcParts.push(npc.spritePath || '');
-            npcParts.push(npc.name || 'NPC');
-            // Encode dialogue as JSON
-            const dialogueJson = JSON.stringify(npc.dialogue || []);
-            npcParts.push(dialogueJson);
-          }
-          socket.write(npcParts.join('|') + '\n');
-        }
+    // Game is always running, so we don't reject based on gameStarted
+    // Players can join at any time during the cycle
 
-        // Send Animal data (server-authoritative)
-        const animals = roomData.gameServer.getAnimals();
-        if (animals.length > 0) {
-          const animalParts = ['animals', animals.length.toString()];
-          for (const animal of animals) {
-            animalParts.push(Math.floor(animal.x).toString());
-            animalParts.push(Math.floor(animal.y).toString());
-            animalParts.push(animal.spritePath || '');
-            animalParts.push(animal.name || 'Animal');
-            animalParts.push(animal.speed.toString());
-            animalParts.push(Math.floor(animal.groupCenterX).toString());
-            animalParts.push(Math.floor(animal.groupCenterY).toString());
-            animalParts.push(Math.floor(animal.groupRadius).toString());
-          }
-          socket.write(animalParts.join('|') + '\n');
-        }
+    let roomData = roomSockets.get(code);
+    // Only codes the matchmaker issued (or restored rooms) start a game server
+    if (!room && !roomData) {
+      if (!ALLOW_UNLISTED_ROOMS) {
+        console.log(`[TCP] Rejected join for unknown room ${code}`);
+        connection.disconnect('Room not found');
+        return;
+      }
+      if (roomCount() >= MAX_ROOMS) {
+        console.log(`[TCP] Rejected join for room ${code}, ${MAX_ROOMS} rooms already open`);
+        connection.disconnect('Server is full');
+        return;
+      }
+    }
 
-        const stateJson = roomData.gameServer.getStateSnapshot();
-        socket.write(`state|${stateJson}\n`);
+    // Listed rooms keep reserved seats for their tickets; a resuming player already has one
+    const spectating = join.options.spectate === '1';
+    const resuming = !!(join.token && roomData && roomData.sessions.has(join.token));
+    if (room && !resuming && !spectating) {
+      const ticket = join.options.ticket;
+      if (!(ticket && redeemTicket(room, ticket)) && seatsTaken(room) >= room.maxPlayers) {
+        console.log(`[TCP] Rejected join for room ${code}, all ${room.maxPlayers} seats taken`);
+        connection.disconnect('Room full');
+        return;
+      }
+    }
+    currentRoomCode = code;
 
-        // Update room player count
-        if (room) {
-          room.players = roomData.sockets.size;
-        }
+    if (!roomData) {
+      // Create new room with game server (always running)
+      // Matchmaker rooms fix mode, seed and size at creation, ad-hoc codes may pick a mode in JOIN
+      roomData = startRoom(code, room || { mode: join.options.mode || DEFAULT_GAME_MODE });
+      console.log(`[TCP] Room ${code} created with game server (always running)`);
+    }
 
-        console.log(`[TCP] Player ${playerId} joined room ${code} (${roomData.sockets.size} players)`);
+    // Switch to framed binary if the client asked for it (old clients never do)
+    connection.upgrade(requestedProtocolVersion(join));
 
-        // Notify all players they are paired when 2+ players are present
-        if (roomData.sockets.size >= 2) {
-          roomData.sockets.forEach((_, s) => s.write('PAIRED\n'));
-        }
-        continue;
+    if (spectating) {
+      joinAsSpectator(code, roomData, join.options.follow);
+      return;
+    }
+
+    // A known session token gets its player back, boons, kills and position included
+    let token = join.token;
+    const session = token ? roomData.sessions.get(token) : undefined;
+    let playerId: string;
+    if (token && session) {
+      playerId = session.playerId;
+      if (session.expiry) clearTimeout(session.expiry);
+      session.expiry = null;
+
+      // The old socket may not have noticed it's dead yet; this one replaces it
+      for (const [c, pid] of roomData.sockets) {
+        if (pid !== playerId) continue;
+        roomData.sockets.delete(c);
+        c.socket.destroy();
+        roomData.gameServer.parkPlayer(playerId);
       }
+      console.log(`[TCP] Player ${playerId} reconnecting to room ${code}`);
+    } else {
+      if (token) console.log(`[TCP] Unknown or expired session token for room ${code}, joining as a new player`);
+      // Generate a player ID (monotonic to avoid reuse/collisions)
+      playerId = `p${roomData.nextPlayerId++}`;
+      token = generateSessionToken();
+      roomData.sessions.set(token, { playerId, expiry: null });
+    }
+    roomData.sockets.set(connection, playerId);
+    roomData.emptySince = null;
 
-      // Handle game messages server-authoritatively
-      if (currentRoomCode) {
-        const roomData = roomSockets.get(currentRoomCode);
-        if (roomData) {
-          const playerId = roomData.sockets.get(socket);
-
-          // Parse message
-          const parts = line.split('|');
-          const msgType = parts[0];
-
-          if (msgType === 'move' && playerId) {
-            // Player batch update: move|playerId|count|direction|dx1|dy1|sprint1|dt1|seq1|...
-            const count = parseInt(parts[2]) || 0;
-            const direction = parts[3] || 'down';
-            const batch: { dx: number, dy: number, sprinting: boolean, dt: number, seq: number }[] = [];
-
-            for (let i = 0; i < count; i++) {
-              const base = 4 + (i * 5);
-              batch.push({
-                dx: parseFloat(parts[base]) || 0,
-                dy: parseFloat(parts[base + 1]) || 0,
-                sprinting: parts[base + 2] === '1' || parts[base + 2] === 'true',
-                dt: parseFloat(parts[base + 3]) || 0.016,
-                seq: parseInt(parts[base + 4]) || 0
-              });
-            }
-
-            // Server processes batch and returns authoritative position
-            roomData.gameServer.updatePlayerPosition(playerId, direction, batch);
-
-            // Broadcast authoritative position and sync seq to other players
-            const player = roomData.gameServer['state'].players[playerId];
-            if (player) {
-              const broadcastMsg = `move|${playerId}|${player.x.toFixed(2)}|${player.y.toFixed(2)}|${player.direction}|${player.skin || ''}|${player.sprinting ? '1' : '0'}|${player.lastProcessedSeq || 0}\n`;
-              roomData.sockets.forEach((pid, s) => {
-                if (s !== socket) {
-                  s.write(broadcastMsg);
-                }
-              });
-            }
-          } else if (msgType === 'shoot' && playerId) {
-            // Shoot input - server handles it
-            const angle = parseFloat(parts[2]) || 0;
-            roomData.gameServer.handleShoot(playerId, angle);
-            // Don't echo back to sender, state will be broadcast
-          } else if (msgType === 'interact' && playerId) {
-            // Interact input - server handles it
-            roomData.gameServer.handleInteract(playerId);
-            // Don't echo back to sender, state will be broadcast
-            roomData.sockets.forEach((_, s) => {
-              if (s !== socket) {
-                s.write(line + '\n');
-              }
-            });
-          } else if (msgType === 'chunk') {
-            // Chunk request: chunk|cx|cy
-            const cx = parseInt(parts[1]);
-            const cy = parseInt(parts[2]);
-
-            if (!isNaN(cx) && !isNaN(cy)) {
-              const chunkData = roomData.gameServer.getChunkData(cx, cy);
-              if (chunkData) {
-                // Send chunk data back
-                const json = JSON.stringify(chunkData);
-                socket.write(`chunk|${cx}|${cy}|${json}\n`);
-              }
-            }
-          } else {
-            // Unknown message type - just relay
-            roomData.sockets.forEach((_, s) => {
-              if (s !== socket) {
-                s.write(line + '\n');
-              }
-            });
+    // Add player to game server (will scatter spawn automatically, or resume a parked player)
+    roomData.gameServer.addPlayer(playerId);
+
+    // Get the actual spawn position from the game server
+    const player = roomData.gameServer['state'].players[playerId];
+    const spawnX = player ? Math.floor(player.x) : 2500;
+    const spawnY = player ? Math.floor(player.y) : 2500;
+
+    // Send player their ID, session token and initial state
+    connection.sendJoin(playerId, spawnX, spawnY, token);
+
+    // Send NPC data (server-authoritative)
+    const npcs = roomData.gameServer.getNPCs();
+    if (npcs.length > 0) {
+      connection.sendNpcs(npcs);
+    }
+
+    // Send Animal data (server-authoritative)
+    const animals = roomData.gameServer.getAnimals();
+    if (animals.length > 0) {
+      connection.sendAnimals(animals);
+    }
+
+    connection.sendState(roomData.gameServer.getState());
+
+    // Update room player count
+    if (room) {
+      room.players = roomData.sockets.size;
+    }
+
+    console.log(`[TCP] Player ${playerId} joined room ${code} (${roomData.sockets.size} players${connection.binary ? ', binary' : ''})`);
+
+    // Notify all players they are paired when 2+ players are present
+    if (roomData.sockets.size >= 2) {
+      roomData.sockets.forEach((_, c) => c.sendPaired());
+    }
+  };
+
+  // JOIN:<code>:spectate=1[:follow=<playerId>] - watch the room without joining it
+  const joinAsSpectator = (code: string, roomData: RoomData, follow: string | undefined) => {
+    const gameServer = roomData.gameServer;
+    const spectator: Spectator = { follow: null, x: gameServer.worldWidth / 2, y: gameServer.worldHeight / 2 };
+    // Follow the requested player, else anyone, else watch the middle of the map
+    aimSpectator(gameServer, spectator, follow || Object.keys(gameServer['state'].players)[0] || '', spectator.x, spectator.y);
+    roomData.spectators.set(connection, spectator);
+
+    connection.sendSpectate(spectator.follow, Math.floor(spectator.x), Math.floor(spectator.y));
+    const npcs = gameServer.getNPCs();
+    if (npcs.length > 0) connection.sendNpcs(npcs);
+    const animals = gameServer.getAnimals();
+    if (animals.length > 0) connection.sendAnimals(animals);
+    connection.sendState(gameServer.getStateAt(spectator.x, spectator.y));
+
+    console.log(`[TCP] Spectator joined room ${code} (${spectator.follow ? `following ${spectator.follow}` : 'free camera'}, ${roomData.spectators.size} watching)`);
+  };
+
+  // Drop a player the input guard gave up on
+  const kickIfCheating = (roomData: RoomData, playerId: string): boolean => {
+    if (!roomData.gameServer.inputGuard.shouldKick(playerId)) return false;
+    disconnectPlayer(currentRoomCode!, roomData, connection, 'Disconnected for repeated input violations');
+    return true;
+  };
+
+  // Handle game messages server-authoritatively
+  const handleMessage = (msg: ClientMessage) => {
+    if (!currentRoomCode) return;
+    const roomData = roomSockets.get(currentRoomCode);
+    if (!roomData) return;
+
+    // Spectators only steer their camera and load chunks; nothing they send reaches the room
+    const spectator = roomData.spectators.get(connection);
+    if (spectator && msg.type === 'spectate') {
+      aimSpectator(roomData.gameServer, spectator, msg.follow, msg.x, msg.y);
+      connection.sendSpectate(spectator.follow, Math.floor(spectator.x), Math.floor(spectator.y));
+      return;
+    }
+    if (spectator && msg.type !== 'chunk') return;
+
+    const playerId = roomData.sockets.get(connection);
+
+    if (msg.type === 'move' && playerId) {
+      if (msg.claimed !== undefined) {
+        roomData.gameServer.inputGuard.report(playerId, 'move_batch', `${msg.claimed} inputs in one batch, ${MAX_MOVE_BATCH} allowed`);
+      }
+      // Server processes batch and returns authoritative position
+      roomData.gameServer.updatePlayerPosition(playerId, msg.direction, msg.batch);
+      if (kickIfCheating(roomData, playerId)) return;
+
+      // Broadcast authoritative position and sync seq to other players
+      const player = roomData.gameServer['state'].players[playerId];
+      if (player) {
+        const move = {
+          playerId,
+          x: player.x,
+          y: player.y,
+          direction: player.direction,
+          skin: player.skin || '',
+          sprinting: !!player.sprinting,
+          lastProcessedSeq: player.lastProcessedSeq || 0,
+        };
+        roomData.sockets.forEach((pid, c) => {
+          if (c !== connection) {
+            c.sendMove(move);
           }
+        });
+        roomData.spectators.forEach((_, c) => c.sendMove(move));
+      }
+    } else if (msg.type === 'shoot' && playerId) {
+      // Shoot input - server handles it
+      roomData.gameServer.handleShoot(playerId, msg.angle, connection.latencyMs);
+      kickIfCheating(roomData, playerId);
+      // Don't echo back to sender, state will be broadcast
+    } else if (msg.type === 'interact' && playerId) {
+      // Interact input - server handles it
+      roomData.gameServer.handleInteract(playerId);
+      // Don't echo back to sender, state will be broadcast
+      roomData.sockets.forEach((_, c) => {
+        if (c !== connection) {
+          c.sendInteract(playerId);
+        }
+      });
+    } else if (msg.type === 'chunk') {
+      if (!isNaN(msg.cx) && !isNaN(msg.cy)) {
+        const chunkData = roomData.gameServer.getChunkData(msg.cx, msg.cy);
+        if (chunkData) {
+          metrics.chunkRequests.inc();
+          // Send chunk data back
+          connection.sendChunk(msg.cx, msg.cy, chunkData);
         }
       }
+    } else if (msg.type === 'relay') {
+      // Unknown message type - just relay
+      roomData.sockets.forEach((_, c) => {
+        if (c !== connection) {
+          c.sendRelay(msg.line);
+        }
+      });
     }
-  });
+  };
+
+  const connection = new Connection(socket, { onJoin: handleJoin, onMessage: handleMessage });
+
+  socket.on('data', (data: Buffer) => connection.receive(data));
 
   const cleanup = () => {
     if (cleanedUp) return;  // Prevent double cleanup
@@ -318,11 +984,24 @@ const tcpServer = net.createServer((socket: net.Socket) => {
     if (currentRoomCode) {
       const roomData = roomSockets.get(currentRoomCode);
       if (roomData) {
-        // Remove player from game server
-        const playerId = roomData.sockets.get(socket);
-        roomData.sockets.delete(socket);  // Remove socket from map
+        if (roomData.spectators.delete(connection)) {
+          console.log(`[TCP] Spectator left room ${currentRoomCode}, ${roomData.spectators.size} watching`);
+          return;
+        }
+
+        const playerId = roomData.sockets.get(connection);
+        // Replaced by a reconnect from the same player, or kicked; nothing to clean up
+        if (!playerId) return;
+        roomData.sockets.delete(connection);  // Remove socket from map
 
-        if (playerId) {
+        // Park the player for a reconnect, or remove them if reconnects are off
+        const session = findSession(roomData, playerId);
+        if (session && RECONNECT_GRACE_MS > 0) {
+          roomData.gameServer.parkPlayer(playerId);
+          holdSession(currentRoomCode, roomData, session[0], session[1]);
+          console.log(`[TCP] Holding ${playerId} in room ${currentRoomCode} for ${RECONNECT_GRACE_MS / 1000}s`);
+        } else {
+          if (session) roomData.sessions.delete(session[0]);
           roomData.gameServer.removePlayer(playerId);
         }
 
@@ -331,12 +1010,13 @@ const tcpServer = net.createServer((socket: net.Socket) => {
         if (room) room.players = roomData.sockets.size;
 
         if (roomData.sockets.size === 0) {
-          // No players left - but keep room and game server running!
-          // Game cycle continues even with no players
-          console.log(`[TCP] Room ${currentRoomCode} empty but game server continues running`);
+          // No players left - the game cycle keeps running until the room idles out
+          roomData.emptySince = Date.now();
+          const idle = ROOM_IDLE_TIMEOUT_MS > 0 ? `closing after ${ROOM_IDLE_TIMEOUT_MS / 1000}s idle` : 'game server continues running';
+          console.log(`[TCP] Room ${currentRoomCode} empty, ${idle}`);
         } else {
           // Notify remaining player(s) that opponent left
-          roomData.sockets.forEach((_, s) => s.write('OPPONENT_LEFT\n'));
+          roomData.sockets.forEach((_, c) => c.sendOpponentLeft());
           console.log(`[TCP] Player ${playerId} left room ${currentRoomCode}, ${roomData.sockets.size} players remaining`);
 
           // Update room player count
@@ -349,43 +1029,100 @@ const tcpServer = net.createServer((socket: net.Socket) => {
   socket.on('close', cleanup);
   socket.on('error', (err) => {
     console.log(`[TCP] Socket error: ${err.message}`);
+    metrics.socketErrors.inc({ code: (err as NodeJS.ErrnoException).code || 'unknown' });
     cleanup();
   });
 });
 
-tcpServer.listen(TCP_PORT, '0.0.0.0', () => {
-  console.log(`[TCP] Relay listening on port ${TCP_PORT}`);
-});
+// Restore saved rooms before accepting players, so a rejoin can't race a fresh room
+restoreRooms()
+  .catch(err => console.log(`[Store] Restore failed, starting empty: ${(err as Error).message}`))
+  .then(() => {
+    app.listen(HTTP_PORT, '0.0.0.0', () => {
+      console.log(`[HTTP] Matchmaker listening on port ${HTTP_PORT}`);
+    });
+    tcpServer.listen(TCP_PORT, '0.0.0.0', () => {
+      console.log(`[TCP] Relay listening on port ${TCP_PORT}`);
+    });
+  });
 
 // State broadcast loop - send game state to all clients periodically
 setInterval(() => {
   const now = Date.now();
+  const started = performance.now();
 
   for (const [roomCode, roomData] of roomSockets.entries()) {
     // Check if it's time to broadcast state
     if (now - roomData.lastStateBroadcast >= roomData.stateBroadcastInterval) {
-      const stateJson = roomData.gameServer.getStateSnapshot();
       const cycleTime = roomData.gameServer.getCycleTimeRemaining();
       const cycleDuration = roomData.gameServer.getCycleDuration();
+      const environment = roomData.gameServer.getEnvironment();
 
       // Broadcast state to all players in room
-      roomData.sockets.forEach((playerId, socket) => {
+      roomData.sockets.forEach((playerId, connection) => {
         // Send state snapshot (spatial partitioned)
-        const stateJson = roomData.gameServer.getPlayerStateSnapshot(playerId);
-
-        socket.write(`state|${stateJson}\n`);
+        connection.sendState(roomData.gameServer.getPlayerState(playerId));
         // Send cycle time update
-        socket.write(`cycle|${cycleTime}|${cycleDuration}\n`);
+        connection.sendCycle(cycleTime, cycleDuration);
+        connection.sendEnvironment(environment, now);
+        // Keep the latency estimate used for lag compensation fresh
+        connection.sendPing(now);
+      });
+
+      // Spectators see the interest area around their camera, which moves with the player they follow
+      roomData.spectators.forEach((spectator, connection) => {
+        if (spectator.follow) {
+          const target = roomData.gameServer['state'].players[spectator.follow];
+          if (target) {
+            spectator.x = target.x;
+            spectator.y = target.y;
+          } else {
+            // They left; hold the camera where they were
+            spectator.follow = null;
+            connection.sendSpectate(null, Math.floor(spectator.x), Math.floor(spectator.y));
+          }
+        }
+        connection.sendState(roomData.gameServer.getStateAt(spectator.x, spectator.y));
+        connection.sendCycle(cycleTime, cycleDuration);
+        connection.sendEnvironment(environment, now);
+        connection.sendPing(now);
       });
 
       roomData.lastStateBroadcast = now;
     }
   }
+  metrics.broadcastDuration.observe((performance.now() - started) / 1000);
 }, 50); // Check every 50ms (20 times per second)
 
-// Cleanup: Periodically remove rooms that have been empty for too long (optional)
-// For now, we keep rooms running indefinitely as requested
-setInterval(() => {
-  // Could add logic here to clean up rooms after X hours of being empty
-  // For now, rooms persist forever as requested
-}, 60000); // Check every minute
+// Cleanup: close rooms that have been empty for ROOM_IDLE_TIMEOUT_MS, and drop
+// matchmaker listings nobody joined or heartbeated in that time
+if (ROOM_IDLE_TIMEOUT_MS > 0) {
+  setInterval(() => {
+    const now = Date.now();
+    for (const [code, roomData] of roomSockets) {
+      if (roomData.emptySince !== null && now - roomData.emptySince >= ROOM_IDLE_TIMEOUT_MS) {
+        closeRoom(code, 'idle');
+      }
+    }
+    for (const [code, room] of rooms) {
+      if (!roomSockets.has(code) && now - room.lastHeartbeat >= ROOM_IDLE_TIMEOUT_MS) {
+        closeRoom(code, 'never joined');
+      }
+    }
+  }, Math.min(60000, ROOM_IDLE_TIMEOUT_MS)); // Check every minute
+}
+
+// Periodic room snapshots, plus a final one when the platform stops us (deploys send SIGTERM)
+if (roomStore) {
+  console.log(`[Store] Saving rooms to ${roomStore.name} store every ${ROOM_SNAPSHOT_INTERVAL_MS}ms`);
+  setInterval(() => {
+    saveAllRooms();
+  }, ROOM_SNAPSHOT_INTERVAL_MS);
+}
+
+for (const signal of ['SIGTERM', 'SIGINT'] as const) {
+  process.once(signal, () => {
+    console.log(`[Store] ${signal} received, saving ${roomSockets.size} rooms before exit`);
+    saveAllRooms().then(() => process.exit(0));
+  });
+}
@@ -0,0 +1,110 @@
+// server/src/metrics/Metrics.ts
+// Just enough of the Prometheus text exposition format for /metrics: labelled
+// counters, rolling duration summaries, and a writer that renders them.
+
+export type Labels = { [name: string]: string };
+
+export const QUANTILES = [0.5, 0.9, 0.99];
+
+function labelKey(labels: Labels): string {
+  return Object.keys(labels).sort().map(name => `${name}=${labels[name]}`).join(',');
+}
+
+export class Counter {
+  private values: Map<string, { labels: Labels; value: number }> = new Map();
+
+  inc(labels: Labels = {}, by: number = 1): void {
+    const key = labelKey(labels);
+    const entry = this.values.get(key);
+    if (entry) {
+      entry.value += by;
+    } else {
+      this.values.set(key, { labels, value: by });
+    }
+  }
+
+  samples(): [Labels, number][] {
+    return Array.from(this.values.values(), entry => [entry.labels, entry.value]);
+  }
+}
+
+// Durations in seconds. Quantiles cover the most recent `size` samples (a 60Hz
+// tick fills 600 in ten seconds); sum and count since start cover everything.
+export class DurationSummary {
+  private window: Float64Array;
+  private next: number = 0;
+  private filled: number = 0;
+  sum: number = 0;
+  count: number = 0;
+
+  constructor(size: number = 600) {
+    this.window = new Float64Array(size);
+  }
+
+  observe(seconds: number): void {
+    this.window[this.next] = seconds;
+    this.next = (this.next + 1) % this.window.length;
+    this.filled = Math.min(this.filled + 1, this.window.length);
+    this.sum += seconds;
+    this.count++;
+  }
+
+  quantiles(qs: number[] = QUANTILES): number[] {
+    if (this.filled === 0) return qs.map(() => NaN);
+    const sorted = this.window.slice(0, this.filled).sort();
+    return qs.map(q => sorted[Math.min(this.filled - 1, Math.floor(q * this.filled))]);
+  }
+}
+
+function escapeLabel(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels: Labels): string {
+  const names = Object.keys(labels);
+  if (names.length === 0) return '';
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+function formatValue(value: number): string {
+  if (Number.isNaN(value)) return 'NaN';
+  if (!Number.isFinite(value)) return value > 0 ? '+Inf' : '-Inf';
+  return String(value);
+}
+
+// Collects families for one scrape; each family is written once with its HELP and TYPE
+export class MetricsWriter {
+  private lines: string[] = [];
+
+  gauge(name: string, help: string, samples: [Labels, number][]): this {
+    return this.family(name, help, 'gauge', samples);
+  }
+
+  counter(name: string, help: string, samples: [Labels, number][]): this {
+    return this.family(name, help, 'counter', samples);
+  }
+
+  summary(name: string, help: string, samples: [Labels, DurationSummary][]): this {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} summary`);
+    for (const [labels, summary] of samples) {
+      summary.quantiles().forEach((value, i) => {
+        this.lines.push(`${name}${formatLabels({ ...labels, quantile: String(QUANTILES[i]) })} ${formatValue(value)}`);
+      });
+      this.lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(summary.sum)}`);
+      this.lines.push(`${name}_count${formatLabels(labels)} ${summary.count}`);
+    }
+    return this;
+  }
+
+  toString(): string {
+    return this.lines.join('\n') + '\n';
+  }
+
+  private family(name: string, help: string, type: string, samples: [Labels, number][]): this {
+    this.lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      this.lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return this;
+  }
+}
@@ -0,0 +1,21 @@
+// server/src/metrics/index.ts
+// Process-wide counters for /metrics. Room gauges and tick timings are read
+// from the rooms themselves when scraped.
+
+import { Counter, DurationSummary } from './Metrics';
+
+export { Counter, DurationSummary, MetricsWriter } from './Metrics';
+export type { Labels } from './Metrics';
+
+const chunkRequests = new Counter();
+chunkRequests.inc({}, 0); // Report 0 before the first request, not nothing
+
+export const metrics = {
+  messagesIn: new Counter(), // { type, protocol }
+  bytesIn: new Counter(),
+  messagesOut: new Counter(),
+  bytesOut: new Counter(),
+  chunkRequests,
+  socketErrors: new Counter(), // { code }
+  broadcastDuration: new DurationSummary(200), // 20 broadcasts a second, so ten seconds
+};
@@ -0,0 +1,116 @@
+// server/src/modes/BoonSnatchMode.ts
+// Boon Snatch: 20-minute extraction cycles. Loot boons from chests, kill other
+// players to steal theirs, and reach an extraction zone before the deadly
+// event wipes everyone still in the field.
+
+import type { Player } from '../game_server';
+import { GameMode, GameModeHost } from './GameMode';
+
+export class BoonSnatchMode implements GameMode {
+  readonly id = 'boonsnatch';
+  readonly cycleDuration = 20 * 60 * 1000; // 20 minutes in milliseconds
+  private readonly CHEST_COUNT = 10;
+  private readonly DEADLY_EVENT_RESET_DELAY = 5000; // ms between the wipe and the next cycle
+  private readonly ZONE_MARGIN = 250; // Extraction zones sit this far in from each corner
+  private resetTimer: NodeJS.Timeout | null = null; // Pending reset after the deadly event
+
+  onInit(game: GameModeHost): void {
+    const m = this.ZONE_MARGIN;
+    game.state.extractionZones = [
+      { x: m, y: m, radius: 50 }, // Top-left
+      { x: game.worldWidth - m, y: m, radius: 50 }, // Top-right
+      { x: m, y: game.worldHeight - m, radius: 50 }, // Bottom-left
+      { x: game.worldWidth - m, y: game.worldHeight - m, radius: 50 }, // Bottom-right
+    ];
+    game.spawnInitialChests(this.CHEST_COUNT);
+  }
+
+  onPlayerJoin(_game: GameModeHost, _player: Player): void {}
+
+  onPlayerLeave(_game: GameModeHost, _player: Player): void {}
+
+  canDamage(_game: GameModeHost, _attacker: Player | null, _victim: Player): boolean {
+    return true;
+  }
+
+  onKill(game: GameModeHost, killer: Player | null, victim: Player): void {
+    // Player died - steal boons!
+    if (killer) {
+      // Anything past the killer's stack caps is lost
+      while (victim.boons.length > 0) {
+        game.transferBoon(victim, killer, victim.boons.length - 1);
+      }
+      killer.kills++;
+    }
+    // Monsters, animals and the storm count as deaths too
+    victim.deaths++;
+
+    // Respawn player
+    game.respawnPlayer(victim.id);
+  }
+
+  onInteract(game: GameModeHost, player: Player): void {
+    if (game.openNearbyChest(player)) return; // Only open one chest at a time
+
+    // Check for extraction zones
+    for (const zone of game.state.extractionZones) {
+      const dx = player.x - zone.x;
+      const dy = player.y - zone.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist <= zone.radius && !player.extracted) {
+        player.extracted = true;
+        console.log(`[BoonSnatch] Player ${player.id} extracted at zone (${zone.x}, ${zone.y})`);
+        // Could add extraction timer/sequence here
+      }
+    }
+  }
+
+  onTick(_game: GameModeHost, _dt: number): void {}
+
+  // Deadly event: everyone who didn't extract dies
+  onCycleEnd(game: GameModeHost): void {
+    console.log('[BoonSnatch] Deadly event triggered - killing all players');
+    game.state.deadlyEventActive = true;
+
+    // Kill all non-extracted players
+    for (const playerId in game.state.players) {
+      const player = game.state.players[playerId];
+      if (!player.extracted) {
+        player.hp = 0;
+        player.deaths++;
+      }
+    }
+
+    // Reset cycle after a short delay; an admin may trigger the event again meanwhile
+    this.cancelReset();
+    this.resetTimer = setTimeout(() => {
+      this.resetTimer = null;
+      game.resetCycle();
+    }, this.DEADLY_EVENT_RESET_DELAY);
+  }
+
+  onCycleStart(game: GameModeHost): void {
+    // Something (an admin) may have reset the cycle before the pending reset fired
+    this.cancelReset();
+
+    // Respawn all players
+    for (const playerId in game.state.players) {
+      game.respawnPlayer(playerId);
+    }
+
+    // Respawn chests
+    game.spawnInitialChests(this.CHEST_COUNT);
+  }
+
+  onDestroy(_game: GameModeHost): void {
+    this.cancelReset();
+  }
+
+  private cancelReset(): void {
+    if (this.resetTimer) {
+      clearTimeout(this.resetTimer);
+      this.resetTimer = null;
+    }
+  }
+}
@@ -0,0 +1,45 @@
+// server/src/modes/ExplorationMode.ts
+// Peaceful exploration: no player damage, no deadly event. Chests still hand
+// out boons and restock every cycle.
+
+import type { Player } from '../game_server';
+import { GameMode, GameModeHost } from './GameMode';
+
+export class ExplorationMode implements GameMode {
+  readonly id = 'exploration';
+  readonly cycleDuration = 20 * 60 * 1000; // Chest restock interval
+  private readonly CHEST_COUNT = 10;
+
+  onInit(game: GameModeHost): void {
+    game.state.extractionZones = [];
+    game.spawnInitialChests(this.CHEST_COUNT);
+  }
+
+  onPlayerJoin(_game: GameModeHost, _player: Player): void {}
+
+  onPlayerLeave(_game: GameModeHost, _player: Player): void {}
+
+  canDamage(_game: GameModeHost, _attacker: Player | null, _victim: Player): boolean {
+    return false;
+  }
+
+  onKill(game: GameModeHost, _killer: Player | null, victim: Player): void {
+    game.respawnPlayer(victim.id);
+  }
+
+  onInteract(game: GameModeHost, player: Player): void {
+    game.openNearbyChest(player);
+  }
+
+  onTick(_game: GameModeHost, _dt: number): void {}
+
+  onCycleEnd(game: GameModeHost): void {
+    game.resetCycle();
+  }
+
+  onCycleStart(game: GameModeHost): void {
+    game.spawnInitialChests(this.CHEST_COUNT);
+  }
+
+  onDestroy(_game: GameModeHost): void {}
+}
@@ -0,0 +1,40 @@
+// server/src/modes/GameMode.ts
+// Rules of a room live in a GameMode. GameServer owns the simulation (movement,
+// projectiles, chests, animals, the cycle clock) and calls these hooks at the
+// points where a mode decides what happens.
+
+import type { GameState, Player } from '../game_server';
+
+// The parts of GameServer a mode may use
+export interface GameModeHost {
+  readonly state: GameState;
+  readonly worldWidth: number;
+  readonly worldHeight: number;
+  respawnPlayer(playerId: string): void;
+  spawnInitialChests(count: number): void;
+  openNearbyChest(player: Player): boolean;
+  transferBoon(from: Player, to: Player, index: number): void;
+  resetCycle(): void;
+}
+
+export interface GameMode {
+  readonly id: string;
+  readonly cycleDuration: number; // milliseconds
+
+  // World is generated, no players yet
+  onInit(game: GameModeHost): void;
+  onPlayerJoin(game: GameModeHost, player: Player): void;
+  onPlayerLeave(game: GameModeHost, player: Player): void;
+  // Whether a projectile from attacker may hurt victim
+  canDamage(game: GameModeHost, attacker: Player | null, victim: Player): boolean;
+  // victim's hp reached 0; the mode decides on scoring, loot and respawn
+  onKill(game: GameModeHost, killer: Player | null, victim: Player): void;
+  onInteract(game: GameModeHost, player: Player): void;
+  onTick(game: GameModeHost, dt: number): void;
+  // The cycle clock ran out (called once per cycle)
+  onCycleEnd(game: GameModeHost): void;
+  // A new cycle started via resetCycle()
+  onCycleStart(game: GameModeHost): void;
+  // The room is closing; cancel anything still scheduled
+  onDestroy(game: GameModeHost): void;
+}
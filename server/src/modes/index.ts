@@ -0,0 +1,29 @@
+// server/src/modes/index.ts
+// Registry of game modes selectable per room
+
+import { GameMode } from './GameMode';
+import { BoonSnatchMode } from './BoonSnatchMode';
+import { ExplorationMode } from './ExplorationMode';
+
+export type { GameMode, GameModeHost } from './GameMode';
+
+export const DEFAULT_GAME_MODE = 'boonsnatch';
+
+const GAME_MODES: { [id: string]: () => GameMode } = {
+  boonsnatch: () => new BoonSnatchMode(),
+  exploration: () => new ExplorationMode(),
+};
+
+export function isGameMode(id: unknown): id is string {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(GAME_MODES, id);
+}
+
+export function listGameModes(): string[] {
+  return Object.keys(GAME_MODES);
+}
+
+// Each room gets its own instance, modes may keep per-room state
+export function createGameMode(id: string = DEFAULT_GAME_MODE): GameMode {
+  const factory = isGameMode(id) ? GAME_MODES[id] : GAME_MODES[DEFAULT_GAME_MODE];
+  return factory();
+}
@@ -0,0 +1,144 @@
+// server/src/net/BinaryCodec.ts
+// Minimal big-endian reader/writer used by the framed wire protocol
+
+export class BinaryWriter {
+  private buffer: Buffer;
+  private offset: number = 0;
+
+  constructor(initialSize: number = 256) {
+    this.buffer = Buffer.allocUnsafe(initialSize);
+  }
+
+  private ensure(bytes: number): void {
+    if (this.offset + bytes <= this.buffer.length) return;
+    const grown = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.offset + bytes));
+    this.buffer.copy(grown, 0, 0, this.offset);
+    this.buffer = grown;
+  }
+
+  u8(value: number): this {
+    this.ensure(1);
+    this.buffer.writeUInt8(value & 0xff, this.offset);
+    this.offset += 1;
+    return this;
+  }
+
+  bool(value: boolean | undefined): this {
+    return this.u8(value ? 1 : 0);
+  }
+
+  u16(value: number): this {
+    this.ensure(2);
+    this.buffer.writeUInt16BE(Math.max(0, Math.min(0xffff, Math.floor(value))), this.offset);
+    this.offset += 2;
+    return this;
+  }
+
+  u32(value: number): this {
+    this.ensure(4);
+    this.buffer.writeUInt32BE(Math.max(0, Math.min(0xffffffff, Math.floor(value))), this.offset);
+    this.offset += 4;
+    return this;
+  }
+
+  i32(value: number): this {
+    this.ensure(4);
+    this.buffer.writeInt32BE(Math.max(-0x80000000, Math.min(0x7fffffff, Math.floor(value))), this.offset);
+    this.offset += 4;
+    return this;
+  }
+
+  f32(value: number): this {
+    this.ensure(4);
+    this.buffer.writeFloatBE(value || 0, this.offset);
+    this.offset += 4;
+    return this;
+  }
+
+  // Strings are UTF-8 with a u16 byte-length prefix
+  str(value: string | undefined): this {
+    const text = value || '';
+    const length = Math.min(Buffer.byteLength(text, 'utf8'), 0xffff);
+    this.u16(length);
+    this.ensure(length);
+    this.buffer.write(text, this.offset, length, 'utf8');
+    this.offset += length;
+    return this;
+  }
+
+  bytes(data: Buffer): this {
+    this.ensure(data.length);
+    data.copy(this.buffer, this.offset);
+    this.offset += data.length;
+    return this;
+  }
+
+  toBuffer(): Buffer {
+    return this.buffer.subarray(0, this.offset);
+  }
+}
+
+// Reads throw a RangeError when the payload is shorter than expected,
+// callers treat that as a malformed frame.
+export class BinaryReader {
+  private buffer: Buffer;
+  private offset: number = 0;
+
+  constructor(buffer: Buffer) {
+    this.buffer = buffer;
+  }
+
+  remaining(): number {
+    return this.buffer.length - this.offset;
+  }
+
+  u8(): number {
+    const value = this.buffer.readUInt8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  bool(): boolean {
+    return this.u8() !== 0;
+  }
+
+  u16(): number {
+    const value = this.buffer.readUInt16BE(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32(): number {
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  i32(): number {
+    const value = this.buffer.readInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  f32(): number {
+    const value = this.buffer.readFloatBE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  str(): string {
+    const length = this.u16();
+    if (this.offset + length > this.buffer.length) {
+      throw new RangeError(`String of ${length} bytes overruns payload`);
+    }
+    const value = this.buffer.toString('utf8', this.offset, this.offset + length);
+    this.offset += length;
+    return value;
+  }
+
+  rest(): Buffer {
+    const value = this.buffer.subarray(this.offset);
+    this.offset = this.buffer.length;
+    return value;
+  }
+}
@@ -0,0 +1,384 @@
+// server/src/net/Connection.ts
+// One TCP client of the relay: buffers inbound bytes, splits them into lines
+// (legacy text) or frames (binary), and encodes outbound messages in whichever
+// protocol the client negotiated during JOIN.
+
+import net from 'net';
+import { StateSnapshot, NPC, Animal } from '../game_server';
+import { ChunkData } from '../world/ChunkManager';
+import { EnvironmentState, Weather } from '../world/Environment';
+import { SnapshotHistory } from './SnapshotHistory';
+import { metrics } from '../metrics';
+import {
+  ClientMessage,
+  DELTA_PROTOCOL_VERSION,
+  ENTITY_KINDS,
+  EntityKind,
+  JoinRequest,
+  MessageType,
+  MoveBroadcast,
+  FRAME_HEADER_SIZE,
+  MAX_FRAME_SIZE,
+  parseJoinLine,
+  parseTextMessage,
+  decodeClientFrame,
+  encodeFrame,
+  encodeJoin,
+  encodeSpectate,
+  encodeMove,
+  encodeCycle,
+  encodeEnvironment,
+  encodeNpcs,
+  encodeAnimals,
+  encodeChunk,
+  encodeState,
+  encodeDespawn,
+} from './protocol';
+
+const PING_INTERVAL_MS = 1000;
+const ENVIRONMENT_INTERVAL_MS = 1000; // The clock moves slowly; weather and night go out at once
+
+// Metric label for a frame type: StateDelta -> state_delta
+function messageName(type: number): string {
+  const name = MessageType[type];
+  return name ? name.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase() : 'unknown';
+}
+
+export interface ConnectionHandlers {
+  onJoin(join: JoinRequest): void;
+  onMessage(msg: ClientMessage): void;
+}
+
+export class Connection {
+  readonly socket: net.Socket;
+  private handlers: ConnectionHandlers;
+  private buffer: Buffer = Buffer.alloc(0);
+  private protocolVersion: number = 0; // 0 = legacy text protocol
+  private snapshots: SnapshotHistory | null = null; // Only for clients that ack deltas
+  private visible: { [K in EntityKind]?: Set<string> } = {}; // Entity ids in the last full snapshot
+  private nextPingId: number = 1;
+  private pendingPing: { id: number; sentAt: number } | null = null;
+  private lastPingAt: number = 0;
+  private rttMs: number = 0; // Smoothed round-trip time, 0 until the first pong
+  private closing: boolean = false; // Disconnected by the server; ignore anything still buffered
+  private lastEnvironment: { sentAt: number; isNight: boolean; weather: Weather } | null = null; // Last one sent, for throttling
+
+  constructor(socket: net.Socket, handlers: ConnectionHandlers) {
+    this.socket = socket;
+    this.handlers = handlers;
+  }
+
+  get binary(): boolean {
+    return this.protocolVersion > 0;
+  }
+
+  get latencyMs(): number {
+    return this.rttMs;
+  }
+
+  // Acknowledge the requested protocol; everything after the ack is framed.
+  // Bytes already buffered behind the JOIN line are parsed as frames too.
+  upgrade(version: number): void {
+    if (version <= 0 || this.binary) return;
+    this.writeRaw(`PROTO|${version}\n`, 'handshake');
+    this.protocolVersion = version;
+    if (version >= DELTA_PROTOCOL_VERSION) {
+      this.snapshots = new SnapshotHistory();
+    }
+  }
+
+  receive(data: Buffer): void {
+    if (this.closing) return;
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+
+    while (!this.socket.destroyed && !this.closing) {
+      if (this.binary) {
+        if (this.buffer.length < 4) break;
+        const length = this.buffer.readUInt32BE(0);
+        if (length === 0 || length > MAX_FRAME_SIZE) {
+          console.log(`[TCP] Invalid frame length ${length}, dropping connection`);
+          this.socket.destroy();
+          return;
+        }
+        if (this.buffer.length < 4 + length) break;
+
+        const type = this.buffer.readUInt8(4);
+        const payload = this.buffer.subarray(FRAME_HEADER_SIZE, 4 + length);
+        this.buffer = this.buffer.subarray(4 + length);
+        this.countIn(messageName(type), 4 + length);
+
+        let msg: ClientMessage | null;
+        try {
+          msg = decodeClientFrame(type, payload);
+        } catch (err) {
+          console.log(`[TCP] Malformed frame type ${type}: ${(err as Error).message}`);
+          continue;
+        }
+        if (msg) {
+          this.dispatch(msg);
+        } else {
+          console.log(`[TCP] Ignoring unexpected frame type ${type}`);
+        }
+      } else {
+        const newline = this.buffer.indexOf(0x0a);
+        if (newline === -1) {
+          if (this.buffer.length > MAX_FRAME_SIZE) {
+            console.log('[TCP] Line too long, dropping connection');
+            this.socket.destroy();
+          }
+          break;
+        }
+
+        const line = this.buffer.toString('utf8', 0, newline);
+        this.buffer = this.buffer.subarray(newline + 1);
+
+        if (line.startsWith('JOIN:')) {
+          this.countIn('join', newline + 1);
+          const join = parseJoinLine(line);
+          if (join) this.handlers.onJoin(join);
+        } else if (line !== '') {
+          const msg = parseTextMessage(line);
+          this.countIn(msg.type, newline + 1);
+          this.dispatch(msg);
+        }
+      }
+    }
+  }
+
+  // Server-originated ping using the clients' existing ping|<n> / pong|<n>
+  // vocabulary; self-throttled, so it's safe to call every broadcast
+  sendPing(now: number = Date.now()): void {
+    if (now - this.lastPingAt < PING_INTERVAL_MS) return;
+    this.lastPingAt = now;
+    this.pendingPing = { id: this.nextPingId++, sentAt: now };
+    this.sendRelay(`ping|${this.pendingPing.id}`);
+  }
+
+  // The session token comes last; older clients only read the id and spawn
+  sendJoin(playerId: string, x: number, y: number, token: string): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Join, encodeJoin(playerId, x, y, token));
+    } else {
+      this.writeRaw(`join|${playerId}|${x}|${y}|${token}\n`, 'join');
+    }
+  }
+
+  // Tell the client why and hang up: a refused JOIN, a kick or a closed room.
+  // ERROR:<reason> is the line text clients already print; binary clients get
+  // it in a relay frame.
+  disconnect(reason: string): void {
+    if (this.closing) return;
+    this.sendRelay(`ERROR:${reason.replace(/[\r\n]/g, ' ')}`);
+    this.closing = true;
+    this.socket.end();
+  }
+
+  // Server announcement shown to players (announce|<text>)
+  sendAnnouncement(text: string): void {
+    this.sendRelay(`announce|${text.replace(/[|\r\n]/g, ' ')}`);
+  }
+
+  // Spectators get this instead of join, and again whenever their camera changes
+  sendSpectate(follow: string | null, x: number, y: number): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Spectate, encodeSpectate(follow || '', x, y));
+    } else {
+      this.writeRaw(`spectate|${follow || ''}|${x}|${y}\n`, 'spectate');
+    }
+  }
+
+  sendNpcs(npcs: NPC[]): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Npcs, encodeNpcs(npcs));
+      return;
+    }
+
+    const npcParts = ['npcs', npcs.length.toString()];
+    for (const npc of npcs) {
+      npcParts.push(Math.floor(npc.x).toString());
+      npcParts.push(Math.floor(npc.y).toString());
+      npcParts.push(npc.spritePath || '');
+      npcParts.push(npc.name || 'NPC');
+      // Encode dialogue as JSON
+      const dialogueJson = JSON.stringify(npc.dialogue || []);
+      npcParts.push(dialogueJson);
+    }
+    this.writeRaw(npcParts.join('|') + '\n', 'npcs');
+  }
+
+  sendAnimals(animals: Animal[]): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Animals, encodeAnimals(animals));
+      return;
+    }
+
+    const animalParts = ['animals', animals.length.toString()];
+    for (const animal of animals) {
+      animalParts.push(Math.floor(animal.x).toString());
+      animalParts.push(Math.floor(animal.y).toString());
+      animalParts.push(animal.spritePath || '');
+      animalParts.push(animal.name || 'Animal');
+      animalParts.push(animal.speed.toString());
+      animalParts.push(Math.floor(animal.groupCenterX).toString());
+      animalParts.push(Math.floor(animal.groupCenterY).toString());
+      animalParts.push(Math.floor(animal.groupRadius).toString());
+    }
+    this.writeRaw(animalParts.join('|') + '\n', 'animals');
+  }
+
+  sendState(state: StateSnapshot): void {
+    if (this.snapshots) {
+      // Deltas carry their own removals, which double as despawns
+      this.writeFrame(MessageType.StateDelta, this.snapshots.encode(state));
+      return;
+    }
+
+    this.sendDespawns(state);
+    if (this.binary) {
+      this.writeFrame(MessageType.State, encodeState(state));
+    } else {
+      this.writeRaw(`state|${JSON.stringify(state)}\n`, 'state');
+    }
+  }
+
+  sendCycle(timeRemaining: number, duration: number): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Cycle, encodeCycle(timeRemaining, duration));
+    } else {
+      this.writeRaw(`cycle|${timeRemaining}|${duration}\n`, 'cycle');
+    }
+  }
+
+  // Sent on the first broadcast after joining, when night falls or lifts or
+  // the weather changes, and about once a second otherwise
+  sendEnvironment(env: EnvironmentState, now: number = Date.now()): void {
+    const last = this.lastEnvironment;
+    if (last && last.isNight === env.isNight && last.weather === env.weather && now - last.sentAt < ENVIRONMENT_INTERVAL_MS) return;
+    this.lastEnvironment = { sentAt: now, isNight: env.isNight, weather: env.weather };
+
+    if (this.binary) {
+      this.writeFrame(MessageType.Environment, encodeEnvironment(env));
+    } else {
+      this.writeRaw(`env|${env.timeOfDay.toFixed(4)}|${env.day}|${env.isNight ? '1' : '0'}|${env.weather}|${env.weatherRemaining}\n`, 'environment');
+    }
+  }
+
+  sendMove(move: MoveBroadcast): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Move, encodeMove(move));
+    } else {
+      this.writeRaw(`move|${move.playerId}|${move.x.toFixed(2)}|${move.y.toFixed(2)}|${move.direction}|${move.skin}|${move.sprinting ? '1' : '0'}|${move.lastProcessedSeq}\n`, 'move');
+    }
+  }
+
+  sendInteract(playerId: string): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Interact, Buffer.from(playerId, 'utf8'));
+    } else {
+      this.writeRaw(`interact|${playerId}\n`, 'interact');
+    }
+  }
+
+  sendChunk(cx: number, cy: number, chunk: ChunkData): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Chunk, encodeChunk(cx, cy, chunk));
+    } else {
+      this.writeRaw(`chunk|${cx}|${cy}|${JSON.stringify(chunk)}\n`, 'chunk');
+    }
+  }
+
+  sendPaired(): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Paired);
+    } else {
+      this.writeRaw('PAIRED\n', 'paired');
+    }
+  }
+
+  sendOpponentLeft(): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.OpponentLeft);
+    } else {
+      this.writeRaw('OPPONENT_LEFT\n', 'opponent_left');
+    }
+  }
+
+  sendRelay(line: string): void {
+    if (this.binary) {
+      this.writeFrame(MessageType.Relay, Buffer.from(line, 'utf8'));
+    } else {
+      this.writeRaw(line + '\n', 'relay');
+    }
+  }
+
+  // Tell full-snapshot clients about entities that dropped out of view since
+  // the previous snapshot, so they don't linger as ghosts
+  private sendDespawns(state: StateSnapshot): void {
+    const removed: { [K in EntityKind]?: string[] } = {};
+    let any = false;
+
+    for (const kind of ENTITY_KINDS) {
+      const current: { [id: string]: unknown } = state[kind];
+      const previous = this.visible[kind];
+      if (previous) {
+        for (const id of previous) {
+          if (!(id in current)) {
+            (removed[kind] = removed[kind] || []).push(id);
+            any = true;
+          }
+        }
+      }
+      this.visible[kind] = new Set(Object.keys(current));
+    }
+
+    if (!any) return;
+    if (this.binary) {
+      this.writeFrame(MessageType.Despawn, encodeDespawn(removed));
+    } else {
+      for (const kind of ENTITY_KINDS) {
+        const ids = removed[kind];
+        if (ids) this.writeRaw(`despawn|${kind}|${ids.join(',')}\n`, 'despawn');
+      }
+    }
+  }
+
+  // Transport-level messages are handled here, the rest go to the room
+  private dispatch(msg: ClientMessage): void {
+    if (msg.type === 'ack') {
+      if (this.snapshots) this.snapshots.ack(msg.seq);
+    } else if (msg.type === 'resync') {
+      if (this.snapshots) this.snapshots.reset();
+    } else if (msg.type === 'relay' && this.isPongForUs(msg.line)) {
+      const sample = Date.now() - this.pendingPing!.sentAt;
+      this.rttMs = this.rttMs === 0 ? sample : this.rttMs * 0.8 + sample * 0.2;
+      this.pendingPing = null;
+    } else {
+      this.handlers.onMessage(msg);
+    }
+  }
+
+  // Client-to-client pings are relayed as before; only answers to our own ping are consumed
+  private isPongForUs(line: string): boolean {
+    if (!this.pendingPing || !line.startsWith('pong|')) return false;
+    return parseInt(line.split('|')[1], 10) === this.pendingPing.id;
+  }
+
+  private writeFrame(type: MessageType, payload?: Buffer): void {
+    this.writeRaw(encodeFrame(type, payload), messageName(type));
+  }
+
+  // `type` only labels the bandwidth metrics
+  private writeRaw(data: string | Buffer, type: string): void {
+    if (this.socket.destroyed) return;
+    this.socket.write(data);
+    const labels = { type, protocol: this.binary ? 'binary' : 'text' };
+    metrics.messagesOut.inc(labels);
+    metrics.bytesOut.inc(labels, typeof data === 'string' ? Buffer.byteLength(data) : data.length);
+  }
+
+  private countIn(type: string, bytes: number): void {
+    const labels = { type, protocol: this.binary ? 'binary' : 'text' };
+    metrics.messagesIn.inc(labels);
+    metrics.bytesIn.inc(labels, bytes);
+  }
+}
@@ -0,0 +1,102 @@
+// server/src/net/SnapshotHistory.ts
+// Per-client baseline/ack bookkeeping for delta-compressed state snapshots.
+// Remembers what was sent in each unacknowledged snapshot and diffs new
+// snapshots against the newest one the client confirmed it has.
+
+import { BinaryWriter } from './BinaryCodec';
+import { StateSnapshot } from '../game_server';
+import { EntityKind, ENTITY_KINDS, writeEntity, writeStateGlobals } from './protocol';
+
+// Encoded bytes of every entity in a snapshot, per kind, keyed by entity id
+type EntityTable = { [K in EntityKind]: Map<string, Buffer> };
+
+interface SentSnapshot {
+  seq: number;
+  entities: EntityTable;
+}
+
+// 1.6s of snapshots at 20Hz; acks older than this are ignored
+const MAX_PENDING_SNAPSHOTS = 32;
+
+function emptyTable(): EntityTable {
+  return {
+    players: new Map(),
+    pets: new Map(),
+    projectiles: new Map(),
+    chests: new Map(),
+    npcs: new Map(),
+    animals: new Map(),
+    monsters: new Map(),
+    drops: new Map(),
+  };
+}
+
+export class SnapshotHistory {
+  private nextSeq: number = 1;
+  private baseline: SentSnapshot | null = null; // Newest snapshot the client acked
+  private pending: SentSnapshot[] = []; // Sent but not acked yet, oldest first
+
+  // Client confirmed it holds snapshot `seq`; it becomes the diff baseline
+  ack(seq: number): void {
+    const index = this.pending.findIndex(snapshot => snapshot.seq === seq);
+    if (index === -1) return; // Unknown, too old or already superseded
+
+    this.baseline = this.pending[index];
+    this.pending.splice(0, index + 1);
+  }
+
+  // Forget the baseline so the next snapshot is sent in full
+  reset(): void {
+    this.baseline = null;
+    this.pending = [];
+  }
+
+  // Layout: u32 seq, u32 baselineSeq, globals, then per kind:
+  //   u16 changedCount, changed entities..., u16 removedCount, removed ids...
+  encode(state: StateSnapshot): Buffer {
+    const seq = this.nextSeq++;
+    const baseline = this.baseline;
+    const entities = emptyTable();
+
+    const writer = new BinaryWriter(2048);
+    writer.u32(seq).u32(baseline ? baseline.seq : 0);
+    writeStateGlobals(writer, state);
+
+    for (const kind of ENTITY_KINDS) {
+      const current: { [id: string]: any } = state[kind];
+      const previous = baseline ? baseline.entities[kind] : null;
+      const changed: Buffer[] = [];
+
+      for (const id in current) {
+        const entityWriter = new BinaryWriter(64);
+        writeEntity(entityWriter, kind, id, current[id]);
+        const encoded = entityWriter.toBuffer();
+        entities[kind].set(id, encoded);
+
+        const before = previous ? previous.get(id) : undefined;
+        if (!before || !before.equals(encoded)) {
+          changed.push(encoded);
+        }
+      }
+
+      writer.u16(changed.length);
+      for (const encoded of changed) writer.bytes(encoded);
+
+      const removed: string[] = [];
+      if (previous) {
+        for (const id of previous.keys()) {
+          if (!(id in current)) removed.push(id);
+        }
+      }
+      writer.u16(removed.length);
+      for (const id of removed) writer.str(id);
+    }
+
+    this.pending.push({ seq, entities });
+    if (this.pending.length > MAX_PENDING_SNAPSHOTS) {
+      this.pending.shift();
+    }
+
+    return writer.toBuffer();
+  }
+}
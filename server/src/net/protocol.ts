@@ -0,0 +1,421 @@
+// server/src/net/protocol.ts
+// Wire protocol for the TCP relay
+//
+// Legacy clients speak newline-terminated, pipe-delimited text (`move|p1|...`).
+// Newer clients ask for framed binary in the handshake: `JOIN:<code>:proto=1`.
+// The server answers `PROTO|1\n` as the last text line and from then on every
+// message in both directions is a frame:
+//
+//   [u32 length][u8 type][payload...]   (big-endian, length counts type + payload)
+//
+// Clients that never ask keep the text protocol, so both kinds can share a room.
+//
+// Version 2 replaces full State frames with StateDelta frames: each snapshot
+// carries a sequence number and is diffed against the newest snapshot the
+// client acknowledged (Ack). The client must keep the snapshots it received
+// until it has acknowledged a newer one, and apply each delta to the snapshot
+// named by its baseline sequence (0 = no baseline, i.e. a full snapshot).
+// A client that loses track sends Resync and gets a full snapshot next.
+
+import { BinaryReader, BinaryWriter } from './BinaryCodec';
+import type { Animal, Chest, Drop, NPC, Pet, Player, Projectile, StateSnapshot } from '../game_server';
+import type { Monster } from '../world/MonsterManager';
+import type { EnvironmentState } from '../world/Environment';
+import type { ChunkData } from '../world/ChunkManager';
+
+export const PROTOCOL_VERSION = 2;
+export const DELTA_PROTOCOL_VERSION = 2; // First version with delta snapshots
+export const FRAME_HEADER_SIZE = 5;
+export const MAX_FRAME_SIZE = 1024 * 1024; // Anything larger is treated as a broken stream
+export const MAX_MOVE_BATCH = 255; // Binary Move counts its inputs in a u8
+
+export enum MessageType {
+  Join = 0x01,
+  Move = 0x02,
+  Shoot = 0x03,
+  Interact = 0x04,
+  Chunk = 0x05,
+  State = 0x06,
+  Cycle = 0x07,
+  Npcs = 0x08,
+  Animals = 0x09,
+  Paired = 0x0a,
+  OpponentLeft = 0x0b,
+  Relay = 0x0c, // Opaque text line relayed between clients (pet_move, ping, ...)
+  StateDelta = 0x0d,
+  Ack = 0x0e,
+  Resync = 0x0f,
+  Despawn = 0x10,
+  Environment = 0x11,
+  Spectate = 0x12, // Spectator camera: follow a player or hold a point (both directions)
+}
+
+export interface MoveInput {
+  dx: number;
+  dy: number;
+  sprinting: boolean;
+  dt: number;
+  seq: number;
+}
+
+// Client -> server messages after the handshake, independent of encoding
+export type ClientMessage =
+  | { type: 'move'; direction: string; batch: MoveInput[]; claimed?: number } // claimed: count a text line gave past MAX_MOVE_BATCH
+  | { type: 'shoot'; angle: number }
+  | { type: 'interact' }
+  | { type: 'chunk'; cx: number; cy: number }
+  | { type: 'ack'; seq: number }
+  | { type: 'resync' }
+  | { type: 'spectate'; follow: string; x: number; y: number }
+  | { type: 'relay'; line: string };
+
+export interface JoinRequest {
+  code: string;
+  token?: string; // Session token from an earlier join reply, to resume that player
+  options: { [key: string]: string };
+}
+
+export interface MoveBroadcast {
+  playerId: string;
+  x: number;
+  y: number;
+  direction: string;
+  skin: string;
+  sprinting: boolean;
+  lastProcessedSeq: number;
+}
+
+// --- Handshake ---
+
+// JOIN:<code>[:<token>][:key=value...]
+export function parseJoinLine(line: string): JoinRequest | null {
+  if (!line.startsWith('JOIN:')) return null;
+  const fields = line.slice(5).trim().split(':');
+  const code = (fields[0] || '').toUpperCase();
+  if (!code) return null;
+
+  const join: JoinRequest = { code, options: {} };
+  for (const field of fields.slice(1)) {
+    const eq = field.indexOf('=');
+    if (eq > 0) {
+      join.options[field.slice(0, eq)] = field.slice(eq + 1);
+    } else if (field && !join.token) {
+      join.token = field;
+    }
+  }
+  return join;
+}
+
+export function requestedProtocolVersion(join: JoinRequest): number {
+  const version = parseInt(join.options.proto, 10);
+  if (isNaN(version)) return 0;
+  return Math.min(version, PROTOCOL_VERSION);
+}
+
+// --- Framing ---
+
+export function encodeFrame(type: MessageType, payload?: Buffer): Buffer {
+  const length = 1 + (payload ? payload.length : 0);
+  const frame = Buffer.allocUnsafe(4 + length);
+  frame.writeUInt32BE(length, 0);
+  frame.writeUInt8(type, 4);
+  if (payload) payload.copy(frame, FRAME_HEADER_SIZE);
+  return frame;
+}
+
+// --- Text (legacy) decoding ---
+
+export function parseTextMessage(line: string): ClientMessage {
+  const parts = line.split('|');
+  const msgType = parts[0];
+
+  if (msgType === 'move') {
+    // Player batch update: move|playerId|count|direction|dx1|dy1|sprint1|dt1|seq1|...
+    // Never trust the count: cap it, and read no more inputs than the line holds
+    const claimed = parseInt(parts[2]) || 0;
+    const count = Math.max(0, Math.min(claimed, MAX_MOVE_BATCH, Math.floor((parts.length - 4) / 5)));
+    const direction = parts[3] || 'down';
+    const batch: MoveInput[] = [];
+
+    for (let i = 0; i < count; i++) {
+      const base = 4 + (i * 5);
+      batch.push({
+        dx: parseFloat(parts[base]) || 0,
+        dy: parseFloat(parts[base + 1]) || 0,
+        sprinting: parts[base + 2] === '1' || parts[base + 2] === 'true',
+        dt: parseFloat(parts[base + 3]) || 0.016,
+        seq: parseInt(parts[base + 4]) || 0
+      });
+    }
+    if (claimed > MAX_MOVE_BATCH) return { type: 'move', direction, batch, claimed };
+    return { type: 'move', direction, batch };
+  }
+
+  if (msgType === 'shoot') {
+    return { type: 'shoot', angle: parseFloat(parts[2]) || 0 };
+  }
+
+  if (msgType === 'interact') {
+    return { type: 'interact' };
+  }
+
+  if (msgType === 'chunk') {
+    // Chunk request: chunk|cx|cy
+    return { type: 'chunk', cx: parseInt(parts[1]), cy: parseInt(parts[2]) };
+  }
+
+  if (msgType === 'spectate') {
+    // Spectator camera: spectate|<playerId> to follow, spectate||x|y to free-roam
+    return { type: 'spectate', follow: parts[1] || '', x: parseFloat(parts[2]) || 0, y: parseFloat(parts[3]) || 0 };
+  }
+
+  return { type: 'relay', line };
+}
+
+// --- Binary decoding ---
+
+// Returns null for frame types a client is not allowed to send
+export function decodeClientFrame(type: number, payload: Buffer): ClientMessage | null {
+  const reader = new BinaryReader(payload);
+
+  switch (type) {
+    case MessageType.Move: {
+      const direction = reader.str() || 'down';
+      const count = reader.u8();
+      const batch: MoveInput[] = [];
+      for (let i = 0; i < count; i++) {
+        batch.push({
+          dx: reader.f32(),
+          dy: reader.f32(),
+          sprinting: reader.bool(),
+          dt: reader.f32(),
+          seq: reader.u32(),
+        });
+      }
+      return { type: 'move', direction, batch };
+    }
+    case MessageType.Shoot:
+      return { type: 'shoot', angle: reader.f32() };
+    case MessageType.Interact:
+      return { type: 'interact' };
+    case MessageType.Chunk:
+      return { type: 'chunk', cx: reader.i32(), cy: reader.i32() };
+    case MessageType.Relay:
+      return { type: 'relay', line: reader.rest().toString('utf8') };
+    case MessageType.Ack:
+      return { type: 'ack', seq: reader.u32() };
+    case MessageType.Resync:
+      return { type: 'resync' };
+    case MessageType.Spectate:
+      return { type: 'spectate', follow: reader.str(), x: reader.i32(), y: reader.i32() };
+    default:
+      return null;
+  }
+}
+
+// --- Binary encoding (server -> client) ---
+
+export function encodeJoin(playerId: string, x: number, y: number, token: string): Buffer {
+  return new BinaryWriter(64).str(playerId).i32(x).i32(y).str(token).toBuffer();
+}
+
+// Empty follow means the camera is free at x, y
+export function encodeSpectate(follow: string, x: number, y: number): Buffer {
+  return new BinaryWriter(32).str(follow).i32(x).i32(y).toBuffer();
+}
+
+export function encodeMove(move: MoveBroadcast): Buffer {
+  return new BinaryWriter(48)
+    .str(move.playerId)
+    .f32(move.x)
+    .f32(move.y)
+    .str(move.direction)
+    .str(move.skin)
+    .bool(move.sprinting)
+    .u32(move.lastProcessedSeq)
+    .toBuffer();
+}
+
+export function encodeCycle(timeRemaining: number, duration: number): Buffer {
+  return new BinaryWriter(8).u32(timeRemaining).u32(duration).toBuffer();
+}
+
+export function encodeEnvironment(env: EnvironmentState): Buffer {
+  return new BinaryWriter(24)
+    .f32(env.timeOfDay)
+    .u32(env.day)
+    .bool(env.isNight)
+    .str(env.weather)
+    .u32(env.weatherRemaining)
+    .toBuffer();
+}
+
+export function encodeNpcs(npcs: NPC[]): Buffer {
+  const writer = new BinaryWriter(1024).u16(npcs.length);
+  for (const npc of npcs) {
+    writer.str(npc.id).f32(npc.x).f32(npc.y).str(npc.spritePath).str(npc.name || 'NPC');
+    const dialogue = npc.dialogue || [];
+    writer.u8(dialogue.length);
+    for (const line of dialogue) writer.str(line);
+  }
+  return writer.toBuffer();
+}
+
+export function encodeAnimals(animals: Animal[]): Buffer {
+  const writer = new BinaryWriter(64 * animals.length + 2).u16(animals.length);
+  for (const animal of animals) {
+    writer
+      .str(animal.id)
+      .f32(animal.x)
+      .f32(animal.y)
+      .str(animal.spritePath)
+      .str(animal.name || 'Animal')
+      .f32(animal.speed)
+      .f32(animal.groupCenterX)
+      .f32(animal.groupCenterY)
+      .f32(animal.groupRadius);
+  }
+  return writer.toBuffer();
+}
+
+// Roads/water are sparse "lx,ly" -> tile maps, sent as (u8 lx, u8 ly, u8 tile) triples
+function writeTileMap(writer: BinaryWriter, tiles: { [key: string]: number }): void {
+  const keys = Object.keys(tiles);
+  writer.u16(keys.length);
+  for (const key of keys) {
+    const [lx, ly] = key.split(',').map(Number);
+    writer.u8(lx).u8(ly).u8(tiles[key]);
+  }
+}
+
+export function encodeChunk(cx: number, cy: number, chunk: ChunkData): Buffer {
+  const writer = new BinaryWriter(4096).i32(cx).i32(cy);
+  writeTileMap(writer, chunk.roads);
+  writeTileMap(writer, chunk.water);
+
+  writer.u16(chunk.rocks.length);
+  for (const rock of chunk.rocks) {
+    writer.f32(rock.x).f32(rock.y).u8(rock.tileId).u8(rock.actualTileNum);
+  }
+
+  writer.u16(chunk.trees.length);
+  for (const tree of chunk.trees) {
+    writer.f32(tree.x).f32(tree.y).u16(tree.width).u16(tree.height).str(tree.type);
+  }
+
+  writer.u8(chunk.biome);
+  return writer.toBuffer();
+}
+
+// Entity sections of a snapshot, in wire order
+// (new kinds go at the end: despawn messages carry the index)
+export type EntityKind = 'players' | 'pets' | 'projectiles' | 'chests' | 'npcs' | 'animals' | 'monsters' | 'drops';
+export const ENTITY_KINDS: EntityKind[] = ['players', 'pets', 'projectiles', 'chests', 'npcs', 'animals', 'monsters', 'drops'];
+
+export function writeStateGlobals(writer: BinaryWriter, state: StateSnapshot): void {
+  writer.u32(state.cycleTimeRemaining).u32(state.cycleDuration).bool(state.deadlyEventActive);
+  writer.u8(state.extractionZones.length);
+  for (const zone of state.extractionZones) {
+    writer.f32(zone.x).f32(zone.y).f32(zone.radius);
+  }
+}
+
+// Every entity starts with its id (the owner id for pets) so full and delta
+// snapshots share one layout per kind.
+export function writeEntity(writer: BinaryWriter, kind: EntityKind, id: string, entity: any): void {
+  switch (kind) {
+    case 'players': {
+      const player = entity as Player;
+      writer
+        .str(id)
+        .f32(player.x)
+        .f32(player.y)
+        .str(player.direction)
+        .f32(player.hp)
+        .f32(player.maxHp)
+        .u32(player.kills)
+        .u32(player.deaths)
+        .u8((player.invulnerable ? 1 : 0) | (player.extracted ? 2 : 0) | (player.sprinting ? 4 : 0))
+        .str(player.skin)
+        .u32(player.lastProcessedSeq || 0);
+      writer.u16(player.boons.length);
+      for (const boon of player.boons) {
+        writer.str(boon.type).str(boon.rarity);
+      }
+      break;
+    }
+    case 'pets': {
+      const pet = entity as Pet;
+      writer.str(id).f32(pet.x).f32(pet.y).str(pet.monster);
+      break;
+    }
+    case 'projectiles': {
+      const proj = entity as Projectile;
+      writer.str(id).f32(proj.x).f32(proj.y).f32(proj.vx).f32(proj.vy).str(proj.ownerId);
+      break;
+    }
+    case 'chests': {
+      const chest = entity as Chest;
+      writer.str(id).f32(chest.x).f32(chest.y).bool(chest.opened).str(chest.rarity);
+      break;
+    }
+    case 'npcs': {
+      // NPC sprites/dialogue travel once in the Npcs message, snapshots only carry positions
+      const npc = entity as NPC;
+      writer.str(id).f32(npc.x).f32(npc.y);
+      break;
+    }
+    case 'animals': {
+      const animal = entity as Animal;
+      writer.str(id).f32(animal.x).f32(animal.y).str(animal.state).str(animal.direction);
+      break;
+    }
+    case 'monsters': {
+      const monster = entity as Monster;
+      writer
+        .str(id)
+        .f32(monster.x)
+        .f32(monster.y)
+        .str(monster.type)
+        .f32(monster.hp)
+        .f32(monster.maxHp)
+        .str(monster.state)
+        .str(monster.direction);
+      break;
+    }
+    case 'drops': {
+      const drop = entity as Drop;
+      writer.str(id).f32(drop.x).f32(drop.y).str(drop.boon.type).str(drop.boon.rarity);
+      break;
+    }
+  }
+}
+
+// Entities that left the client's area of interest (or were destroyed):
+// u16 count, then (u8 kind index into ENTITY_KINDS, str id) pairs
+export function encodeDespawn(removed: { [K in EntityKind]?: string[] }): Buffer {
+  const writer = new BinaryWriter(128);
+  let count = 0;
+  for (const kind of ENTITY_KINDS) count += (removed[kind] || []).length;
+  writer.u16(count);
+  ENTITY_KINDS.forEach((kind, index) => {
+    for (const id of removed[kind] || []) writer.u8(index).str(id);
+  });
+  return writer.toBuffer();
+}
+
+export function encodeState(state: StateSnapshot): Buffer {
+  const writer = new BinaryWriter(2048);
+  writeStateGlobals(writer, state);
+
+  for (const kind of ENTITY_KINDS) {
+    const entities: { [id: string]: any } = state[kind];
+    const ids = Object.keys(entities);
+    writer.u16(ids.length);
+    for (const id of ids) {
+      writeEntity(writer, kind, id, entities[id]);
+    }
+  }
+
+  return writer.toBuffer();
+}
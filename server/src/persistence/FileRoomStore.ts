@@ -0,0 +1,59 @@
+// server/src/persistence/FileRoomStore.ts
+// Default room store: one JSON file per room code in a local directory
+
+import fs from 'fs/promises';
+import path from 'path';
+import { RoomSnapshot, RoomStore, ROOM_SNAPSHOT_VERSION } from './RoomStore';
+
+export class FileRoomStore implements RoomStore {
+  readonly name = 'file';
+  private dir: string;
+
+  constructor(dir: string) {
+    this.dir = dir;
+  }
+
+  async save(snapshot: RoomSnapshot): Promise<void> {
+    await fs.mkdir(this.dir, { recursive: true });
+    // Write then rename so a crash mid-write never leaves a truncated snapshot
+    const file = this.fileFor(snapshot.code);
+    const tmp = `${file}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(snapshot));
+    await fs.rename(tmp, file);
+  }
+
+  async loadAll(): Promise<RoomSnapshot[]> {
+    let files: string[];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const snapshots: RoomSnapshot[] = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8')) as RoomSnapshot;
+        if (snapshot.version !== ROOM_SNAPSHOT_VERSION) {
+          console.log(`[Store] Skipping ${file}: snapshot version ${snapshot.version}`);
+          continue;
+        }
+        snapshots.push(snapshot);
+      } catch (err) {
+        console.log(`[Store] Skipping unreadable snapshot ${file}: ${(err as Error).message}`);
+      }
+    }
+    return snapshots;
+  }
+
+  async delete(code: string): Promise<void> {
+    await fs.rm(this.fileFor(code), { force: true });
+  }
+
+  private fileFor(code: string): string {
+    // Codes come from clients; keep them from escaping the directory
+    return path.join(this.dir, `${code.replace(/[^A-Za-z0-9_-]/g, '_')}.json`);
+  }
+}
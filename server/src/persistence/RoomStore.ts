@@ -0,0 +1,32 @@
+// server/src/persistence/RoomStore.ts
+// What gets saved for a room, and the interface storage backends implement.
+// Snapshots are plain JSON so any key/value store can hold them.
+
+import type { GameServerSnapshot } from '../game_server';
+
+export const ROOM_SNAPSHOT_VERSION = 1;
+
+export interface RoomSnapshot {
+  version: number;
+  code: string;
+  savedAt: number; // Date.now()
+  // Matchmaker listing, null for rooms created by a bare TCP JOIN
+  room: {
+    hostName: string;
+    isPublic: boolean;
+    maxPlayers: number;
+    createdAt: number;
+    mode: string;
+    region?: string; // Missing in older snapshots
+  } | null;
+  nextPlayerId: number;
+  sessions?: { [token: string]: string }; // Session token -> player id; missing in older snapshots
+  game: GameServerSnapshot;
+}
+
+export interface RoomStore {
+  readonly name: string;
+  save(snapshot: RoomSnapshot): Promise<void>;
+  loadAll(): Promise<RoomSnapshot[]>;
+  delete(code: string): Promise<void>;
+}
@@ -0,0 +1,16 @@
+// server/src/persistence/index.ts
+// Picks the room store backend from the environment
+
+import { FileRoomStore } from './FileRoomStore';
+import { RoomStore } from './RoomStore';
+
+export type { RoomSnapshot, RoomStore } from './RoomStore';
+export { ROOM_SNAPSHOT_VERSION } from './RoomStore';
+
+// ROOM_STORE=file (default) or none; ROOM_STORE_DIR sets where files go
+export function createRoomStore(env: NodeJS.ProcessEnv = process.env): RoomStore | null {
+  const kind = env.ROOM_STORE || 'file';
+  if (kind === 'none') return null;
+  if (kind === 'file') return new FileRoomStore(env.ROOM_STORE_DIR || './data/rooms');
+  throw new Error(`Unknown ROOM_STORE "${kind}" (expected file or none)`);
+}
@@ -1,14 +1,18 @@
 // server/src/world/AnimalManager.ts
 // Server-authoritative animal management with LARGE wander radii for constant discovery
 
+import type { BiomeDefinition } from './Biomes';
+import type { SpatialGrid } from './SpatialGrid';
+
 export interface Animal {
     id: string;
     x: number;
     y: number;
     spritePath: string;
     name: string;
+    species: string;
     speed: number;
-    state: string; // "idle", "grazing", "wandering"
+    state: string; // "idle", "grazing", "wandering", "flocking", "sleeping", "fleeing", "chasing", "attacking", "returning"
     direction: string;
     groupCenterX: number;
     groupCenterY: number;
@@ -18,14 +22,50 @@ export interface Animal {
     wanderDirection: number;
     wanderStepsRemaining: number;
     moving: boolean;
+    threatX: number; // Where it's fleeing from
+    threatY: number;
+    targetId: string | null; // Player it's chasing
+    alertTimer: number; // Seconds left fleeing or hostile
+    attackTimer: number;
+}
+
+// How a species reacts to players and its neighbours; 0 turns a reaction off
+interface AnimalBehaviour {
+    fleeRadius: number; // Runs from players (and gunfire) this close
+    provokeRadius: number; // Turns on players who come this close or shoot nearby
+    damage: number; // Per bite once provoked
+    flockRadius: number; // Steers with same-species neighbours this close
 }
 
 interface AnimalType {
     spritePath: string;
     name: string;
     speed: number;
+    behaviour: AnimalBehaviour;
+}
+
+// What the game tells animals about the world around them
+export interface AnimalSenses {
+    grid: SpatialGrid; // Holds every player and animal position
+    players(): { [playerId: string]: { x: number; y: number } };
+    attack(animal: Animal, playerId: string, damage: number): void;
+    isNight(): boolean; // Calm animals sleep through the night
 }
 
+const PASSIVE: AnimalBehaviour = { fleeRadius: 0, provokeRadius: 0, damage: 0, flockRadius: 0 };
+const SKITTISH: AnimalBehaviour = { ...PASSIVE, fleeRadius: 80 };
+
+const DISTURB_RADIUS = 200; // Gunshots this close spook or provoke animals
+const FLEE_TIME = 3; // seconds
+const FLEE_SPEED_MULTIPLIER = 1.8;
+const CHASE_TIME = 8; // seconds of hostility after the last provocation
+const CHASE_SPEED_MULTIPLIER = 1.3;
+const CHASE_LEASH = 1.5; // Gives up beyond groupRadius * this
+const ATTACK_RANGE = 18;
+const ATTACK_COOLDOWN = 1.2; // seconds
+const FLOCK_SEPARATION = 16; // Flockmates closer than this push apart
+const ACTIVE_RADIUS = 1024; // Animals further than this from every player stay as they are
+
 interface FlockConfig {
     centerX: number;
     centerY: number;
@@ -56,9 +96,13 @@ export class AnimalManager {
     private animals: { [animalId: string]: Animal } = {};
     private nextAnimalId: number = 1;
     private rng: Alea;
-    private waterMap: { [key: string]: boolean };
-    private worldWidth: number = 5000;
-    private worldHeight: number = 5000;
+    private isWaterTile: (tileX: number, tileY: number) => boolean;
+    private worldWidth: number;
+    private worldHeight: number;
+    private biomeAt: ((x: number, y: number) => BiomeDefinition) | null;
+    private speciesByType: Map<AnimalType, string> = new Map(); // Reverse of animalTypes
+    private senses: AnimalSenses | null = null; // Animals ignore players until the game provides this
+    private maxReactRadius: number = 0; // Largest flee/provoke radius of any species
 
     // Animal type definitions
     private animalTypes: { [key: string]: AnimalType } = {
@@ -66,82 +110,115 @@ export class AnimalManager {
             spritePath: 'assets/img/sprites/animals/Clucking Chicken/CluckingChicken.png',
             name: 'Chicken',
             speed: 25,
+            behaviour: SKITTISH,
         },
         pig: {
             spritePath: 'assets/img/sprites/animals/Dainty Pig/DaintyPig.png',
             name: 'Pig',
             speed: 20,
+            behaviour: PASSIVE,
         },
         sheep: {
             spritePath: 'assets/img/sprites/animals/Pasturing Sheep/PasturingSheep.png',
             name: 'Sheep',
             speed: 22,
+            behaviour: { ...SKITTISH, fleeRadius: 100 },
         },
         chick: {
             spritePath: 'assets/img/sprites/animals/Tiny Chick/TinyChick.png',
             name: 'Chick',
             speed: 18,
+            behaviour: SKITTISH,
         },
         fox: {
             spritePath: 'assets/img/sprites/animals/Snow Fox/SnowFox.png',
             name: 'Fox',
             speed: 35,
+            behaviour: { ...SKITTISH, fleeRadius: 120 },
         },
         wolf: {
             spritePath: 'assets/img/sprites/animals/Timber Wolf/TimberWolf.png',
             name: 'Wolf',
             speed: 40,
+            behaviour: { ...PASSIVE, provokeRadius: 60, damage: 8 },
         },
         porcupine: {
             spritePath: 'assets/img/sprites/animals/Spikey Porcupine/SpikeyPorcupine.png',
             name: 'Porcupine',
             speed: 18,
+            behaviour: PASSIVE,
         },
         cat: {
             spritePath: 'assets/img/sprites/animals/Meowing Cat/MeowingCat.png',
             name: 'Cat',
             speed: 35,
+            behaviour: SKITTISH,
         },
         toad: {
             spritePath: 'assets/img/sprites/animals/Croaking Toad/CroakingToad.png',
             name: 'Toad',
             speed: 15,
+            behaviour: PASSIVE,
         },
         frog: {
             spritePath: 'assets/img/sprites/animals/Leaping Frog/LeapingFrog.png',
             name: 'Frog',
             speed: 30,
+            behaviour: { ...SKITTISH, fleeRadius: 50 },
         },
         turtle: {
             spritePath: 'assets/img/sprites/animals/Slow Turtle/SlowTurtle.png',
             name: 'Turtle',
             speed: 12,
+            behaviour: PASSIVE,
         },
         boar: {
             spritePath: 'assets/img/sprites/animals/Mad Boar/MadBoar.png',
             name: 'Boar',
             speed: 32,
+            behaviour: { ...PASSIVE, provokeRadius: 40, damage: 10 },
         },
         skunk: {
             spritePath: 'assets/img/sprites/animals/Stinky Skunk/StinkySkunk.png',
             name: 'Skunk',
             speed: 28,
+            behaviour: PASSIVE,
         },
         goose: {
             spritePath: 'assets/img/sprites/animals/Honking Goose/HonkingGoose.png',
             name: 'Goose',
             speed: 33,
+            behaviour: { ...SKITTISH, fleeRadius: 60, flockRadius: 96 },
         },
         crab: {
             spritePath: 'assets/img/sprites/animals/Coral Crab/CoralCrab.png',
             name: 'Crab',
             speed: 20,
+            behaviour: PASSIVE,
         },
     };
 
-    constructor(seed: number, waterMap: { [key: string]: boolean }) {
+    constructor(
+        seed: number,
+        isWaterTile: (tileX: number, tileY: number) => boolean,
+        worldWidth: number,
+        worldHeight: number,
+        biomeAt: ((x: number, y: number) => BiomeDefinition) | null = null
+    ) {
         this.rng = new Alea(seed);
-        this.waterMap = waterMap;
+        this.isWaterTile = isWaterTile;
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+        this.biomeAt = biomeAt;
+        for (const species in this.animalTypes) {
+            const type = this.animalTypes[species];
+            this.speciesByType.set(type, species);
+            this.maxReactRadius = Math.max(this.maxReactRadius, type.behaviour.fleeRadius, type.behaviour.provokeRadius);
+        }
+    }
+
+    public setSenses(senses: AnimalSenses): void {
+        this.senses = senses;
     }
 
     public generate(): void {
@@ -239,8 +316,8 @@ export class AnimalManager {
             const x = config.centerX + offsetX;
             const y = config.centerY + offsetY;
 
-            // Validate position (not in water, not too close to spawn)
-            if (this.isValidPosition(x, y)) {
+            // Validate position (not in water, not too close to spawn, species lives in this biome)
+            if (this.isValidPosition(x, y) && this.livesInBiome(config.animalType, x, y)) {
                 this.createAnimal(x, y, config.animalType, config.centerX, config.centerY, config.radius);
             }
         }
@@ -248,13 +325,13 @@ export class AnimalManager {
 
     private isValidPosition(x: number, y: number): boolean {
         // Check spawn distance (200px minimum)
-        const spawnDist = Math.sqrt(Math.pow(x - 2500, 2) + Math.pow(y - 2500, 2));
+        const spawnDist = Math.sqrt(Math.pow(x - this.worldWidth / 2, 2) + Math.pow(y - this.worldHeight / 2, 2));
         if (spawnDist < 200) return false;
 
         // Check water collision (convert to tile coords)
         const tileX = Math.floor(x / 16);
         const tileY = Math.floor(y / 16);
-        if (this.waterMap[`${tileX},${tileY}`]) return false;
+        if (this.isWaterTile(tileX, tileY)) return false;
 
         // Check bounds
         if (x < 0 || x >= this.worldWidth || y < 0 || y >= this.worldHeight) return false;
@@ -262,6 +339,12 @@ export class AnimalManager {
         return true;
     }
 
+    private livesInBiome(animalType: AnimalType, x: number, y: number): boolean {
+        if (!this.biomeAt) return true;
+        const species = this.speciesByType.get(animalType);
+        return !!species && this.biomeAt(x, y).animals.includes(species);
+    }
+
     private createAnimal(
         x: number,
         y: number,
@@ -278,6 +361,7 @@ export class AnimalManager {
             y,
             spritePath: animalType.spritePath,
             name: animalType.name,
+            species: this.speciesByType.get(animalType)!,
             speed: animalType.speed,
             state: 'idle',
             direction: 'down',
@@ -289,18 +373,146 @@ export class AnimalManager {
             wanderDirection: this.rng.next() * Math.PI * 2,
             wanderStepsRemaining: 0,
             moving: false,
+            threatX: x,
+            threatY: y,
+            targetId: null,
+            alertTimer: 0,
+            attackTimer: 0,
         };
     }
 
-    public update(dt: number): void {
+    // Only animals near a player are simulated; the rest wait where they are
+    // until someone comes by. Returns the animals it updated.
+    public update(dt: number): Animal[] {
+        const active = this.senses ? this.animalsNearPlayers(this.senses) : Object.values(this.animals);
+        if (this.senses) this.noticePlayers(this.senses);
+
         // Update each animal's AI state
-        for (const animalId in this.animals) {
-            const animal = this.animals[animalId];
+        for (const animal of active) {
             this.updateAnimal(animal, dt);
         }
+        return active;
+    }
+
+    // Gunfire at (x, y): skittish animals bolt (even from sleep), hostile ones go for the shooter
+    public disturb(x: number, y: number, playerId: string): void {
+        if (!this.senses) return;
+        for (const id of this.senses.grid.getEntitiesInRadius(x, y, DISTURB_RADIUS)) {
+            const animal = this.animals[id];
+            if (!animal) continue;
+            const behaviour = this.behaviourOf(animal);
+            if (behaviour.provokeRadius > 0) {
+                this.provoke(animal, playerId);
+            } else if (behaviour.fleeRadius > 0) {
+                this.startFleeing(animal, x, y);
+            }
+        }
+    }
+
+    private animalsNearPlayers(senses: AnimalSenses): Animal[] {
+        const seen = new Set<string>();
+        const found: Animal[] = [];
+        const players = senses.players();
+        for (const playerId in players) {
+            const player = players[playerId];
+            for (const id of senses.grid.getEntitiesInRadius(player.x, player.y, ACTIVE_RADIUS)) {
+                const animal = this.animals[id];
+                if (!animal || seen.has(id)) continue;
+                seen.add(id);
+                found.push(animal);
+            }
+        }
+        return found;
+    }
+
+    // Look around each player (not each animal) so idle herds far away cost nothing
+    private noticePlayers(senses: AnimalSenses): void {
+        const players = senses.players();
+        for (const playerId in players) {
+            const player = players[playerId];
+            for (const id of senses.grid.getEntitiesInRadius(player.x, player.y, this.maxReactRadius)) {
+                const animal = this.animals[id];
+                if (!animal) continue;
+                const behaviour = this.behaviourOf(animal);
+                const dist = Math.sqrt((animal.x - player.x) ** 2 + (animal.y - player.y) ** 2);
+                if (dist <= behaviour.provokeRadius) {
+                    this.provoke(animal, playerId);
+                } else if (dist <= behaviour.fleeRadius && animal.state !== 'sleeping') {
+                    this.startFleeing(animal, player.x, player.y);
+                }
+            }
+        }
+    }
+
+    private behaviourOf(animal: Animal): AnimalBehaviour {
+        const type = this.animalTypes[animal.species];
+        return type ? type.behaviour : PASSIVE;
+    }
+
+    private startFleeing(animal: Animal, fromX: number, fromY: number): void {
+        if (animal.state === 'chasing' || animal.state === 'attacking') return;
+        animal.state = 'fleeing';
+        animal.threatX = fromX;
+        animal.threatY = fromY;
+        animal.alertTimer = FLEE_TIME;
+        animal.wanderStepsRemaining = 0;
+    }
+
+    private provoke(animal: Animal, playerId: string): void {
+        if (animal.state !== 'chasing' && animal.state !== 'attacking') {
+            animal.state = 'chasing';
+            animal.targetId = playerId;
+        }
+        animal.alertTimer = CHASE_TIME;
+        animal.wanderStepsRemaining = 0;
+    }
+
+    // Back to normal life; head home first if the chase or flight took it away
+    private calmDown(animal: Animal): void {
+        animal.targetId = null;
+        animal.alertTimer = 0;
+        animal.stateTimer = 0;
+        animal.nextStateTime = this.rng.range(2, 5);
+        const dist = Math.sqrt((animal.x - animal.groupCenterX) ** 2 + (animal.y - animal.groupCenterY) ** 2);
+        animal.state = dist > animal.groupRadius ? 'returning' : 'idle';
     }
 
     private updateAnimal(animal: Animal, dt: number): void {
+        animal.attackTimer = Math.max(0, animal.attackTimer - dt);
+
+        switch (animal.state) {
+            case 'fleeing':
+                this.updateFleeing(animal, dt);
+                return;
+            case 'chasing':
+            case 'attacking':
+                this.updateChasing(animal, dt);
+                return;
+            case 'sleeping':
+                animal.moving = false;
+                if (!this.senses || !this.senses.isNight()) {
+                    animal.state = 'idle';
+                    animal.stateTimer = 0;
+                    animal.nextStateTime = this.rng.range(1, 4);
+                }
+                return;
+            case 'returning':
+                if (this.moveTo(animal, Math.atan2(animal.groupCenterY - animal.y, animal.groupCenterX - animal.x), animal.speed * 0.6 * dt)) {
+                    const dist = Math.sqrt((animal.x - animal.groupCenterX) ** 2 + (animal.y - animal.groupCenterY) ** 2);
+                    if (dist <= animal.groupRadius * 0.8) animal.state = 'idle';
+                } else {
+                    animal.state = 'idle'; // Blocked; settle where it is
+                }
+                return;
+        }
+
+        if (this.senses && this.senses.isNight()) {
+            animal.state = 'sleeping';
+            animal.wanderStepsRemaining = 0;
+            animal.moving = false;
+            return;
+        }
+
         // Update state timer
         animal.stateTimer += dt;
 
@@ -310,26 +522,16 @@ export class AnimalManager {
         }
 
         // Movement for wandering state
-        if (animal.state === 'wandering' && animal.wanderStepsRemaining > 0) {
-            const peacefulSpeed = animal.speed * 0.6;
-            const moveX = Math.cos(animal.wanderDirection) * peacefulSpeed * dt;
-            const moveY = Math.sin(animal.wanderDirection) * peacefulSpeed * dt;
-
-            const newX = animal.x + moveX;
-            const newY = animal.y + moveY;
-
-            // Validate new position
-            if (this.isValidPosition(newX, newY)) {
-                animal.x = newX;
-                animal.y = newY;
-                animal.moving = true;
+        if ((animal.state === 'wandering' || animal.state === 'flocking') && animal.wanderStepsRemaining > 0) {
+            const behaviour = this.behaviourOf(animal);
+            if (behaviour.flockRadius > 0 && this.senses) {
+                animal.state = this.steerWithFlock(animal, behaviour.flockRadius, this.senses) ? 'flocking' : 'wandering';
+            }
 
-                // Update direction
-                this.updateAnimalDirection(animal);
-            } else {
+            const peacefulSpeed = animal.speed * 0.6;
+            if (!this.moveTo(animal, animal.wanderDirection, peacefulSpeed * dt)) {
                 // Hit obstacle, stop wandering
                 animal.wanderStepsRemaining = 0;
-                animal.moving = false;
             }
         } else {
             animal.moving = false;
@@ -343,7 +545,7 @@ export class AnimalManager {
             const angle = Math.atan2(dy, dx);
             animal.x = animal.groupCenterX + Math.cos(angle) * animal.groupRadius;
             animal.y = animal.groupCenterY + Math.sin(angle) * animal.groupRadius;
-            if (animal.state === 'wandering') {
+            if (animal.state === 'wandering' || animal.state === 'flocking') {
                 animal.state = 'idle';
                 animal.stateTimer = 0;
                 animal.nextStateTime = this.rng.range(2, 5);
@@ -351,6 +553,105 @@ export class AnimalManager {
         }
     }
 
+    private updateFleeing(animal: Animal, dt: number): void {
+        animal.alertTimer -= dt;
+        if (animal.alertTimer <= 0) {
+            this.calmDown(animal);
+            return;
+        }
+
+        const away = Math.atan2(animal.y - animal.threatY, animal.x - animal.threatX);
+        const step = animal.speed * FLEE_SPEED_MULTIPLIER * dt;
+        // Cornered: try veering off to either side before giving up
+        if (!this.moveTo(animal, away, step) &&
+            !this.moveTo(animal, away + Math.PI / 2, step) &&
+            !this.moveTo(animal, away - Math.PI / 2, step)) {
+            animal.moving = false;
+        }
+    }
+
+    private updateChasing(animal: Animal, dt: number): void {
+        animal.alertTimer -= dt;
+        const target = this.senses && animal.targetId ? this.senses.players()[animal.targetId] : undefined;
+        const fromHome = Math.sqrt((animal.x - animal.groupCenterX) ** 2 + (animal.y - animal.groupCenterY) ** 2);
+        if (!target || animal.alertTimer <= 0 || fromHome > animal.groupRadius * CHASE_LEASH) {
+            this.calmDown(animal);
+            return;
+        }
+
+        const dx = target.x - animal.x;
+        const dy = target.y - animal.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist <= ATTACK_RANGE) {
+            animal.state = 'attacking';
+            animal.moving = false;
+            animal.wanderDirection = Math.atan2(dy, dx);
+            this.updateAnimalDirection(animal);
+            if (animal.attackTimer <= 0) {
+                animal.attackTimer = ATTACK_COOLDOWN;
+                this.senses!.attack(animal, animal.targetId!, this.behaviourOf(animal).damage);
+            }
+        } else {
+            animal.state = 'chasing';
+            this.moveTo(animal, Math.atan2(dy, dx), animal.speed * CHASE_SPEED_MULTIPLIER * dt);
+        }
+    }
+
+    // Blend the wander heading with nearby flockmates (cohesion, alignment,
+    // separation). Returns true if it has any flockmates in range.
+    private steerWithFlock(animal: Animal, radius: number, senses: AnimalSenses): boolean {
+        let count = 0;
+        let centerX = 0;
+        let centerY = 0;
+        let headingX = 0;
+        let headingY = 0;
+        let pushX = 0;
+        let pushY = 0;
+
+        for (const id of senses.grid.getEntitiesInRadius(animal.x, animal.y, radius)) {
+            const other = this.animals[id];
+            if (!other || other === animal || other.species !== animal.species) continue;
+            count++;
+            centerX += other.x;
+            centerY += other.y;
+            headingX += Math.cos(other.wanderDirection);
+            headingY += Math.sin(other.wanderDirection);
+            const dx = animal.x - other.x;
+            const dy = animal.y - other.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist > 0 && dist < FLOCK_SEPARATION) {
+                pushX += dx / dist;
+                pushY += dy / dist;
+            }
+        }
+        if (count === 0) return false;
+
+        const toCenterX = centerX / count - animal.x;
+        const toCenterY = centerY / count - animal.y;
+        const toCenterLen = Math.sqrt(toCenterX * toCenterX + toCenterY * toCenterY) || 1;
+        const steerX = Math.cos(animal.wanderDirection) + toCenterX / toCenterLen * 0.5 + headingX / count + pushX * 1.5;
+        const steerY = Math.sin(animal.wanderDirection) + toCenterY / toCenterLen * 0.5 + headingY / count + pushY * 1.5;
+        animal.wanderDirection = Math.atan2(steerY, steerX);
+        return true;
+    }
+
+    // Step along a heading if the ground allows it; returns false when blocked
+    private moveTo(animal: Animal, angle: number, step: number): boolean {
+        const newX = animal.x + Math.cos(angle) * step;
+        const newY = animal.y + Math.sin(angle) * step;
+        if (!this.isValidPosition(newX, newY)) {
+            animal.moving = false;
+            return false;
+        }
+
+        animal.x = newX;
+        animal.y = newY;
+        animal.moving = true;
+        animal.wanderDirection = angle;
+        this.updateAnimalDirection(animal);
+        return true;
+    }
+
     private transitionAnimalState(animal: Animal): void {
         animal.stateTimer = 0;
 
@@ -373,7 +674,7 @@ export class AnimalManager {
                 this.startWandering(animal);
                 animal.nextStateTime = this.rng.range(2, 4);
             }
-        } else if (animal.state === 'wandering') {
+        } else if (animal.state === 'wandering' || animal.state === 'flocking') {
             if (this.rng.next() < 0.5) {
                 animal.state = 'idle';
                 animal.nextStateTime = this.rng.range(4, 8);
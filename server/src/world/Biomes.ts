@@ -0,0 +1,116 @@
+// server/src/world/Biomes.ts
+// Biome table for WorldGenerator. A low-frequency elevation/moisture noise pair
+// picks a biome per position; the biome scales tree, pond and rock generation
+// and limits which animal species may spawn there.
+
+// Wire values: sent per chunk in ChunkData.biome
+export enum BiomeId {
+    Meadow = 0,
+    Forest = 1,
+    Swamp = 2,
+    Highlands = 3,
+    Snow = 4,
+}
+
+export interface BiomeDefinition {
+    id: BiomeId;
+    name: string;
+    treeDensity: number; // Multiplier on the base tree spawn chance
+    treeTypes: Array<{ type: string; weight: number }>; // Picked by the tree variety noise
+    pondChance: number; // Chance a pond seed grows into a pond
+    rockDensity: number; // Multiplier on the base rock count (at most MAX_ROCK_DENSITY)
+    animals: string[]; // AnimalManager species keys allowed to spawn here
+}
+
+export const MAX_ROCK_DENSITY = 3;
+
+// Noise sample scale in world pixels: large, slow-changing regions
+export const BIOME_NOISE_SCALE = 0.0015;
+
+export const BIOMES: { [id: number]: BiomeDefinition } = {
+    [BiomeId.Meadow]: {
+        id: BiomeId.Meadow,
+        name: 'meadow',
+        treeDensity: 0.3,
+        treeTypes: [
+            { type: 'standard', weight: 5 },
+            { type: 'red_white', weight: 2 },
+            { type: 'white', weight: 1 },
+        ],
+        pondChance: 0.1,
+        rockDensity: 1,
+        animals: ['chicken', 'chick', 'pig', 'sheep', 'goose', 'cat'],
+    },
+    [BiomeId.Forest]: {
+        id: BiomeId.Forest,
+        name: 'forest',
+        treeDensity: 2,
+        treeTypes: [
+            { type: 'standard', weight: 6 },
+            { type: 'blue', weight: 2 },
+            { type: 'purple', weight: 1 },
+        ],
+        pondChance: 0.08,
+        rockDensity: 0.7,
+        animals: ['fox', 'wolf', 'boar', 'porcupine', 'skunk', 'cat'],
+    },
+    [BiomeId.Swamp]: {
+        id: BiomeId.Swamp,
+        name: 'swamp',
+        treeDensity: 0.8,
+        treeTypes: [
+            { type: 'purple', weight: 3 },
+            { type: 'alien', weight: 2 },
+            { type: 'standard', weight: 1 },
+        ],
+        pondChance: 0.4,
+        rockDensity: 0.4,
+        animals: ['toad', 'frog', 'turtle', 'goose', 'crab'],
+    },
+    [BiomeId.Highlands]: {
+        id: BiomeId.Highlands,
+        name: 'rocky highlands',
+        treeDensity: 0.4,
+        treeTypes: [
+            { type: 'standard', weight: 2 },
+            { type: 'white', weight: 1 },
+        ],
+        pondChance: 0.03,
+        rockDensity: 3,
+        animals: ['wolf', 'boar', 'porcupine', 'goose'],
+    },
+    [BiomeId.Snow]: {
+        id: BiomeId.Snow,
+        name: 'snow',
+        treeDensity: 0.6,
+        treeTypes: [
+            { type: 'all_white', weight: 3 },
+            { type: 'white', weight: 2 },
+        ],
+        pondChance: 0.05,
+        rockDensity: 1.5,
+        animals: ['fox', 'wolf'],
+    },
+};
+
+// elevation and moisture are noise samples in [0, 1)
+export function classifyBiome(elevation: number, moisture: number): BiomeId {
+    if (elevation > 0.7) return BiomeId.Snow;
+    if (elevation > 0.58) return BiomeId.Highlands;
+    if (moisture > 0.6) return BiomeId.Swamp;
+    if (moisture > 0.42) return BiomeId.Forest;
+    return BiomeId.Meadow;
+}
+
+// roll in [0, 1) picks from the biome's weighted tree palette
+export function pickTreeType(biome: BiomeDefinition, roll: number): string {
+    let total = 0;
+    for (const entry of biome.treeTypes) total += entry.weight;
+
+    let target = roll * total;
+    for (const entry of biome.treeTypes) {
+        target -= entry.weight;
+        if (target < 0) return entry.type;
+    }
+    return biome.treeTypes[biome.treeTypes.length - 1].type;
+}
@@ -1,22 +1,33 @@
+import { BiomeId } from './Biomes';
 
 export interface ChunkData {
+  biome: BiomeId; // Biome at the chunk center, for client tinting/theming
   roads: { [key: string]: number }; // sparse map: "x,y" => tileID
   water: { [key: string]: number }; // sparse map: "x,y" => tileID
   rocks: Array<{ x: number; y: number; tileId: number; actualTileNum: number }>;
   trees: Array<{ x: number; y: number; width: number; height: number; type: string }>;
 }
 
+// Builds chunk (cx, cy); must depend on nothing but the coordinates (and seed)
+export type ChunkGenerator = (cx: number, cy: number) => ChunkData;
+
 export class ChunkManager {
   private chunks: { [key: string]: ChunkData } = {};
+  private generator: ChunkGenerator | null = null;
   public readonly CHUNK_SIZE = 512; // 32x32 tiles (16px)
-  private worldWidth: number;
-  private worldHeight: number;
+  public readonly worldWidth: number;
+  public readonly worldHeight: number;
 
   constructor(worldWidth: number, worldHeight: number) {
     this.worldWidth = worldWidth;
     this.worldHeight = worldHeight;
   }
 
+  // Chunks are generated the first time they're asked for
+  public setGenerator(generator: ChunkGenerator): void {
+    this.generator = generator;
+  }
+
   // Get chunk key from chunk coordinates
   private getChunkKey(cx: number, cy: number): string {
     return `${cx},${cy}`;
@@ -30,89 +41,46 @@ export class ChunkManager {
     };
   }
 
-  public getChunk(cx: number, cy: number): ChunkData | null {
-    const key = this.getChunkKey(cx, cy);
-    return this.chunks[key] || null;
+  public isInWorld(cx: number, cy: number): boolean {
+    return cx >= 0 && cy >= 0 && cx * this.CHUNK_SIZE < this.worldWidth && cy * this.CHUNK_SIZE < this.worldHeight;
   }
 
-  public setChunk(cx: number, cy: number, data: ChunkData): void {
+  // Generated on first access; null outside the world (or with no generator)
+  public getChunk(cx: number, cy: number): ChunkData | null {
     const key = this.getChunkKey(cx, cy);
-    this.chunks[key] = data;
-  }
-
-  public getAllChunks(): { [key: string]: ChunkData } {
-    return this.chunks;
-  }
-
-  // Helper to add a road tile to the appropriate chunk
-  public addRoadTile(x: number, y: number, tileId: number): void {
-    const pixelX = x * 16;
-    const pixelY = y * 16;
-    const { cx, cy } = this.worldToChunk(pixelX, pixelY);
-
-    let chunk = this.getChunk(cx, cy);
+    let chunk = this.chunks[key];
     if (!chunk) {
-      chunk = this.createEmptyChunk();
-      this.setChunk(cx, cy, chunk);
+      if (!this.generator || !this.isInWorld(cx, cy)) return null;
+      chunk = this.generator(cx, cy);
+      this.chunks[key] = chunk;
     }
-
-    // Store relative to chunk? Or absolute? 
-    // The previous implementation used sparse maps. 
-    // Let's store RELATIVE coordinates (0-31) in the key to stick to the chunk concept properly,
-    // OR we can keep absolute coordinates if we want to just act as a bucket.
-    // Client expects: roads data as list of standard tiles.
-    // Let's store locally within the chunk using world coordinates key for simplicity in lookups,
-    // or relative for data size? 
-    // "x,y" string keys are fine.
-
-    // Actually, to make it easy for client to reconstruct, keeping "localTileX,localTileY" is best.
-    const localTileX = x % 32;
-    const localTileY = y % 32;
-    chunk.roads[`${localTileX},${localTileY}`] = tileId;
+    return chunk;
   }
 
-  public addWaterTile(x: number, y: number, tileId: number): void {
-    const pixelX = x * 16;
-    const pixelY = y * 16;
-    const { cx, cy } = this.worldToChunk(pixelX, pixelY);
-
-    let chunk = this.getChunk(cx, cy);
-    if (!chunk) {
-      chunk = this.createEmptyChunk();
-      this.setChunk(cx, cy, chunk);
-    }
-
-    const localTileX = x % 32;
-    const localTileY = y % 32;
-    chunk.water[`${localTileX},${localTileY}`] = tileId;
+  // Only chunks that already exist; never generates one
+  public getGeneratedChunk(cx: number, cy: number): ChunkData | null {
+    return this.chunks[this.getChunkKey(cx, cy)] || null;
   }
 
-  public addRock(rock: { x: number; y: number; tileId: number; actualTileNum: number }): void {
-    const { cx, cy } = this.worldToChunk(rock.x, rock.y);
-    let chunk = this.getChunk(cx, cy);
-    if (!chunk) {
-      chunk = this.createEmptyChunk();
-      this.setChunk(cx, cy, chunk);
+  // Make sure the chunks within `radius` chunks of a world position exist
+  public ensureChunksAround(x: number, y: number, radius: number): void {
+    const { cx, cy } = this.worldToChunk(x, y);
+    for (let dy = -radius; dy <= radius; dy++) {
+      for (let dx = -radius; dx <= radius; dx++) {
+        this.getChunk(cx + dx, cy + dy);
+      }
     }
-    chunk.rocks.push(rock);
   }
 
-  public addTree(tree: { x: number; y: number; width: number; height: number; type: string }): void {
-    const { cx, cy } = this.worldToChunk(tree.x, tree.y);
-    let chunk = this.getChunk(cx, cy);
-    if (!chunk) {
-      chunk = this.createEmptyChunk();
-      this.setChunk(cx, cy, chunk);
-    }
-    chunk.trees.push(tree);
+  // Water lookup by absolute tile coordinates (generates the chunk if needed)
+  public isWaterTile(tx: number, ty: number): boolean {
+    const tilesPerChunk = this.CHUNK_SIZE / 16;
+    const chunk = this.getChunk(Math.floor(tx / tilesPerChunk), Math.floor(ty / tilesPerChunk));
+    return !!chunk && !!chunk.water[`${tx % tilesPerChunk},${ty % tilesPerChunk}`];
   }
 
-  private createEmptyChunk(): ChunkData {
-    return {
-      roads: {},
-      water: {},
-      rocks: [],
-      trees: [],
-    };
+  // Chunks generated so far
+  public getAllChunks(): { [key: string]: ChunkData } {
+    return this.chunks;
   }
 }
@@ -0,0 +1,183 @@
+// server/src/world/CollisionMasks.ts
+// Collision shapes per sprite, loaded from the manifest the collision editor
+// (tools/collision-editor) exports. Coordinates are pixels from the sprite's
+// (or frame's) top-left corner.
+
+import fs from 'fs';
+import path from 'path';
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+// What a shape stops: everything, only shots (e.g. a tree canopy you can walk
+// under) or nothing (triggers and hurtboxes, which never collide)
+export type MaskBlocks = 'all' | 'projectiles' | 'none';
+
+// Shapes as written in the manifest. A bare point array is an unnamed polygon.
+export type MaskShapeJson =
+    | Point[]
+    | { type: 'polygon'; points: Point[]; name?: string; blocks?: MaskBlocks }
+    | { type: 'circle'; x: number; y: number; r: number; name?: string; blocks?: MaskBlocks }
+    | { type: 'rect'; x: number; y: number; w: number; h: number; name?: string; blocks?: MaskBlocks };
+
+export interface SpriteMaskJson {
+    frameWidth?: number; // Editor's frame grid for sheets; not used here
+    frameHeight?: number;
+    shapes?: MaskShapeJson[];
+    frames?: { [frame: string]: MaskShapeJson[] }; // Sprite sheets: per-frame overrides
+}
+
+export interface CollisionMaskManifest {
+    version: number;
+    masks: { [spritePath: string]: SpriteMaskJson | Point[] };
+}
+
+// Normalized shapes that collide; rects become polygons
+export type SolidBlocks = Exclude<MaskBlocks, 'none'>;
+export type MaskShape =
+    | { type: 'polygon'; points: Point[]; blocks: SolidBlocks; minX: number; minY: number; maxX: number; maxY: number }
+    | { type: 'circle'; x: number; y: number; r: number; blocks: SolidBlocks };
+
+export const COLLISION_MASKS_VERSION = 1;
+export const DEFAULT_COLLISION_MASKS_PATH = path.resolve(__dirname, '../../collision-masks.json');
+
+function polygon(points: Point[], blocks: SolidBlocks = 'all'): MaskShape {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    return {
+        type: 'polygon',
+        points,
+        blocks,
+        minX: Math.min(...xs),
+        minY: Math.min(...ys),
+        maxX: Math.max(...xs),
+        maxY: Math.max(...ys),
+    };
+}
+
+function normalizeShape(json: MaskShapeJson): MaskShape | null {
+    if (Array.isArray(json)) return json.length >= 3 ? polygon(json) : null;
+    if (json.blocks === 'none') return null;
+    switch (json.type) {
+        case 'polygon':
+            return json.points.length >= 3 ? polygon(json.points, json.blocks) : null;
+        case 'circle':
+            return { type: 'circle', x: json.x, y: json.y, r: json.r, blocks: json.blocks || 'all' };
+        case 'rect':
+            return polygon([
+                { x: json.x, y: json.y },
+                { x: json.x + json.w, y: json.y },
+                { x: json.x + json.w, y: json.y + json.h },
+                { x: json.x, y: json.y + json.h },
+            ], json.blocks);
+        default:
+            return null;
+    }
+}
+
+function normalizeShapes(list: MaskShapeJson[]): MaskShape[] {
+    const shapes: MaskShape[] = [];
+    for (const json of list) {
+        const shape = normalizeShape(json);
+        if (shape) shapes.push(shape);
+    }
+    return shapes;
+}
+
+// Does a circle at (cx, cy) overlap a shape whose sprite is drawn at (ox, oy)?
+export function circleHitsShape(cx: number, cy: number, radius: number, shape: MaskShape, ox: number, oy: number): boolean {
+    const x = cx - ox;
+    const y = cy - oy;
+
+    if (shape.type === 'circle') {
+        const reach = shape.r + radius;
+        return (x - shape.x) ** 2 + (y - shape.y) ** 2 <= reach * reach;
+    }
+
+    if (x < shape.minX - radius || x > shape.maxX + radius || y < shape.minY - radius || y > shape.maxY + radius) {
+        return false;
+    }
+
+    // Center inside the polygon (even-odd rule)
+    const points = shape.points;
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    if (inside) return true;
+    if (radius <= 0) return false;
+
+    // Or close enough to an edge
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        if (distanceToSegmentSq(x, y, points[j], points[i]) <= radius * radius) return true;
+    }
+    return false;
+}
+
+function distanceToSegmentSq(x: number, y: number, a: Point, b: Point): number {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSq)) : 0;
+    const px = a.x + t * dx;
+    const py = a.y + t * dy;
+    return (x - px) ** 2 + (y - py) ** 2;
+}
+
+const loaded: Map<string, CollisionMasks> = new Map(); // One read per manifest per process
+
+export class CollisionMasks {
+    private masks: Map<string, { shapes: MaskShape[]; frames: Map<string, MaskShape[]> }> = new Map();
+
+    constructor(manifest: CollisionMaskManifest | null = null) {
+        if (!manifest) return;
+        for (const spritePath in manifest.masks) {
+            const entry = manifest.masks[spritePath];
+            const json: SpriteMaskJson = Array.isArray(entry) ? { shapes: [entry] } : entry;
+            const frames = new Map<string, MaskShape[]>();
+            for (const frame in json.frames || {}) {
+                frames.set(frame, normalizeShapes(json.frames![frame]));
+            }
+            this.masks.set(spritePath, { shapes: normalizeShapes(json.shapes || []), frames });
+        }
+    }
+
+    // Read a manifest file. Throws if it's missing or broken: without masks
+    // nothing in the world would block players or projectiles.
+    static load(filePath: string = DEFAULT_COLLISION_MASKS_PATH): CollisionMasks {
+        const cached = loaded.get(filePath);
+        if (cached) return cached;
+
+        let manifest: CollisionMaskManifest;
+        try {
+            manifest = JSON.parse(fs.readFileSync(filePath, 'utf8')) as CollisionMaskManifest;
+        } catch (err) {
+            throw new Error(`Cannot read collision masks from ${filePath}: ${(err as Error).message}`);
+        }
+        if (!manifest || manifest.version !== COLLISION_MASKS_VERSION || typeof manifest.masks !== 'object') {
+            throw new Error(`Collision masks in ${filePath} have unsupported version ${manifest && manifest.version}`);
+        }
+
+        const masks = new CollisionMasks(manifest);
+        console.log(`[Collision] Loaded ${masks.masks.size} sprite masks from ${filePath}`);
+        loaded.set(filePath, masks);
+        return masks;
+    }
+
+    // Shapes for a sprite (and frame, for sheets); empty if it has no mask
+    get(spritePath: string, frame?: number | string): MaskShape[] {
+        const mask = this.masks.get(spritePath);
+        if (!mask) return [];
+        if (frame !== undefined) {
+            const frameShapes = mask.frames.get(String(frame));
+            if (frameShapes) return frameShapes;
+        }
+        return mask.shapes;
+    }
+}
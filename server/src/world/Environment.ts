@@ -0,0 +1,120 @@
+// server/src/world/Environment.ts
+// Server-authoritative time of day and weather, on a schedule independent of
+// the extraction cycle, so every client sees the same sky
+
+export type Weather = 'clear' | 'rain' | 'fog' | 'storm';
+
+// What clients receive next to the cycle clock
+export interface EnvironmentState {
+    timeOfDay: number; // 0-1; 0 is midnight, 0.5 is noon
+    day: number; // Days since the room was created
+    isNight: boolean;
+    weather: Weather;
+    weatherRemaining: number; // ms until the weather changes
+}
+
+// Persisted with the room
+export interface EnvironmentSnapshot {
+    timeOfDay: number;
+    day: number;
+    weather: Weather;
+    weatherRemaining: number; // ms
+}
+
+export const DEFAULT_DAY_LENGTH_MS = 10 * 60 * 1000;
+const NIGHT_START = 0.8; // Night runs from 19:12 to 04:48
+const NIGHT_END = 0.2;
+const START_TIME_OF_DAY = 0.3; // New rooms start in the morning
+const MIN_WEATHER_SECONDS = 120;
+const MAX_WEATHER_SECONDS = 300;
+
+// Relative odds of each weather when it changes
+const WEATHER_WEIGHTS: [Weather, number][] = [
+    ['clear', 55],
+    ['rain', 20],
+    ['fog', 15],
+    ['storm', 10],
+];
+
+export class Environment {
+    private timeOfDay: number = START_TIME_OF_DAY;
+    private day: number = 0;
+    private weather: Weather = 'clear';
+    private weatherRemaining: number; // seconds
+    private dayLengthMs: number;
+
+    constructor(dayLengthMs: number = DEFAULT_DAY_LENGTH_MS) {
+        this.dayLengthMs = dayLengthMs;
+        this.weatherRemaining = this.rollWeatherDuration();
+    }
+
+    // Returns true when the weather changed this tick
+    public update(dt: number): boolean {
+        this.timeOfDay += (dt * 1000) / this.dayLengthMs;
+        while (this.timeOfDay >= 1) {
+            this.timeOfDay -= 1;
+            this.day++;
+        }
+
+        this.weatherRemaining -= dt;
+        if (this.weatherRemaining > 0) return false;
+
+        const previous = this.weather;
+        this.weather = this.rollWeather();
+        this.weatherRemaining = this.rollWeatherDuration();
+        return this.weather !== previous;
+    }
+
+    public isNight(): boolean {
+        return this.timeOfDay >= NIGHT_START || this.timeOfDay < NIGHT_END;
+    }
+
+    public getWeather(): Weather {
+        return this.weather;
+    }
+
+    // Darkness and fog both shorten how far players can see
+    public limitsVision(): boolean {
+        return this.isNight() || this.weather === 'fog';
+    }
+
+    public getState(): EnvironmentState {
+        return {
+            timeOfDay: this.timeOfDay,
+            day: this.day,
+            isNight: this.isNight(),
+            weather: this.weather,
+            weatherRemaining: Math.max(0, Math.round(this.weatherRemaining * 1000)),
+        };
+    }
+
+    public serialize(): EnvironmentSnapshot {
+        return {
+            timeOfDay: this.timeOfDay,
+            day: this.day,
+            weather: this.weather,
+            weatherRemaining: Math.round(this.weatherRemaining * 1000),
+        };
+    }
+
+    public restore(snapshot: EnvironmentSnapshot): void {
+        this.timeOfDay = snapshot.timeOfDay;
+        this.day = snapshot.day;
+        this.weather = snapshot.weather;
+        this.weatherRemaining = snapshot.weatherRemaining / 1000;
+    }
+
+    private rollWeather(): Weather {
+        const total = WEATHER_WEIGHTS.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = Math.random() * total;
+        for (const [weather, weight] of WEATHER_WEIGHTS) {
+            roll -= weight;
+            if (roll < 0) return weather;
+        }
+        return 'clear';
+    }
+
+    private rollWeatherDuration(): number {
+        return MIN_WEATHER_SECONDS + Math.random() * (MAX_WEATHER_SECONDS - MIN_WEATHER_SECONDS);
+    }
+}
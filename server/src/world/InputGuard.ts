@@ -0,0 +1,116 @@
+// server/src/world/InputGuard.ts
+// Per-player limits on client input the server can't simply trust: how often a
+// player fires, and how much movement time their inputs claim compared with
+// the time that really passed. Breaking a limit is a violation; enough recent
+// violations flag the player, and more ask for a disconnect.
+
+export type ViolationKind = 'fire_rate' | 'move_time' | 'move_vector' | 'move_batch';
+
+interface GuardState {
+    shotTokens: number; // Shots available right now
+    moveBudget: number; // Seconds of movement the player may still simulate
+    refilledAt: number; // Date.now() of the last refill
+    violations: number[]; // Timestamps of recent violations, oldest first
+    flagged: boolean;
+    kick: boolean;
+}
+
+export class InputGuard {
+    public static readonly SHOTS_PER_SECOND = 8; // Well above button mashing
+    public static readonly SHOT_BURST = 4;
+    public static readonly MOVE_BUDGET_SECONDS = 1.0; // Covers inputs queued during a lag spike
+    public static readonly MOVE_TIME_ALLOWANCE = 1.05; // Client clocks may run slightly fast
+    public static readonly VIOLATION_WINDOW_MS = 10000;
+    public static readonly FLAG_VIOLATIONS = 5;
+    public static readonly KICK_VIOLATIONS = 20;
+
+    private players: Map<string, GuardState> = new Map();
+
+    // Spend one shot; false (and a violation) when the player is firing too fast
+    public allowShot(playerId: string, now: number = Date.now()): boolean {
+        const state = this.refill(playerId, now);
+        if (state.shotTokens >= 1) {
+            state.shotTokens--;
+            return true;
+        }
+        this.report(playerId, 'fire_rate', `over ${InputGuard.SHOTS_PER_SECOND} shots/s`, now);
+        return false;
+    }
+
+    // How much of an input's dt may be simulated. Inputs beyond the budget are
+    // cut short; the caller reports a move_time violation once per batch.
+    public grantMoveTime(playerId: string, dt: number, now: number = Date.now()): number {
+        const state = this.refill(playerId, now);
+        const granted = Math.min(dt, state.moveBudget);
+        state.moveBudget -= granted;
+        return granted;
+    }
+
+    public report(playerId: string, kind: ViolationKind, detail: string, now: number = Date.now()): void {
+        const state = this.stateFor(playerId, now);
+
+        // Only violations inside the window count
+        const cutoff = now - InputGuard.VIOLATION_WINDOW_MS;
+        let drop = 0;
+        while (drop < state.violations.length && state.violations[drop] < cutoff) {
+            drop++;
+        }
+        if (drop > 0) state.violations.splice(0, drop);
+        state.violations.push(now);
+
+        const count = state.violations.length;
+        // A cheating client violates many times a second; log the milestones, not each one
+        if (count === 1) {
+            console.log(`[AntiCheat] Player ${playerId} ${kind}: ${detail}`);
+        }
+        if (count >= InputGuard.FLAG_VIOLATIONS && !state.flagged) {
+            state.flagged = true;
+            console.log(`[AntiCheat] Player ${playerId} flagged after ${count} violations in ${InputGuard.VIOLATION_WINDOW_MS / 1000}s (latest ${kind}: ${detail})`);
+        }
+        if (count >= InputGuard.KICK_VIOLATIONS && !state.kick) {
+            state.kick = true;
+            console.log(`[AntiCheat] Player ${playerId} to be disconnected after ${count} violations (latest ${kind}: ${detail})`);
+        }
+    }
+
+    public isFlagged(playerId: string): boolean {
+        const state = this.players.get(playerId);
+        return !!state && state.flagged;
+    }
+
+    public shouldKick(playerId: string): boolean {
+        const state = this.players.get(playerId);
+        return !!state && state.kick;
+    }
+
+    // The player left for good
+    public forget(playerId: string): void {
+        this.players.delete(playerId);
+    }
+
+    private stateFor(playerId: string, now: number): GuardState {
+        let state = this.players.get(playerId);
+        if (!state) {
+            state = {
+                shotTokens: InputGuard.SHOT_BURST,
+                moveBudget: InputGuard.MOVE_BUDGET_SECONDS,
+                refilledAt: now,
+                violations: [],
+                flagged: false,
+                kick: false,
+            };
+            this.players.set(playerId, state);
+        }
+        return state;
+    }
+
+    // Both allowances refill with wall-clock time, up to their caps
+    private refill(playerId: string, now: number): GuardState {
+        const state = this.stateFor(playerId, now);
+        const elapsed = Math.max(0, now - state.refilledAt) / 1000;
+        state.refilledAt = now;
+        state.shotTokens = Math.min(InputGuard.SHOT_BURST, state.shotTokens + elapsed * InputGuard.SHOTS_PER_SECOND);
+        state.moveBudget = Math.min(InputGuard.MOVE_BUDGET_SECONDS, state.moveBudget + elapsed * InputGuard.MOVE_TIME_ALLOWANCE);
+        return state;
+    }
+}
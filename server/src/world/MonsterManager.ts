@@ -0,0 +1,435 @@
+// server/src/world/MonsterManager.ts
+// Hostile PvE monsters: seeded camps, aggro, chase, attack and leash back home
+
+import { hash, hash01 } from './hash';
+
+export type MonsterState = 'idle' | 'wander' | 'chase' | 'attack' | 'return';
+
+// What clients see of a monster
+export interface Monster {
+    id: string;
+    x: number;
+    y: number;
+    type: string; // Sprite name, same set as pets
+    hp: number;
+    maxHp: number;
+    state: MonsterState;
+    direction: string;
+}
+
+export interface MonsterType {
+    name: string;
+    hp: number;
+    damage: number;
+    speed: number; // pixels per second
+    aggroRadius: number; // Notices players this close to it
+    attackRange: number;
+    attackCooldown: number; // seconds
+    dropChance: number; // 0-1, chance to drop a boon on death
+}
+
+// A target monsters can see, bite and chase; GameServer passes players in
+export interface MonsterTarget {
+    id: string;
+    x: number;
+    y: number;
+}
+
+// How the manager reaches the rest of the game
+export interface MonsterWorld {
+    targets(): MonsterTarget[]; // Everyone a monster may pick on right now
+    canMoveTo(x: number, y: number): boolean;
+    isWaterTile(tileX: number, tileY: number): boolean;
+    attack(monster: Monster, targetId: string, damage: number): void;
+    isStorm(): boolean; // Storms bring extra monsters to every camp
+}
+
+interface Camp {
+    key: string;
+    x: number;
+    y: number;
+    type: MonsterType;
+    members: string[]; // Monster ids, alive or waiting to respawn
+}
+
+// Server-only AI state, kept off the wire
+interface Brain {
+    monster: Monster;
+    type: MonsterType;
+    camp: Camp;
+    homeX: number;
+    homeY: number;
+    targetId: string | null;
+    attackTimer: number;
+    wanderTimer: number;
+    wanderX: number;
+    wanderY: number;
+    respawnTimer: number; // > 0 while dead
+    returnTimer: number; // Seconds left to get home before it's put there
+    stormSpawn: boolean; // Leaves when the storm clears
+}
+
+// Ordered from weakest to toughest; camps far from spawn pick from the top
+export const MONSTER_TYPES: MonsterType[] = [
+    { name: 'Death Slime', hp: 30, damage: 5, speed: 28, aggroRadius: 110, attackRange: 18, attackCooldown: 1.0, dropChance: 0.25 },
+    { name: 'Red Cap', hp: 25, damage: 6, speed: 48, aggroRadius: 150, attackRange: 18, attackCooldown: 0.8, dropChance: 0.25 },
+    { name: 'Fungal Myconid', hp: 45, damage: 7, speed: 24, aggroRadius: 120, attackRange: 20, attackCooldown: 1.2, dropChance: 0.3 },
+    { name: 'Murky Slaad', hp: 60, damage: 9, speed: 40, aggroRadius: 160, attackRange: 20, attackCooldown: 1.0, dropChance: 0.4 },
+    { name: 'Blinded Grimlock', hp: 70, damage: 11, speed: 38, aggroRadius: 90, attackRange: 20, attackCooldown: 1.1, dropChance: 0.45 },
+    { name: 'Brawny Ogre', hp: 120, damage: 15, speed: 30, aggroRadius: 140, attackRange: 24, attackCooldown: 1.6, dropChance: 0.7 },
+    { name: 'Stone Troll', hp: 160, damage: 18, speed: 26, aggroRadius: 140, attackRange: 26, attackCooldown: 1.8, dropChance: 1.0 },
+];
+
+const CHUNK_SIZE = 512; // Matches ChunkManager; one camp roll per chunk
+const TILE_SIZE = 16;
+const CAMP_CHANCE = 0.3;
+const CAMP_MIN_MONSTERS = 2;
+const CAMP_MAX_MONSTERS = 4;
+const CAMP_RADIUS = 48; // Members spawn and wander this close to the camp
+const SPAWN_SAFE_RADIUS = 600; // No camps this close to the world center
+const LEASH_RADIUS = 400; // Gives up the chase this far from camp
+const RESPAWN_TIME = 90; // seconds
+const STORM_EXTRA_MONSTERS = 2; // Per camp, while a storm lasts
+const STORM_RESPAWN_MULTIPLIER = 1 / 3;
+const RETURN_SPEED_MULTIPLIER = 1.5;
+const RETURN_TIMEOUT = 10; // seconds; a monster whose way home is blocked gets put back
+const WANDER_SPEED_MULTIPLIER = 0.4;
+
+const SALT_CAMP = 0x6d6f6e01;
+const SALT_CAMP_POS = 0x6d6f6e02;
+const SALT_CAMP_TYPE = 0x6d6f6e03;
+const SALT_CAMP_SIZE = 0x6d6f6e04;
+
+export class MonsterManager {
+    private monsters: { [monsterId: string]: Monster } = {}; // Alive only
+    private brains: Map<string, Brain> = new Map();
+    private camps: Camp[] = [];
+    private campsChecked: Set<string> = new Set();
+    private storm: boolean = false;
+    private moved: Set<Monster> = new Set(); // Spawned or simulated since the last takeMoved()
+    private seed: number;
+    private world: MonsterWorld;
+    private worldWidth: number;
+    private worldHeight: number;
+
+    constructor(seed: number, world: MonsterWorld, worldWidth: number, worldHeight: number) {
+        this.seed = seed;
+        this.world = world;
+        this.worldWidth = worldWidth;
+        this.worldHeight = worldHeight;
+    }
+
+    public getMonsters(): { [monsterId: string]: Monster } {
+        return this.monsters;
+    }
+
+    // Living monsters that spawned or may have moved since the last call;
+    // everything else is where it was
+    public takeMoved(): Monster[] {
+        const moved = Array.from(this.moved).filter(monster => this.monsters[monster.id] === monster);
+        this.moved.clear();
+        return moved;
+    }
+
+    public getType(monsterId: string): MonsterType | null {
+        const brain = this.brains.get(monsterId);
+        return brain ? brain.type : null;
+    }
+
+    // Spawn the camps of every chunk within `radius` chunks of a point. Camps
+    // are a pure function of the seed and chunk, so this only decides when.
+    public ensureCampsAround(x: number, y: number, radius: number): void {
+        const cx = Math.floor(x / CHUNK_SIZE);
+        const cy = Math.floor(y / CHUNK_SIZE);
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                this.spawnCamp(cx + dx, cy + dy);
+            }
+        }
+    }
+
+    private spawnCamp(cx: number, cy: number): void {
+        const key = `${cx},${cy}`;
+        if (this.campsChecked.has(key)) return;
+        this.campsChecked.add(key);
+
+        if (cx < 0 || cy < 0 || cx * CHUNK_SIZE >= this.worldWidth || cy * CHUNK_SIZE >= this.worldHeight) return;
+        if (hash01(this.seed, SALT_CAMP, cx, cy) >= CAMP_CHANCE) return;
+
+        // Keep the camp clear of chunk edges so members stay mostly inside
+        const margin = CAMP_RADIUS + TILE_SIZE;
+        const span = CHUNK_SIZE - margin * 2;
+        const x = cx * CHUNK_SIZE + margin + hash01(this.seed, SALT_CAMP_POS, cx, cy, 0) * span;
+        const y = cy * CHUNK_SIZE + margin + hash01(this.seed, SALT_CAMP_POS, cx, cy, 1) * span;
+        if (x >= this.worldWidth || y >= this.worldHeight) return;
+
+        const centerX = this.worldWidth / 2;
+        const centerY = this.worldHeight / 2;
+        const fromCenter = Math.sqrt((x - centerX) ** 2 + (y - centerY) ** 2);
+        if (fromCenter < SPAWN_SAFE_RADIUS) return;
+        if (this.world.isWaterTile(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE))) return;
+
+        // Tougher monsters further out, with some jitter so rings aren't obvious
+        const maxDistance = Math.sqrt(centerX * centerX + centerY * centerY);
+        const danger = (fromCenter - SPAWN_SAFE_RADIUS) / Math.max(1, maxDistance - SPAWN_SAFE_RADIUS);
+        const jitter = hash01(this.seed, SALT_CAMP_TYPE, cx, cy) - 0.5;
+        const typeIndex = Math.max(0, Math.min(MONSTER_TYPES.length - 1,
+            Math.floor((danger + jitter * 0.4) * MONSTER_TYPES.length)));
+        const type = MONSTER_TYPES[typeIndex];
+        const count = CAMP_MIN_MONSTERS + hash(this.seed, SALT_CAMP_SIZE, cx, cy) % (CAMP_MAX_MONSTERS - CAMP_MIN_MONSTERS + 1);
+
+        const camp: Camp = { key, x, y, type, members: [] };
+        for (let i = 0; i < count; i++) {
+            this.addMember(camp, `monster_${key}_${i}`, (i / count) * Math.PI * 2, false);
+        }
+        this.camps.push(camp);
+        if (this.storm) this.addStormMembers(camp);
+    }
+
+    private addMember(camp: Camp, id: string, angle: number, stormSpawn: boolean): void {
+        const type = camp.type;
+        const homeX = camp.x + Math.cos(angle) * CAMP_RADIUS * 0.5;
+        const homeY = camp.y + Math.sin(angle) * CAMP_RADIUS * 0.5;
+        const monster: Monster = {
+            id,
+            x: homeX,
+            y: homeY,
+            type: type.name,
+            hp: type.hp,
+            maxHp: type.hp,
+            state: 'idle',
+            direction: 'down',
+        };
+        this.brains.set(id, {
+            monster,
+            type,
+            camp,
+            homeX,
+            homeY,
+            targetId: null,
+            attackTimer: 0,
+            wanderTimer: Math.random() * 4,
+            wanderX: homeX,
+            wanderY: homeY,
+            respawnTimer: 0,
+            returnTimer: 0,
+            stormSpawn,
+        });
+        this.monsters[id] = monster;
+        this.moved.add(monster);
+        camp.members.push(id);
+    }
+
+    private addStormMembers(camp: Camp): void {
+        for (let i = 0; i < STORM_EXTRA_MONSTERS; i++) {
+            this.addMember(camp, `monster_${camp.key}_storm${i}`, Math.random() * Math.PI * 2, true);
+        }
+    }
+
+    // Storm spawns leave with the storm, dead or alive. Returns the ids removed.
+    private clearStormMembers(): string[] {
+        const removed: string[] = [];
+        for (const camp of this.camps) {
+            camp.members = camp.members.filter(id => {
+                if (!this.brains.get(id)!.stormSpawn) return true;
+                this.brains.delete(id);
+                delete this.monsters[id];
+                removed.push(id);
+                return false;
+            });
+        }
+        return removed;
+    }
+
+    // Returns true if the hit killed it. Getting hurt pulls it onto the attacker.
+    public damage(monsterId: string, amount: number, attackerId: string | null): boolean {
+        const brain = this.brains.get(monsterId);
+        const monster = this.monsters[monsterId];
+        if (!brain || !monster) return false;
+
+        monster.hp = Math.max(0, monster.hp - amount);
+        if (monster.hp <= 0) {
+            delete this.monsters[monsterId];
+            brain.respawnTimer = RESPAWN_TIME * (this.storm ? STORM_RESPAWN_MULTIPLIER : 1);
+            brain.targetId = null;
+            return true;
+        }
+
+        if (attackerId && monster.state !== 'return') {
+            brain.targetId = attackerId;
+            monster.state = 'chase';
+        }
+        return false;
+    }
+
+    // Returns ids of monsters that left the world this tick (not counting kills)
+    public update(dt: number): string[] {
+        let removed: string[] = [];
+        const storm = this.world.isStorm();
+        if (storm !== this.storm) {
+            this.storm = storm;
+            if (storm) {
+                for (const camp of this.camps) this.addStormMembers(camp);
+            } else {
+                removed = this.clearStormMembers();
+            }
+        }
+
+        // Camps with nobody in reach sleep once their members are home;
+        // respawns still count down
+        const targets = this.world.targets();
+        for (const camp of this.camps) {
+            const reach = LEASH_RADIUS + camp.type.aggroRadius;
+            const nearby = targets.filter(t => (t.x - camp.x) ** 2 + (t.y - camp.y) ** 2 <= reach * reach);
+            for (const id of camp.members) {
+                const brain = this.brains.get(id)!;
+                if (brain.respawnTimer > 0) {
+                    brain.respawnTimer -= dt;
+                    if (brain.respawnTimer <= 0) this.respawn(brain);
+                    continue;
+                }
+                const state = brain.monster.state;
+                if (nearby.length === 0 && (state === 'idle' || state === 'wander')) continue;
+                this.think(brain, nearby, dt);
+                this.moved.add(brain.monster);
+            }
+        }
+
+        return removed;
+    }
+
+    private respawn(brain: Brain): void {
+        const monster = brain.monster;
+        monster.x = brain.homeX;
+        monster.y = brain.homeY;
+        monster.hp = monster.maxHp;
+        monster.state = 'idle';
+        brain.respawnTimer = 0;
+        brain.targetId = null;
+        this.monsters[monster.id] = monster;
+        this.moved.add(monster);
+    }
+
+    private think(brain: Brain, targets: MonsterTarget[], dt: number): void {
+        const monster = brain.monster;
+        const type = brain.type;
+        brain.attackTimer = Math.max(0, brain.attackTimer - dt);
+
+        if (monster.state === 'return') {
+            brain.returnTimer -= dt;
+            if (brain.returnTimer <= 0) {
+                monster.x = brain.homeX;
+                monster.y = brain.homeY;
+            }
+            if (brain.returnTimer <= 0 ||
+                this.moveToward(monster, brain.homeX, brain.homeY, type.speed * RETURN_SPEED_MULTIPLIER * dt)) {
+                monster.hp = monster.maxHp; // Reset fights can't be won by kiting
+                monster.state = 'idle';
+            }
+            return;
+        }
+
+        // Keep the current target while it's alive and in play, otherwise look for one
+        let target = brain.targetId ? targets.find(t => t.id === brain.targetId) || null : null;
+        if (!target) {
+            brain.targetId = null;
+            target = this.nearestTarget(monster, targets, type.aggroRadius);
+            if (target) brain.targetId = target.id;
+        }
+
+        const campDist = Math.sqrt((monster.x - brain.camp.x) ** 2 + (monster.y - brain.camp.y) ** 2);
+        if (target && campDist > LEASH_RADIUS) {
+            this.startReturn(brain);
+            return;
+        }
+
+        if (target) {
+            const dist = Math.sqrt((target.x - monster.x) ** 2 + (target.y - monster.y) ** 2);
+            if (dist <= type.attackRange) {
+                monster.state = 'attack';
+                this.face(monster, target.x - monster.x, target.y - monster.y);
+                if (brain.attackTimer <= 0) {
+                    brain.attackTimer = type.attackCooldown;
+                    this.world.attack(monster, target.id, type.damage);
+                }
+            } else {
+                monster.state = 'chase';
+                this.moveToward(monster, target.x, target.y, type.speed * dt);
+            }
+            return;
+        }
+
+        // Nobody around: idle near camp and wander now and then
+        if (monster.state === 'chase' || monster.state === 'attack') {
+            this.startReturn(brain);
+            return;
+        }
+        brain.wanderTimer -= dt;
+        if (brain.wanderTimer <= 0) {
+            brain.wanderTimer = 3 + Math.random() * 5;
+            const angle = Math.random() * Math.PI * 2;
+            const r = Math.random() * CAMP_RADIUS;
+            brain.wanderX = brain.camp.x + Math.cos(angle) * r;
+            brain.wanderY = brain.camp.y + Math.sin(angle) * r;
+            monster.state = 'wander';
+        }
+        if (monster.state === 'wander' &&
+            this.moveToward(monster, brain.wanderX, brain.wanderY, type.speed * WANDER_SPEED_MULTIPLIER * dt)) {
+            monster.state = 'idle';
+        }
+    }
+
+    private startReturn(brain: Brain): void {
+        brain.targetId = null;
+        brain.returnTimer = RETURN_TIMEOUT;
+        brain.monster.state = 'return';
+    }
+
+    private nearestTarget(monster: Monster, targets: MonsterTarget[], radius: number): MonsterTarget | null {
+        let best: MonsterTarget | null = null;
+        let bestDist = radius * radius;
+        for (const target of targets) {
+            const d = (target.x - monster.x) ** 2 + (target.y - monster.y) ** 2;
+            if (d <= bestDist) {
+                best = target;
+                bestDist = d;
+            }
+        }
+        return best;
+    }
+
+    // Step toward a point, sliding along obstacles. Returns true once there.
+    private moveToward(monster: Monster, x: number, y: number, step: number): boolean {
+        const dx = x - monster.x;
+        const dy = y - monster.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist <= step || dist < 1) {
+            if (this.world.canMoveTo(x, y)) {
+                monster.x = x;
+                monster.y = y;
+            }
+            return true;
+        }
+
+        const newX = monster.x + (dx / dist) * step;
+        const newY = monster.y + (dy / dist) * step;
+        if (this.world.canMoveTo(newX, newY)) {
+            monster.x = newX;
+            monster.y = newY;
+        } else if (this.world.canMoveTo(newX, monster.y)) {
+            monster.x = newX;
+        } else if (this.world.canMoveTo(monster.x, newY)) {
+            monster.y = newY;
+        }
+        this.face(monster, dx, dy);
+        return false;
+    }
+
+    private face(monster: Monster, dx: number, dy: number): void {
+        if (Math.abs(dx) > Math.abs(dy)) {
+            monster.direction = dx > 0 ? 'right' : 'left';
+        } else {
+            monster.direction = dy > 0 ? 'down' : 'up';
+        }
+    }
+}
@@ -0,0 +1,83 @@
+// server/src/world/Obstacles.ts
+// Collision against world objects (trees, rocks, NPCs) using their sprite
+// masks. Looks at every chunk a sprite could reach into from, so objects
+// across a chunk border still block.
+
+import { ChunkManager } from './ChunkManager';
+import { CollisionMasks, MaskShape, circleHitsShape } from './CollisionMasks';
+
+// Same files the client draws (world.lua)
+export const TREE_SPRITES: { [type: string]: string } = {
+    standard: 'assets/img/Oak_Tree.png',
+    purple: 'assets/img/Oak_Tree_Purple.png',
+    blue: 'assets/img/Oak_Tree_Blue.png',
+    alien: 'assets/img/Oak_Tree_Alien.png',
+    white: 'assets/img/Oak_Tree_White.png',
+    red_white: 'assets/img/Oak_Tree_Red_White.png',
+    all_white: 'assets/img/Oak_Tree_All_White.png',
+};
+export const ROCK_SPRITE = 'assets/img/objects/rocks.png'; // Frames are rock tile IDs
+
+const MAX_SPRITE_SIZE = 96; // No object sprite is larger; bounds the chunk search
+
+export interface ObstacleSprite {
+    x: number; // Sprite top-left
+    y: number;
+    spritePath: string;
+}
+
+export class Obstacles {
+    private chunkManager: ChunkManager;
+    private masks: CollisionMasks;
+    private sprites: () => ObstacleSprite[]; // Free-standing obstacles (NPCs)
+
+    constructor(chunkManager: ChunkManager, masks: CollisionMasks, sprites: () => ObstacleSprite[]) {
+        this.chunkManager = chunkManager;
+        this.masks = masks;
+        this.sprites = sprites;
+    }
+
+    // Is a circle at (x, y) touching anything solid? Shots also stop at
+    // projectile-only shapes such as tree canopies.
+    blocks(x: number, y: number, radius: number, projectile: boolean = false): boolean {
+        const size = this.chunkManager.CHUNK_SIZE;
+        const minCx = Math.floor((x - radius - MAX_SPRITE_SIZE) / size);
+        const maxCx = Math.floor((x + radius) / size);
+        const minCy = Math.floor((y - radius - MAX_SPRITE_SIZE) / size);
+        const maxCy = Math.floor((y + radius) / size);
+
+        for (let cy = minCy; cy <= maxCy; cy++) {
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                const chunk = this.chunkManager.getChunk(cx, cy);
+                if (!chunk) continue;
+
+                for (const tree of chunk.trees) {
+                    const spritePath = TREE_SPRITES[tree.type] || TREE_SPRITES.standard;
+                    if (this.hits(x, y, radius, projectile, this.masks.get(spritePath), tree.x, tree.y)) return true;
+                }
+                for (const rock of chunk.rocks) {
+                    if (this.hits(x, y, radius, projectile, this.masks.get(ROCK_SPRITE, rock.tileId), rock.x, rock.y)) return true;
+                }
+            }
+        }
+
+        for (const sprite of this.sprites()) {
+            if (this.hits(x, y, radius, projectile, this.masks.get(sprite.spritePath), sprite.x, sprite.y)) return true;
+        }
+
+        return false;
+    }
+
+    private hits(x: number, y: number, radius: number, projectile: boolean, shapes: MaskShape[], ox: number, oy: number): boolean {
+        // Cheap reject before any shape math
+        if (shapes.length === 0 || x + radius < ox || y + radius < oy ||
+            x - radius > ox + MAX_SPRITE_SIZE || y - radius > oy + MAX_SPRITE_SIZE) {
+            return false;
+        }
+        for (const shape of shapes) {
+            if (shape.blocks === 'projectiles' && !projectile) continue;
+            if (circleHitsShape(x, y, radius, shape, ox, oy)) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,66 @@
+// server/src/world/PositionHistory.ts
+// Short per-entity position history so hit checks can be resolved against
+// where targets were at an earlier moment (lag compensation).
+
+interface PositionSample {
+    t: number; // Date.now() milliseconds
+    x: number;
+    y: number;
+}
+
+export class PositionHistory {
+    private windowMs: number;
+    private samples: Map<string, PositionSample[]>; // oldest first
+
+    constructor(windowMs: number = 1000) {
+        this.windowMs = windowMs;
+        this.samples = new Map();
+    }
+
+    public record(id: string, x: number, y: number, t: number = Date.now()): void {
+        let history = this.samples.get(id);
+        if (!history) {
+            history = [];
+            this.samples.set(id, history);
+        }
+        history.push({ t, x, y });
+
+        // Drop samples that fell out of the window (keep at least one)
+        const cutoff = t - this.windowMs;
+        let drop = 0;
+        while (drop < history.length - 1 && history[drop].t < cutoff) {
+            drop++;
+        }
+        if (drop > 0) history.splice(0, drop);
+    }
+
+    // Forget the trail, e.g. after a respawn teleport, so rewinds never
+    // land on the previous life's position
+    public clear(id: string): void {
+        this.samples.delete(id);
+    }
+
+    // Interpolated position at time t, clamped to the oldest/newest sample
+    public getPositionAt(id: string, t: number): { x: number; y: number } | null {
+        const history = this.samples.get(id);
+        if (!history || history.length === 0) return null;
+
+        if (t <= history[0].t) return { x: history[0].x, y: history[0].y };
+        const newest = history[history.length - 1];
+        if (t >= newest.t) return { x: newest.x, y: newest.y };
+
+        for (let i = history.length - 1; i > 0; i--) {
+            const a = history[i - 1];
+            const b = history[i];
+            if (t >= a.t) {
+                const span = b.t - a.t;
+                const ratio = span > 0 ? (t - a.t) / span : 1;
+                return {
+                    x: a.x + (b.x - a.x) * ratio,
+                    y: a.y + (b.y - a.y) * ratio,
+                };
+            }
+        }
+        return { x: history[0].x, y: history[0].y };
+    }
+}
@@ -47,6 +47,31 @@ export class SpatialGrid {
         }
     }
 
+    // Entities within `radius` pixels of a point (exact distance, not whole cells)
+    public getEntitiesInRadius(x: number, y: number, radius: number): string[] {
+        const minCx = Math.floor((x - radius) / this.cellSize);
+        const maxCx = Math.floor((x + radius) / this.cellSize);
+        const minCy = Math.floor((y - radius) / this.cellSize);
+        const maxCy = Math.floor((y + radius) / this.cellSize);
+        const radiusSq = radius * radius;
+        const found: string[] = [];
+
+        for (let cy = minCy; cy <= maxCy; cy++) {
+            for (let cx = minCx; cx <= maxCx; cx++) {
+                const cell = this.grid.get(`${cx},${cy}`);
+                if (!cell) continue;
+                for (const id of cell) {
+                    const pos = this.entityPositions.get(id)!;
+                    const dx = pos.x - x;
+                    const dy = pos.y - y;
+                    if (dx * dx + dy * dy <= radiusSq) found.push(id);
+                }
+            }
+        }
+
+        return found;
+    }
+
     private addToCell(key: string, id: string): void {
         if (!this.grid.has(key)) {
             this.grid.set(key, new Set());
@@ -1,10 +1,51 @@
 
-import { ChunkManager } from './ChunkManager';
+// server/src/world/WorldGenerator.ts
+// Deterministic, lazy world generation. Each chunk is built the first time it's
+// needed, from the seed and its coordinates alone, so generation order never
+// changes the map. Roads and ponds are defined by pure functions of tile
+// position (a junction grid and per-chunk pond seeds) and chunks bitmask their
+// border tiles against the same functions, which keeps them seamless.
+
+import { ChunkData, ChunkManager } from './ChunkManager';
 import { AnimalManager } from './AnimalManager';
+import { hash, hash01 } from './hash';
+import {
+    BiomeDefinition,
+    BIOMES,
+    BIOME_NOISE_SCALE,
+    MAX_ROCK_DENSITY,
+    classifyBiome,
+    pickTreeType,
+} from './Biomes';
 
 // --- Constants ---
 const TILE_SIZE = 16;
-const CHUNK_SIZE = 512;
+const CHUNK_TILES = 32; // ChunkManager.CHUNK_SIZE / TILE_SIZE
+
+// Roads: one junction per region, joined to its right/down neighbours
+const REGION_TILES = 64; // 1024px
+const JUNCTION_MARGIN = 8; // Junctions sit at least this far inside their region (tiles)
+const ROAD_EDGE_CHANCE = 0.8; // Chance two neighbouring junctions are joined
+const ROAD_WOBBLE = 16; // Max sideways drift of a road from the straight line (tiles)
+const ROAD_THICKNESS = 4; // Brush radius (tiles)
+
+// Ponds: a few candidate seeds per chunk, kept with the biome's pondChance
+const POND_SEEDS_PER_CHUNK = 4;
+const POND_MIN_RADIUS = 5; // tiles
+const POND_MAX_RADIUS = 12; // Must stay under CHUNK_TILES so neighbours cover every pond
+
+// Players spawn at the world center; keep it clear
+const SPAWN_CLEAR_WATER = 158; // px
+const SPAWN_CLEAR_TREES = 200; // px
+
+// Salts so every feature draws from its own hash stream
+const SALT_JUNCTION = 1;
+const SALT_EDGE = 2;
+const SALT_WOBBLE = 3;
+const SALT_POND = 4;
+const SALT_TREES = 5;
+const SALT_ROCKS = 6;
+const SALT_ROAD_TEXTURE = 7;
 
 // Tile IDs (Matching Lua constants)
 const ROAD_TILES = {
@@ -40,6 +81,17 @@ class Alea {
     }
 }
 
+interface TilePoint {
+    x: number;
+    y: number;
+}
+
+interface Pond {
+    x: number; // tile
+    y: number;
+    radius: number; // tiles
+}
+
 class ValueNoise {
     private grid: number[][] = [];
     private size: number = 256;
@@ -88,429 +140,366 @@ export class WorldGenerator {
     private chunkManager: ChunkManager;
     private worldWidth: number;
     private worldHeight: number;
-    private rng: Alea;
+    private widthInTiles: number;
+    private heightInTiles: number;
+    private seed: number;
     private noise: ValueNoise;
+    private elevationNoise: ValueNoise;
+    private moistureNoise: ValueNoise;
     private animalManager: AnimalManager | null = null;
 
-    // Sparse maps for generation logic checks
-    private roadMap: { [key: string]: boolean } = {};
-    private waterMap: { [key: string]: boolean } = {};
+    // Caches of pure functions of the seed; safe to drop at any time
+    private roadPaths: Map<string, TilePoint[]> = new Map(); // edge key -> centerline tiles
+    private ponds: Map<string, Pond[]> = new Map(); // chunk key -> ponds seeded there
 
     constructor(chunkManager: ChunkManager, seed: number) {
         this.chunkManager = chunkManager;
-        // We access world dimensions from chunkManager (we added public accessors ideally, assume standard size)
-        this.worldWidth = 5000; // Passed in or hardcoded in server
-        this.worldHeight = 5000;
-        this.rng = new Alea(seed);
+        // One world size for every generator: whatever the chunk manager was built with
+        this.worldWidth = chunkManager.worldWidth;
+        this.worldHeight = chunkManager.worldHeight;
+        this.widthInTiles = Math.ceil(this.worldWidth / TILE_SIZE);
+        this.heightInTiles = Math.ceil(this.worldHeight / TILE_SIZE);
+        this.seed = seed;
         this.noise = new ValueNoise(seed + 1);
-    }
+        this.elevationNoise = new ValueNoise(seed + 2);
+        this.moistureNoise = new ValueNoise(seed + 3);
 
-    public generate(): void {
-        console.log('[WorldGenerator] Starting generation...');
-
-        // 1. Roads
-        this.generateRoads();
+        chunkManager.setGenerator((cx, cy) => this.generateChunk(cx, cy));
+    }
 
-        // 2. Water
-        this.generateWater();
+    public biomeAt(x: number, y: number): BiomeDefinition {
+        const elevation = this.elevationNoise.get(x * BIOME_NOISE_SCALE, y * BIOME_NOISE_SCALE);
+        const moisture = this.moistureNoise.get(x * BIOME_NOISE_SCALE + 50, y * BIOME_NOISE_SCALE + 50);
+        return BIOMES[classifyBiome(elevation, moisture)];
+    }
 
-        // 3. Objects (Trees, Rocks)
-        this.generateObjects();
+    // Chunks are generated on demand; this only warms up the spawn area and
+    // sets up animals
+    public generate(): void {
+        console.log('[WorldGenerator] Pre-generating spawn area...');
+        this.chunkManager.ensureChunksAround(this.worldWidth / 2, this.worldHeight / 2, 1);
 
-        // 4. Animals (after water generation for collision avoidance)
         this.generateAnimals();
 
         console.log('[WorldGenerator] Generation complete.');
     }
 
-    // --- Roads ---
-    private generateRoads(): void {
-        const center = { x: 2500, y: 2500 };
-        const worldSizeInTiles = Math.floor(this.worldWidth / TILE_SIZE);
-        const halfSize = Math.floor(worldSizeInTiles / 2);
-        const maxIdx = worldSizeInTiles - 1;
-
-        // 1. 8-way radial roads to the edges
-        const boundaryPoints = [
-            { x: 0, y: 0 },              // NW
-            { x: halfSize, y: 0 },        // N
-            { x: maxIdx, y: 0 },          // NE
-            { x: maxIdx, y: halfSize },   // E
-            { x: maxIdx, y: maxIdx },     // SE
-            { x: halfSize, y: maxIdx },   // S
-            { x: 0, y: maxIdx },          // SW
-            { x: 0, y: halfSize },        // W
-        ];
-
-        const centerTile = { x: Math.floor(center.x / TILE_SIZE), y: Math.floor(center.y / TILE_SIZE) };
-
-        for (const target of boundaryPoints) {
-            // Add some randomness to edge points (don't stick perfectly to center of edge)
-            const jitter = 10;
-            const targetX = Math.max(0, Math.min(maxIdx, Math.floor(target.x + this.rng.range(-jitter, jitter))));
-            const targetY = Math.max(0, Math.min(maxIdx, Math.floor(target.y + this.rng.range(-jitter, jitter))));
-
-            const start = centerTile;
-            const end = { x: targetX, y: targetY };
-
-            const path = this.findPath(start, end);
-            if (path) {
-                console.log(`[WorldGenerator] Road segment: (${start.x},${start.y}) -> (${end.x},${end.y}), nodes: ${path.length}`);
-                this.drawThickLine(path);
-            }
-        }
-
-        // 2. Interconnects (Web structure)
-        // Select random existing road tiles and connect them to other distant road tiles
-        const roadKeys = Object.keys(this.roadMap);
-        if (roadKeys.length > 100) {
-            for (let i = 0; i < 4; i++) {
-                const k1 = roadKeys[this.rng.range(0, roadKeys.length - 1)];
-                const k2 = roadKeys[this.rng.range(0, roadKeys.length - 1)];
-
-                const [x1, y1] = k1.split(',').map(Number);
-                const [x2, y2] = k2.split(',').map(Number);
-
-                // Only connect if they are reasonably far but not too far
-                const dist = Math.abs(x1 - x2) + Math.abs(y1 - y2);
-                if (dist > 30 && dist < 80) {
-                    const path = this.findPath({ x: x1, y: y1 }, { x: x2, y: y2 });
-                    if (path) {
-                        console.log(`[WorldGenerator] Interconnect: (${x1},${y1}) -> (${x2},${y2}), nodes: ${path.length}`);
-                        this.drawThickLine(path);
-                    }
+    public generateChunk(cx: number, cy: number): ChunkData {
+        const x0 = cx * CHUNK_TILES;
+        const y0 = cy * CHUNK_TILES;
+        const chunkPx = CHUNK_TILES * TILE_SIZE;
+
+        // Trees reach a few tiles past the chunk and bitmasks look one further,
+        // so resolve roads over a margin around it
+        const margin = 7;
+        const roads = this.roadTilesIn(x0 - margin, y0 - margin, x0 + CHUNK_TILES + margin, y0 + CHUNK_TILES + margin);
+        const isRoad = (x: number, y: number) => roads.has(`${x},${y}`);
+        const isWater = (x: number, y: number) => this.isWaterTile(x, y, isRoad);
+
+        const chunk: ChunkData = {
+            biome: this.biomeAt((cx + 0.5) * chunkPx, (cy + 0.5) * chunkPx).id,
+            roads: {},
+            water: {},
+            rocks: [],
+            trees: [],
+        };
+
+        for (let ly = 0; ly < CHUNK_TILES; ly++) {
+            for (let lx = 0; lx < CHUNK_TILES; lx++) {
+                const x = x0 + lx;
+                const y = y0 + ly;
+                if (x >= this.widthInTiles || y >= this.heightInTiles) continue;
+
+                if (isRoad(x, y)) {
+                    chunk.roads[`${lx},${ly}`] = this.roadTileId(x, y, isRoad);
+                } else if (isWater(x, y)) {
+                    const tileId = this.waterTileId(x, y, isWater);
+                    if (tileId) chunk.water[`${lx},${ly}`] = tileId;
                 }
             }
         }
 
-        // Bitmasking & Writing to ChunkManager
-        this.finalizeRoads();
+        this.generateTrees(cx, cy, chunk, isRoad, isWater);
+        this.generateRocks(cx, cy, chunk, isRoad, isWater);
+        return chunk;
     }
 
-    private findPath(start: { x: number, y: number }, end: { x: number, y: number }): { x: number, y: number }[] | null {
-        // A* implementation
-        const heuristic = (a: any, b: any) => (Math.abs(a.x - b.x) + Math.abs(a.y - b.y)); // Standard Manhattan
-
-        const openSet: any[] = [{ pos: start, f: 0, g: 0 }];
-        const cameFrom: { [key: string]: any } = {};
-        const gScore: { [key: string]: number } = {};
-        const fScore: { [key: string]: number } = {};
-
-        const key = (p: any) => `${p.x},${p.y}`;
-
-        gScore[key(start)] = 0;
-        fScore[key(start)] = heuristic(start, end);
-
-        let iterations = 0;
-        while (openSet.length > 0 && iterations < 100000) {
-            iterations++;
-            // Shift the first element (already sorted)
-            const currentNode = openSet.shift();
-            const current = currentNode.pos;
-
-            if (current.x === end.x && current.y === end.y) {
-                // Reconstruct
-                const path = [current];
-                let curr = current;
-                while (cameFrom[key(curr)]) {
-                    curr = cameFrom[key(curr)];
-                    path.unshift(curr);
-                }
-                return path;
-            }
+    // --- Roads ---
+    private regionsX(): number {
+        return Math.ceil(this.widthInTiles / REGION_TILES);
+    }
 
-            const neighbors = [
-                { x: current.x + 1, y: current.y }, { x: current.x - 1, y: current.y },
-                { x: current.x, y: current.y + 1 }, { x: current.x, y: current.y - 1 }
-            ];
-
-            for (const neighbor of neighbors) {
-                if (neighbor.x < 0 || neighbor.y < 0 || neighbor.x >= this.worldWidth / TILE_SIZE || neighbor.y >= this.worldHeight / TILE_SIZE) continue;
-
-                // Noise-based cost to create winding roads
-                // Increased scale and cost for more unique winding paths
-                const noiseVal = this.noise.get(neighbor.x * 0.05, neighbor.y * 0.05);
-                const stepCost = 1 + noiseVal * 25;
-
-                const tentativeG = gScore[key(current)] + stepCost;
-                const nKey = key(neighbor);
-
-                if (tentativeG < (gScore[nKey] ?? Infinity)) {
-                    cameFrom[nKey] = current;
-                    gScore[nKey] = tentativeG;
-                    fScore[nKey] = tentativeG + heuristic(neighbor, end);
-
-                    if (!openSet.some((node) => node.pos.x === neighbor.x && node.pos.y === neighbor.y)) {
-                        const newNode = { pos: neighbor, f: fScore[nKey], g: tentativeG };
-                        // Binary search / sorted insertion
-                        let low = 0, high = openSet.length;
-                        while (low < high) {
-                            let mid = (low + high) >>> 1;
-                            if (openSet[mid].f < newNode.f) low = mid + 1;
-                            else high = mid;
-                        }
-                        openSet.splice(low, 0, newNode);
-                    }
-                }
-            }
-        }
-        console.warn(`[WorldGenerator] Pathfinding TIMEOUT or FAILED from (${start.x},${start.y}) to (${end.x},${end.y}) after ${iterations} iterations`);
-        return null;
+    private regionsY(): number {
+        return Math.ceil(this.heightInTiles / REGION_TILES);
     }
 
-    private drawThickLine(path: { x: number, y: number }[]) {
-        const THICKNESS = 4; // radius (increased from 2 for better connectivity as requested)
-        for (const node of path) {
-            for (let dy = -THICKNESS; dy <= THICKNESS; dy++) {
-                for (let dx = -THICKNESS; dx <= THICKNESS; dx++) {
-                    this.markRoad(node.x + dx, node.y + dy);
-                }
-            }
-        }
+    private hubRegion(): TilePoint {
+        return {
+            x: Math.floor(this.widthInTiles / 2 / REGION_TILES),
+            y: Math.floor(this.heightInTiles / 2 / REGION_TILES),
+        };
     }
 
-    private markRoad(x: number, y: number) {
-        this.roadMap[`${x},${y}`] = true;
+    // The road junction of region (rx, ry); the hub region's is the spawn point
+    private junction(rx: number, ry: number): TilePoint {
+        const hub = this.hubRegion();
+        if (rx === hub.x && ry === hub.y) {
+            return { x: Math.floor(this.widthInTiles / 2), y: Math.floor(this.heightInTiles / 2) };
+        }
+        const span = REGION_TILES - JUNCTION_MARGIN * 2;
+        const x = rx * REGION_TILES + JUNCTION_MARGIN + Math.floor(hash01(this.seed, SALT_JUNCTION, rx, ry, 0) * span);
+        const y = ry * REGION_TILES + JUNCTION_MARGIN + Math.floor(hash01(this.seed, SALT_JUNCTION, rx, ry, 1) * span);
+        return { x: Math.min(x, this.widthInTiles - 1), y: Math.min(y, this.heightInTiles - 1) };
     }
 
-    private isRoad(x: number, y: number): boolean {
-        return !!this.roadMap[`${x},${y}`];
+    // Whether region (rx, ry) joins its right (dir 0) or lower (dir 1) neighbour.
+    // The hub always connects, like the old radial roads out of spawn.
+    private hasEdge(rx: number, ry: number, dir: number): boolean {
+        const nx = rx + (dir === 0 ? 1 : 0);
+        const ny = ry + (dir === 1 ? 1 : 0);
+        if (rx < 0 || ry < 0 || nx >= this.regionsX() || ny >= this.regionsY()) return false;
+
+        const hub = this.hubRegion();
+        if ((rx === hub.x && ry === hub.y) || (nx === hub.x && ny === hub.y)) return true;
+        return hash01(this.seed, SALT_EDGE, rx, ry, dir) < ROAD_EDGE_CHANCE;
     }
 
-    private finalizeRoads() {
-        for (const key in this.roadMap) {
-            const parts = key.split(',');
-            const x = parseInt(parts[0]);
-            const y = parseInt(parts[1]);
-
-            const n = this.isRoad(x, y - 1) ? 1 : 0;
-            const w = this.isRoad(x - 1, y) ? 1 : 0;
-            const e = this.isRoad(x + 1, y) ? 1 : 0;
-            const s = this.isRoad(x, y + 1) ? 1 : 0;
-
-            const mask = (n * 1) + (w * 2) + (e * 4) + (s * 8);
-            let tileID = ROAD_TILES.CENTER;
-
-            if (mask === 12) tileID = ROAD_TILES.CORNER_NW;
-            else if (mask === 10) tileID = ROAD_TILES.CORNER_NE;
-            else if (mask === 5) tileID = ROAD_TILES.CORNER_SW;
-            else if (mask === 3) tileID = ROAD_TILES.CORNER_SE;
-            else if (mask === 14) tileID = ROAD_TILES.EDGE_N;
-            else if (mask === 7) tileID = ROAD_TILES.EDGE_S;
-            else if (mask === 11) tileID = ROAD_TILES.EDGE_E;
-            else if (mask === 13) tileID = ROAD_TILES.EDGE_W;
-            else if (mask === 15) {
-                // Inner corners
-                if (!this.isRoad(x + 1, y - 1)) tileID = ROAD_TILES.INNER_NE;
-                else if (!this.isRoad(x - 1, y - 1)) tileID = ROAD_TILES.INNER_NW;
-                else if (!this.isRoad(x + 1, y + 1)) tileID = ROAD_TILES.INNER_SE;
-                else if (!this.isRoad(x - 1, y + 1)) tileID = ROAD_TILES.INNER_SW;
+    // Centerline of the road from region (rx, ry) in direction dir: a
+    // midpoint-displaced polyline between the two junctions, walked tile by tile
+    private roadPath(rx: number, ry: number, dir: number): TilePoint[] {
+        const key = `${rx},${ry},${dir}`;
+        const cached = this.roadPaths.get(key);
+        if (cached) return cached;
+
+        const a = this.junction(rx, ry);
+        const b = this.junction(rx + (dir === 0 ? 1 : 0), ry + (dir === 1 ? 1 : 0));
+
+        let points: TilePoint[] = [a, b];
+        let amplitude = ROAD_WOBBLE;
+        for (let depth = 0; depth < 4; depth++) {
+            const next: TilePoint[] = [points[0]];
+            for (let i = 0; i < points.length - 1; i++) {
+                const p = points[i];
+                const q = points[i + 1];
+                const len = Math.sqrt((q.x - p.x) ** 2 + (q.y - p.y) ** 2) || 1;
+                const offset = (hash01(this.seed, SALT_WOBBLE, rx, ry, dir * 16 + depth, i) - 0.5) * amplitude;
+                next.push({
+                    x: (p.x + q.x) / 2 - ((q.y - p.y) / len) * offset,
+                    y: (p.y + q.y) / 2 + ((q.x - p.x) / len) * offset,
+                });
+                next.push(q);
             }
+            points = next;
+            amplitude /= 2;
+        }
 
-            // Add texture variation to CENTER tiles using IDs 16, 17, 18 sparingly
-            if (tileID === ROAD_TILES.CENTER) {
-                const rand = this.rng.next();
-                if (rand < 0.08) { // 8% chance for texture variant
-                    const textureVariants = [16, 17, 18];
-                    const variantIndex = Math.floor(this.rng.next() * 3);
-                    tileID = textureVariants[variantIndex];
-                }
+        const path: TilePoint[] = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const p = points[i];
+            const q = points[i + 1];
+            const steps = Math.max(1, Math.ceil(Math.max(Math.abs(q.x - p.x), Math.abs(q.y - p.y))));
+            for (let s = 0; s < steps; s++) {
+                path.push({
+                    x: Math.round(p.x + ((q.x - p.x) * s) / steps),
+                    y: Math.round(p.y + ((q.y - p.y) * s) / steps),
+                });
             }
-
-            this.chunkManager.addRoadTile(x, y, tileID);
         }
+        path.push(b);
+
+        this.roadPaths.set(key, path);
+        return path;
     }
 
-    // --- Water ---
-    private generateWater(): void {
-        const potentialSeeds: { x: number, y: number }[] = [];
-
-        // 1. Seeds near roads (Ponds along the path)
-        for (const key in this.roadMap) {
-            const [tx, ty] = key.split(',').map(Number);
-            if (this.rng.next() < 0.02) { // 2% chance per road tile to seed nearby water
-                const dx = this.rng.range(-6, 6);
-                const dy = this.rng.range(-6, 6);
-                if (Math.abs(dx) >= 3 || Math.abs(dy) >= 3) {
-                    potentialSeeds.push({ x: tx + dx, y: ty + dy });
+    // Every road tile inside the tile rectangle [x0, x1) x [y0, y1)
+    private roadTilesIn(x0: number, y0: number, x1: number, y1: number): Set<string> {
+        const tiles = new Set<string>();
+        const reach = ROAD_THICKNESS;
+
+        // Roads never stray more than ROAD_WOBBLE from their junctions' line, so
+        // only edges of regions near the rectangle can reach it
+        const rx0 = Math.floor(x0 / REGION_TILES) - 2;
+        const ry0 = Math.floor(y0 / REGION_TILES) - 2;
+        const rx1 = Math.floor(x1 / REGION_TILES) + 1;
+        const ry1 = Math.floor(y1 / REGION_TILES) + 1;
+
+        for (let ry = ry0; ry <= ry1; ry++) {
+            for (let rx = rx0; rx <= rx1; rx++) {
+                for (let dir = 0; dir < 2; dir++) {
+                    if (!this.hasEdge(rx, ry, dir)) continue;
+
+                    for (const node of this.roadPath(rx, ry, dir)) {
+                        if (node.x + reach < x0 || node.x - reach >= x1 || node.y + reach < y0 || node.y - reach >= y1) continue;
+                        for (let dy = -reach; dy <= reach; dy++) {
+                            for (let dx = -reach; dx <= reach; dx++) {
+                                const x = node.x + dx;
+                                const y = node.y + dy;
+                                if (x >= x0 && x < x1 && y >= y0 && y < y1) tiles.add(`${x},${y}`);
+                            }
+                        }
+                    }
                 }
             }
         }
+        return tiles;
+    }
 
-        // 2. Distributed seeds (Wilderness ponds)
-        const worldSizeInTiles = this.worldWidth / TILE_SIZE;
-        for (let i = 0; i < 60; i++) { // Add 60 random wilderness seeds
-            potentialSeeds.push({
-                x: this.rng.range(10, worldSizeInTiles - 10),
-                y: this.rng.range(10, worldSizeInTiles - 10)
-            });
+    private roadTileId(x: number, y: number, isRoad: (x: number, y: number) => boolean): number {
+        const n = isRoad(x, y - 1) ? 1 : 0;
+        const w = isRoad(x - 1, y) ? 1 : 0;
+        const e = isRoad(x + 1, y) ? 1 : 0;
+        const s = isRoad(x, y + 1) ? 1 : 0;
+
+        const mask = (n * 1) + (w * 2) + (e * 4) + (s * 8);
+        let tileID = ROAD_TILES.CENTER;
+
+        if (mask === 12) tileID = ROAD_TILES.CORNER_NW;
+        else if (mask === 10) tileID = ROAD_TILES.CORNER_NE;
+        else if (mask === 5) tileID = ROAD_TILES.CORNER_SW;
+        else if (mask === 3) tileID = ROAD_TILES.CORNER_SE;
+        else if (mask === 14) tileID = ROAD_TILES.EDGE_N;
+        else if (mask === 7) tileID = ROAD_TILES.EDGE_S;
+        else if (mask === 11) tileID = ROAD_TILES.EDGE_E;
+        else if (mask === 13) tileID = ROAD_TILES.EDGE_W;
+        else if (mask === 15) {
+            // Inner corners
+            if (!isRoad(x + 1, y - 1)) tileID = ROAD_TILES.INNER_NE;
+            else if (!isRoad(x - 1, y - 1)) tileID = ROAD_TILES.INNER_NW;
+            else if (!isRoad(x + 1, y + 1)) tileID = ROAD_TILES.INNER_SE;
+            else if (!isRoad(x - 1, y + 1)) tileID = ROAD_TILES.INNER_SW;
         }
 
-        // Grow ponds from valid seeds
-        for (const seed of potentialSeeds) {
-            // Check spawn safety (center of 5000x5000 is 2500,2500)
-            const distSq = Math.pow(seed.x * 16 - 2500, 2) + Math.pow(seed.y * 16 - 2500, 2);
-            if (distSq < 25000) continue; // Skip if too close to spawn (within ~150px)
-
-            // Check road buffer
-            let tooCloseToRoad = false;
-            for (let cx = -1; cx <= 1; cx++) {
-                for (let cy = -1; cy <= 1; cy++) {
-                    if (this.isRoad(seed.x + cx, seed.y + cy)) tooCloseToRoad = true;
-                }
-            }
-
-            if (!tooCloseToRoad && this.rng.next() < 0.1) {
-                this.growPond(seed);
+        // Add texture variation to CENTER tiles using IDs 16, 17, 18 sparingly
+        if (tileID === ROAD_TILES.CENTER) {
+            const rand = hash01(this.seed, SALT_ROAD_TEXTURE, x, y);
+            if (rand < 0.08) { // 8% chance for texture variant
+                const textureVariants = [16, 17, 18];
+                tileID = textureVariants[Math.floor((rand / 0.08) * 3)];
             }
         }
+        return tileID;
+    }
 
-        // Smoothing
-        this.smoothWater();
+    // --- Water ---
+    // Ponds seeded in chunk (cx, cy); their tiles may spill into neighbours
+    private pondsOf(cx: number, cy: number): Pond[] {
+        const key = `${cx},${cy}`;
+        const cached = this.ponds.get(key);
+        if (cached) return cached;
+
+        const ponds: Pond[] = [];
+        for (let i = 0; i < POND_SEEDS_PER_CHUNK; i++) {
+            const x = cx * CHUNK_TILES + Math.floor(hash01(this.seed, SALT_POND, cx, cy, i, 0) * CHUNK_TILES);
+            const y = cy * CHUNK_TILES + Math.floor(hash01(this.seed, SALT_POND, cx, cy, i, 1) * CHUNK_TILES);
+            if (hash01(this.seed, SALT_POND, cx, cy, i, 2) >= this.biomeAt(x * TILE_SIZE, y * TILE_SIZE).pondChance) continue;
+
+            // Check spawn safety
+            const dx = x * TILE_SIZE - this.worldWidth / 2;
+            const dy = y * TILE_SIZE - this.worldHeight / 2;
+            if (dx * dx + dy * dy < SPAWN_CLEAR_WATER * SPAWN_CLEAR_WATER) continue;
+
+            const radius = POND_MIN_RADIUS + hash01(this.seed, SALT_POND, cx, cy, i, 3) * (POND_MAX_RADIUS - POND_MIN_RADIUS);
+            ponds.push({ x, y, radius });
+        }
 
-        // Finalize
-        this.finalizeWater();
+        this.ponds.set(key, ponds);
+        return ponds;
     }
 
-    private growPond(seed: { x: number, y: number }) {
-        // Larger water bodies (increased from 30-200 to 100-500)
-        const targetSize = this.rng.range(100, 500);
-        let currentSize = 0;
-        const frontier = [seed];
-        this.waterMap[`${seed.x},${seed.y}`] = true;
-        currentSize++;
-
-        while (currentSize < targetSize && frontier.length > 0) {
-            const idx = this.rng.range(0, frontier.length - 1);
-            const current = frontier[idx];
-
-            let expanded = false;
-            const dirs = [{ x: 0, y: 1 }, { x: 0, y: -1 }, { x: 1, y: 0 }, { x: -1, y: 0 }];
-
-            for (const dir of dirs) {
-                const nx = current.x + dir.x;
-                const ny = current.y + dir.y;
-
-                if (!this.waterMap[`${nx},${ny}`]) {
-                    // Check road buffer
-                    let safe = true;
-                    for (let rx = -1; rx <= 1; rx++) {
-                        for (let ry = -1; ry <= 1; ry++) {
-                            if (this.isRoad(nx + rx, ny + ry)) safe = false;
-                        }
-                    }
-
-                    if (safe) {
-                        this.waterMap[`${nx},${ny}`] = true;
-                        frontier.push({ x: nx, y: ny });
-                        currentSize++;
-                        expanded = true;
-                        if (currentSize >= targetSize) break;
-                    }
-                }
-            }
+    private isWaterTile(x: number, y: number, isRoad: (x: number, y: number) => boolean): boolean {
+        if (x < 0 || y < 0 || x >= this.widthInTiles || y >= this.heightInTiles) return false;
 
-            if (!expanded) {
-                frontier.splice(idx, 1);
+        // Keep a one-tile bank between water and roads
+        for (let ry = -1; ry <= 1; ry++) {
+            for (let rx = -1; rx <= 1; rx++) {
+                if (isRoad(x + rx, y + ry)) return false;
             }
-            if (currentSize >= targetSize) break;
         }
-    }
 
-    private smoothWater() {
-        // Cellular automata smoothing
-        // We implement specific bounds to avoid iterating full 5000x5000 tilemap (300*300)
-        // Actually 5000px / 16 = 312 tiles.
-        // Iterating 312x312 is trivial (approx 100k iters).
-        const widthInTiles = Math.ceil(this.worldWidth / TILE_SIZE);
-        const heightInTiles = Math.ceil(this.worldHeight / TILE_SIZE);
-
-        for (let i = 0; i < 4; i++) {
-            const newMap: { [key: string]: boolean } = {};
-
-            for (let x = 0; x < widthInTiles; x++) {
-                for (let y = 0; y < heightInTiles; y++) {
-                    let neighbors = 0;
-                    for (let dx = -1; dx <= 1; dx++) {
-                        for (let dy = -1; dy <= 1; dy++) {
-                            if (dx === 0 && dy === 0) continue;
-                            if (this.waterMap[`${x + dx},${y + dy}`]) neighbors++;
-                        }
-                    }
-
-                    const isWater = this.waterMap[`${x},${y}`];
-                    if (isWater) {
-                        if (neighbors < 4) { /* die */ }
-                        else newMap[`${x},${y}`] = true;
-                    } else {
-                        if (neighbors >= 5) {
-                            // Check road safety
-                            let safe = true;
-                            if (this.isRoad(x, y)) safe = false;
-                            else {
-                                for (let rx = -1; rx <= 1; rx++) {
-                                    for (let ry = -1; ry <= 1; ry++) {
-                                        if (this.isRoad(x + rx, y + ry)) safe = false;
-                                    }
-                                }
-                            }
-                            if (safe) newMap[`${x},${y}`] = true;
-                        }
-                    }
+        const cx = Math.floor(x / CHUNK_TILES);
+        const cy = Math.floor(y / CHUNK_TILES);
+        // Ragged shores: the edge radius wobbles with noise
+        const shore = 0.75 + this.noise.get(x * 0.15 + 200, y * 0.15 + 200) * 0.5;
+
+        for (let ny = cy - 1; ny <= cy + 1; ny++) {
+            for (let nx = cx - 1; nx <= cx + 1; nx++) {
+                if (nx < 0 || ny < 0) continue;
+                for (const pond of this.pondsOf(nx, ny)) {
+                    const dx = x - pond.x;
+                    const dy = y - pond.y;
+                    if (Math.sqrt(dx * dx + dy * dy) < pond.radius * shore) return true;
                 }
             }
-            this.waterMap = newMap;
         }
+        return false;
     }
 
-    private finalizeWater() {
-        for (const key in this.waterMap) {
-            const [x, y] = key.split(',').map(Number);
-
-            const n = this.waterMap[`${x},${y - 1}`] ? 1 : 0;
-            const w = this.waterMap[`${x - 1},${y}`] ? 1 : 0;
-            const e = this.waterMap[`${x + 1},${y}`] ? 1 : 0;
-            const s = this.waterMap[`${x},${y + 1}`] ? 1 : 0;
-
-            const mask = (n * 1) + (w * 2) + (e * 4) + (s * 8);
-            let tileID = null;
-
-            if (mask === 12) tileID = WATER_TILES.CORNER_NW;
-            else if (mask === 10) tileID = WATER_TILES.CORNER_NE;
-            else if (mask === 5) tileID = WATER_TILES.CORNER_SW;
-            else if (mask === 3) tileID = WATER_TILES.CORNER_SE;
-            else if (mask === 14) tileID = WATER_TILES.EDGE_N;
-            else if (mask === 7) tileID = WATER_TILES.EDGE_S;
-            else if (mask === 11) tileID = WATER_TILES.EDGE_E;
-            else if (mask === 13) tileID = WATER_TILES.EDGE_W;
-            else if (mask === 15) {
-                if (!this.waterMap[`${x + 1},${y - 1}`]) tileID = WATER_TILES.INNER_NE;
-                else if (!this.waterMap[`${x - 1},${y - 1}`]) tileID = WATER_TILES.INNER_NW;
-                else if (!this.waterMap[`${x + 1},${y + 1}`]) tileID = WATER_TILES.INNER_SE;
-                else if (!this.waterMap[`${x - 1},${y + 1}`]) tileID = WATER_TILES.INNER_SW;
-                else tileID = WATER_TILES.CENTER;
-            }
+    // Water at a tile without generating its chunk: animals are placed all over
+    // the world before anyone goes there
+    public isWaterAt(x: number, y: number): boolean {
+        const cx = Math.floor(x / CHUNK_TILES);
+        const cy = Math.floor(y / CHUNK_TILES);
+        const chunk = this.chunkManager.getGeneratedChunk(cx, cy);
+        if (chunk) return !!chunk.water[`${x - cx * CHUNK_TILES},${y - cy * CHUNK_TILES}`];
 
-            if (tileID) {
-                this.chunkManager.addWaterTile(x, y, tileID);
-            }
+        const roads = this.roadTilesIn(x - 1, y - 1, x + 2, y + 2);
+        return this.isWaterTile(x, y, (rx, ry) => roads.has(`${rx},${ry}`));
+    }
+
+    private waterTileId(x: number, y: number, isWater: (x: number, y: number) => boolean): number | null {
+        const n = isWater(x, y - 1) ? 1 : 0;
+        const w = isWater(x - 1, y) ? 1 : 0;
+        const e = isWater(x + 1, y) ? 1 : 0;
+        const s = isWater(x, y + 1) ? 1 : 0;
+
+        const mask = (n * 1) + (w * 2) + (e * 4) + (s * 8);
+        let tileID = null;
+
+        if (mask === 12) tileID = WATER_TILES.CORNER_NW;
+        else if (mask === 10) tileID = WATER_TILES.CORNER_NE;
+        else if (mask === 5) tileID = WATER_TILES.CORNER_SW;
+        else if (mask === 3) tileID = WATER_TILES.CORNER_SE;
+        else if (mask === 14) tileID = WATER_TILES.EDGE_N;
+        else if (mask === 7) tileID = WATER_TILES.EDGE_S;
+        else if (mask === 11) tileID = WATER_TILES.EDGE_E;
+        else if (mask === 13) tileID = WATER_TILES.EDGE_W;
+        else if (mask === 15) {
+            if (!isWater(x + 1, y - 1)) tileID = WATER_TILES.INNER_NE;
+            else if (!isWater(x - 1, y - 1)) tileID = WATER_TILES.INNER_NW;
+            else if (!isWater(x + 1, y + 1)) tileID = WATER_TILES.INNER_SE;
+            else if (!isWater(x - 1, y + 1)) tileID = WATER_TILES.INNER_SW;
+            else tileID = WATER_TILES.CENTER;
         }
+        return tileID;
     }
 
     // --- Objects ---
-    private generateObjects() {
-        // Trees
+    private generateTrees(
+        cx: number,
+        cy: number,
+        chunk: ChunkData,
+        isRoad: (x: number, y: number) => boolean,
+        isWater: (x: number, y: number) => boolean
+    ) {
         // We'll use noise-based density for trees
         // Density map: low noise = clearings, high noise = forests
         const treeWidth = 48; // Estimate
         const treeHeight = 64;
+        const rng = new Alea(hash(this.seed, SALT_TREES, cx, cy));
 
-        // Grid-based sampling for density map
+        // Grid-based sampling for density map, on a world-aligned grid so chunks tile
         const step = 24; // Check every 24 pixels
-        for (let y = 0; y < this.worldHeight - treeHeight; y += step) {
-            for (let x = 0; x < this.worldWidth - treeWidth; x += step) {
+        const chunkPx = CHUNK_TILES * TILE_SIZE;
+        const left = cx * chunkPx;
+        const top = cy * chunkPx;
+        const startX = Math.ceil(left / step) * step;
+        const startY = Math.ceil(top / step) * step;
+
+        for (let y = startY; y < top + chunkPx && y < this.worldHeight - treeHeight; y += step) {
+            for (let x = startX; x < left + chunkPx && x < this.worldWidth - treeWidth; x += step) {
                 // Get density value from noise (0-1)
                 const densityNoise = this.noise.get(x * 0.005, y * 0.005);
+                const biome = this.biomeAt(x, y);
 
                 // Density threshold: 0.6 and above starts spawning trees
                 // The higher the noise, the higher the chance
@@ -522,42 +511,29 @@ export class WorldGenerator {
                 } else {
                     spawnChance = 0.01; // Sparse trees
                 }
+                spawnChance *= biome.treeDensity;
 
-                if (this.rng.next() < spawnChance) {
+                if (rng.next() < spawnChance) {
                     // Position jitter
-                    const jx = x + this.rng.range(-10, 10);
-                    const jy = y + this.rng.range(-10, 10);
+                    const jx = x + rng.range(-10, 10);
+                    const jy = y + rng.range(-10, 10);
 
                     // Validation (Tile coords)
                     const tx = Math.floor(jx / TILE_SIZE);
                     const ty = Math.floor((jy + treeHeight) / TILE_SIZE);
 
                     // Ensure not on road or in water
-                    if (!this.isRoad(tx, ty) && !this.waterMap[`${tx},${ty}`] &&
-                        !this.isRoad(Math.floor((jx + treeWidth) / TILE_SIZE), ty)) {
+                    if (!isRoad(tx, ty) && !isWater(tx, ty) &&
+                        !isRoad(Math.floor((jx + treeWidth) / TILE_SIZE), ty)) {
 
-                        // Spawn distance check (200px from center)
-                        const distSq = Math.pow(jx - 2500, 2) + Math.pow(jy - 2500, 2);
-                        if (distSq > 40000) {
-                            // Tree variety based on another noise map or just RNG
+                        // Spawn distance check
+                        const distSq = Math.pow(jx - this.worldWidth / 2, 2) + Math.pow(jy - this.worldHeight / 2, 2);
+                        if (distSq > SPAWN_CLEAR_TREES * SPAWN_CLEAR_TREES) {
+                            // Tree variety from the biome's palette; noise keeps same-type trees clustered
                             const varietyNoise = this.noise.get(jx * 0.01 + 100, jy * 0.01 + 100);
-                            let treeType = "standard";
-
-                            if (varietyNoise > 0.85) {
-                                treeType = "alien";
-                            } else if (varietyNoise > 0.75) {
-                                treeType = "all_white";
-                            } else if (varietyNoise > 0.65) {
-                                treeType = "red_white";
-                            } else if (varietyNoise > 0.55) {
-                                treeType = "white";
-                            } else if (varietyNoise > 0.45) {
-                                treeType = "purple";
-                            } else if (varietyNoise > 0.35) {
-                                treeType = "blue";
-                            }
+                            const treeType = pickTreeType(biome, varietyNoise);
 
-                            this.chunkManager.addTree({
+                            chunk.trees.push({
                                 x: jx,
                                 y: jy,
                                 width: treeWidth,
@@ -569,26 +545,40 @@ export class WorldGenerator {
                 }
             }
         }
+    }
 
-        // Rocks
-        const numRocks = Math.floor((this.worldWidth * this.worldHeight) / 100000);
-        for (let i = 0; i < numRocks; i++) {
-            const x = this.rng.range(0, this.worldWidth - 16);
-            const y = this.rng.range(0, this.worldHeight - 16);
+    private generateRocks(
+        cx: number,
+        cy: number,
+        chunk: ChunkData,
+        isRoad: (x: number, y: number) => boolean,
+        isWater: (x: number, y: number) => boolean
+    ) {
+        // Same density as before (one rock per 100,000 px²), sampled at the
+        // densest biome's rate and thinned per biome
+        const chunkPx = CHUNK_TILES * TILE_SIZE;
+        const attempts = Math.round((chunkPx * chunkPx) / 100000 * MAX_ROCK_DENSITY);
+        const rng = new Alea(hash(this.seed, SALT_ROCKS, cx, cy));
+
+        for (let i = 0; i < attempts; i++) {
+            const x = cx * chunkPx + rng.range(0, chunkPx - 1);
+            const y = cy * chunkPx + rng.range(0, chunkPx - 1);
+            if (rng.next() >= this.biomeAt(x, y).rockDensity / MAX_ROCK_DENSITY) continue;
+            if (x > this.worldWidth - 16 || y > this.worldHeight - 16) continue;
 
             const tx = Math.floor(x / TILE_SIZE);
             const ty = Math.floor(y / TILE_SIZE);
 
-            if (!this.isRoad(tx, ty) && !this.waterMap[`${tx},${ty}`]) {
-                const rockType = this.rng.range(0, 1) === 0 ? 3 : 4; // Types 3, 4
-                // We need mapping from rock type to actual tile ID logic if it's complex, 
+            if (!isRoad(tx, ty) && !isWater(tx, ty)) {
+                const rockType = rng.range(0, 1) === 0 ? 3 : 4; // Types 3, 4
+                // We need mapping from rock type to actual tile ID logic if it's complex,
                 // but client takes "tileId" and "actualTileNum".
                 // Let's assume 3 and 4 are the ones we want.
 
-                this.chunkManager.addRock({
+                chunk.rocks.push({
                     x, y,
                     tileId: rockType,
-                    actualTileNum: rockType // Fallback 
+                    actualTileNum: rockType // Fallback
                 });
             }
         }
@@ -596,10 +586,8 @@ export class WorldGenerator {
 
     // --- Animals ---
     private generateAnimals() {
-        // DISABLED for performance testing
-        console.log('[WorldGenerator] Animals DISABLED for performance');
-        // this.animalManager = new AnimalManager(12345, this.waterMap);
-        // this.animalManager.generate();
+        this.animalManager = new AnimalManager(this.seed, (tx, ty) => this.isWaterAt(tx, ty), this.worldWidth, this.worldHeight, (x, y) => this.biomeAt(x, y));
+        this.animalManager.generate();
     }
 
     public getAnimalManager(): AnimalManager | null {
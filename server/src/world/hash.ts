@@ -0,0 +1,20 @@
+// server/src/world/hash.ts
+// Stateless hashing for seeded generation: the same inputs always give the
+// same value, so features can be computed in any order.
+
+// Integer hash of any number of ints, uniform over [0, 2^32)
+export function hash(...values: number[]): number {
+    let h = 0x811c9dc5;
+    for (const v of values) {
+        h = Math.imul(h ^ (v | 0), 0x01000193);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0x5bd1e995);
+        h ^= h >>> 15;
+    }
+    return h >>> 0;
+}
+
+// Same, scaled to [0, 1)
+export function hash01(...values: number[]): number {
+    return hash(...values) / 4294967296;
+}
@@ -0,0 +1,80 @@
+// server/test/InputGuard.test.ts
+// Fire-rate and move-time limits, and the flag/kick thresholds
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputGuard } from '../src/world/InputGuard';
+
+test('shots are allowed in a burst, then at the refill rate', () => {
+  const guard = new InputGuard();
+  const now = 1000;
+  for (let i = 0; i < InputGuard.SHOT_BURST; i++) {
+    assert.equal(guard.allowShot('p1', now), true);
+  }
+  assert.equal(guard.allowShot('p1', now), false);
+
+  const refill = 1000 / InputGuard.SHOTS_PER_SECOND;
+  assert.equal(guard.allowShot('p1', now + refill), true);
+  assert.equal(guard.allowShot('p1', now + refill), false);
+
+  // Idle time never banks more than a burst
+  const later = now + 60000;
+  for (let i = 0; i < InputGuard.SHOT_BURST; i++) {
+    assert.equal(guard.allowShot('p1', later), true);
+  }
+  assert.equal(guard.allowShot('p1', later), false);
+});
+
+test('move time is capped by the budget and refills with real time', () => {
+  const guard = new InputGuard();
+  const now = 1000;
+  assert.equal(guard.grantMoveTime('p1', 0.6, now), 0.6);
+  assert.ok(Math.abs(guard.grantMoveTime('p1', 0.6, now) - 0.4) < 1e-9);
+  assert.equal(guard.grantMoveTime('p1', 0.1, now), 0);
+
+  const granted = guard.grantMoveTime('p1', 1, now + 500);
+  assert.ok(Math.abs(granted - 0.5 * InputGuard.MOVE_TIME_ALLOWANCE) < 1e-9);
+
+  assert.equal(guard.grantMoveTime('p1', 5, now + 60000), InputGuard.MOVE_BUDGET_SECONDS);
+});
+
+test('players are flagged, then kicked, after enough recent violations', () => {
+  const guard = new InputGuard();
+  const now = 1000;
+  for (let i = 1; i < InputGuard.FLAG_VIOLATIONS; i++) {
+    guard.report('p1', 'move_vector', 'test', now + i);
+  }
+  assert.equal(guard.isFlagged('p1'), false);
+
+  guard.report('p1', 'move_vector', 'test', now + InputGuard.FLAG_VIOLATIONS);
+  assert.equal(guard.isFlagged('p1'), true);
+  assert.equal(guard.shouldKick('p1'), false);
+
+  for (let i = InputGuard.FLAG_VIOLATIONS + 1; i <= InputGuard.KICK_VIOLATIONS; i++) {
+    guard.report('p1', 'move_vector', 'test', now + i);
+  }
+  assert.equal(guard.shouldKick('p1'), true);
+  assert.equal(guard.isFlagged('p2'), false);
+});
+
+test('violations older than the window do not add up', () => {
+  const guard = new InputGuard();
+  let now = 1000;
+  for (let i = 0; i < InputGuard.KICK_VIOLATIONS * 2; i++) {
+    guard.report('p1', 'fire_rate', 'test', now);
+    now += InputGuard.VIOLATION_WINDOW_MS / (InputGuard.FLAG_VIOLATIONS - 1) + 1;
+  }
+  assert.equal(guard.isFlagged('p1'), false);
+});
+
+test('forget clears the player', () => {
+  const guard = new InputGuard();
+  for (let i = 0; i < InputGuard.KICK_VIOLATIONS; i++) {
+    guard.report('p1', 'fire_rate', 'test', 1000);
+  }
+  assert.equal(guard.shouldKick('p1'), true);
+
+  guard.forget('p1');
+  assert.equal(guard.shouldKick('p1'), false);
+  assert.equal(guard.allowShot('p1', 1000), true);
+});
@@ -0,0 +1,62 @@
+// server/test/Metrics.test.ts
+// Counters, duration summaries and the Prometheus text they render to
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Counter, DurationSummary, MetricsWriter } from '../src/metrics/Metrics';
+
+test('counters add up per label set, whatever the label order', () => {
+  const counter = new Counter();
+  counter.inc({ direction: 'in', type: 'move' });
+  counter.inc({ type: 'move', direction: 'in' }, 4);
+  counter.inc({ direction: 'out', type: 'move' });
+  assert.deepEqual(counter.samples(), [
+    [{ direction: 'in', type: 'move' }, 5],
+    [{ direction: 'out', type: 'move' }, 1],
+  ]);
+});
+
+test('summaries take quantiles over the recent window and totals over everything', () => {
+  const summary = new DurationSummary(10);
+  assert.ok(summary.quantiles().every(Number.isNaN));
+
+  for (let i = 1; i <= 100; i++) summary.observe(i);
+  // Only 91..100 are still in the window
+  assert.deepEqual(summary.quantiles([0, 0.5, 0.99]), [91, 96, 100]);
+  assert.equal(summary.sum, 5050);
+  assert.equal(summary.count, 100);
+});
+
+test('the writer renders the Prometheus text format', () => {
+  const ticks = new DurationSummary(4);
+  ticks.observe(0.001);
+  ticks.observe(0.003);
+
+  const text = new MetricsWriter()
+    .gauge('game_rooms', 'Rooms open', [[{}, 2]])
+    .counter('game_messages_total', 'Messages', [[{ type: 'say "hi"\n' }, 3]])
+    .summary('game_tick_seconds', 'Tick time', [[{ room: 'AB12' }, ticks]])
+    .gauge('game_rtt_seconds', 'Latency', [[{}, NaN], [{ room: 'x' }, Infinity]])
+    .toString();
+
+  assert.equal(text, [
+    '# HELP game_rooms Rooms open',
+    '# TYPE game_rooms gauge',
+    'game_rooms 2',
+    '# HELP game_messages_total Messages',
+    '# TYPE game_messages_total counter',
+    'game_messages_total{type="say \\"hi\\"\\n"} 3',
+    '# HELP game_tick_seconds Tick time',
+    '# TYPE game_tick_seconds summary',
+    'game_tick_seconds{room="AB12",quantile="0.5"} 0.003',
+    'game_tick_seconds{room="AB12",quantile="0.9"} 0.003',
+    'game_tick_seconds{room="AB12",quantile="0.99"} 0.003',
+    'game_tick_seconds_sum{room="AB12"} 0.004',
+    'game_tick_seconds_count{room="AB12"} 2',
+    '# HELP game_rtt_seconds Latency',
+    '# TYPE game_rtt_seconds gauge',
+    'game_rtt_seconds NaN',
+    'game_rtt_seconds{room="x"} +Inf',
+    '',
+  ].join('\n'));
+});
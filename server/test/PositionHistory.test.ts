@@ -0,0 +1,51 @@
+// server/test/PositionHistory.test.ts
+// Rewinding target positions for lag-compensated hits
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PositionHistory } from '../src/world/PositionHistory';
+
+test('positions between samples are interpolated', () => {
+  const history = new PositionHistory();
+  history.record('p1', 0, 0, 1000);
+  history.record('p1', 100, 50, 1100);
+  history.record('p1', 100, 150, 1200);
+
+  assert.deepEqual(history.getPositionAt('p1', 1050), { x: 50, y: 25 });
+  assert.deepEqual(history.getPositionAt('p1', 1150), { x: 100, y: 100 });
+  assert.deepEqual(history.getPositionAt('p1', 1100), { x: 100, y: 50 });
+});
+
+test('rewinds outside the recorded span clamp to the ends', () => {
+  const history = new PositionHistory();
+  history.record('p1', 10, 20, 1000);
+  history.record('p1', 30, 40, 1100);
+
+  assert.deepEqual(history.getPositionAt('p1', 0), { x: 10, y: 20 });
+  assert.deepEqual(history.getPositionAt('p1', 5000), { x: 30, y: 40 });
+  assert.equal(history.getPositionAt('p2', 1000), null);
+});
+
+test('samples older than the window are dropped, keeping at least one', () => {
+  const history = new PositionHistory(500);
+  history.record('p1', 0, 0, 1000);
+  history.record('p1', 10, 0, 1400);
+  history.record('p1', 20, 0, 2000);
+
+  // Both older samples fell out of the window
+  assert.deepEqual(history.getPositionAt('p1', 1000), { x: 20, y: 0 });
+
+  history.record('p2', 5, 5, 1000);
+  history.record('p2', 6, 6, 9000);
+  assert.deepEqual(history.getPositionAt('p2', 1000), { x: 6, y: 6 });
+});
+
+test('clear forgets the trail so a respawn never rewinds to the old life', () => {
+  const history = new PositionHistory();
+  history.record('p1', 0, 0, 1000);
+  history.clear('p1');
+  assert.equal(history.getPositionAt('p1', 1000), null);
+
+  history.record('p1', 500, 500, 1100);
+  assert.deepEqual(history.getPositionAt('p1', 1000), { x: 500, y: 500 });
+});
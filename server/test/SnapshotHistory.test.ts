@@ -0,0 +1,121 @@
+// server/test/SnapshotHistory.test.ts
+// Delta snapshots: baselines, acks and resyncs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BinaryReader } from '../src/net/BinaryCodec';
+import { SnapshotHistory } from '../src/net/SnapshotHistory';
+import { ENTITY_KINDS } from '../src/net/protocol';
+import { NPC, StateSnapshot } from '../src/game_server';
+
+interface DecodedDelta {
+  seq: number;
+  baselineSeq: number;
+  changed: { [id: string]: { x: number; y: number } };
+  removed: string[];
+}
+
+// Snapshots here only carry NPCs, the kind with the shortest layout
+function stateWithNpcs(npcs: { [id: string]: { x: number; y: number } }): StateSnapshot {
+  const state: StateSnapshot = {
+    players: {}, pets: {}, projectiles: {}, chests: {}, npcs: {}, animals: {}, monsters: {}, drops: {},
+    cycleTimeRemaining: 1000,
+    cycleDuration: 60000,
+    deadlyEventActive: false,
+    extractionZones: [],
+  };
+  for (const id in npcs) {
+    state.npcs[id] = { ...npcs[id] } as NPC;
+  }
+  return state;
+}
+
+function decode(buffer: Buffer): DecodedDelta {
+  const reader = new BinaryReader(buffer);
+  const delta: DecodedDelta = { seq: reader.u32(), baselineSeq: reader.u32(), changed: {}, removed: [] };
+
+  reader.u32(); reader.u32(); reader.bool();
+  const zones = reader.u8();
+  for (let i = 0; i < zones * 3; i++) reader.f32();
+
+  for (const kind of ENTITY_KINDS) {
+    const changed = reader.u16();
+    if (kind !== 'npcs') assert.equal(changed, 0, `unexpected ${kind}`);
+    for (let i = 0; i < changed; i++) {
+      delta.changed[reader.str()] = { x: reader.f32(), y: reader.f32() };
+    }
+    const removed = reader.u16();
+    for (let i = 0; i < removed; i++) delta.removed.push(reader.str());
+  }
+  assert.equal(reader.remaining(), 0);
+  return delta;
+}
+
+test('snapshots are sent in full until the client acks one', () => {
+  const history = new SnapshotHistory();
+  const state = stateWithNpcs({ a: { x: 1, y: 2 }, b: { x: 3, y: 4 } });
+
+  const first = decode(history.encode(state));
+  assert.equal(first.seq, 1);
+  assert.equal(first.baselineSeq, 0);
+  assert.deepEqual(first.changed, { a: { x: 1, y: 2 }, b: { x: 3, y: 4 } });
+
+  const second = decode(history.encode(state));
+  assert.equal(second.seq, 2);
+  assert.equal(second.baselineSeq, 0);
+  assert.deepEqual(Object.keys(second.changed), ['a', 'b']);
+});
+
+test('after an ack only changed, new and removed entities are sent', () => {
+  const history = new SnapshotHistory();
+  history.encode(stateWithNpcs({ a: { x: 1, y: 2 }, b: { x: 3, y: 4 }, c: { x: 5, y: 6 } }));
+  history.ack(1);
+
+  const delta = decode(history.encode(stateWithNpcs({ a: { x: 1, y: 2 }, b: { x: 9, y: 4 }, d: { x: 7, y: 8 } })));
+  assert.equal(delta.seq, 2);
+  assert.equal(delta.baselineSeq, 1);
+  assert.deepEqual(delta.changed, { b: { x: 9, y: 4 }, d: { x: 7, y: 8 } });
+  assert.deepEqual(delta.removed, ['c']);
+});
+
+test('unknown and superseded acks are ignored', () => {
+  const history = new SnapshotHistory();
+  const state = stateWithNpcs({ a: { x: 1, y: 2 } });
+  history.encode(state);
+  history.encode(state);
+
+  history.ack(99);
+  assert.equal(decode(history.encode(state)).baselineSeq, 0);
+
+  history.ack(2);
+  history.ack(1); // Arrives late; the client already has a newer baseline
+  const delta = decode(history.encode(state));
+  assert.equal(delta.baselineSeq, 2);
+  assert.deepEqual(delta.changed, {});
+});
+
+test('a resync drops the baseline so the next snapshot is full', () => {
+  const history = new SnapshotHistory();
+  const state = stateWithNpcs({ a: { x: 1, y: 2 } });
+  history.encode(state);
+  history.ack(1);
+  assert.deepEqual(decode(history.encode(state)).changed, {});
+
+  history.reset();
+  history.ack(2); // Sent before the resync, so it no longer counts
+  const full = decode(history.encode(state));
+  assert.equal(full.baselineSeq, 0);
+  assert.deepEqual(full.changed, { a: { x: 1, y: 2 } });
+});
+
+test('acks for snapshots that fell out of the history are ignored', () => {
+  const history = new SnapshotHistory();
+  const state = stateWithNpcs({ a: { x: 1, y: 2 } });
+  for (let i = 0; i < 40; i++) history.encode(state);
+
+  history.ack(1);
+  assert.equal(decode(history.encode(state)).baselineSeq, 0);
+
+  history.ack(40);
+  assert.equal(decode(history.encode(state)).baselineSeq, 40);
+});
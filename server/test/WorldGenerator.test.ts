@@ -0,0 +1,127 @@
+// server/test/WorldGenerator.test.ts
+// Seeded hashing and lazy chunk generation: same seed, same world, in any
+// order, with roads that line up across chunk borders
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hash, hash01 } from '../src/world/hash';
+import { ChunkData, ChunkManager } from '../src/world/ChunkManager';
+import { WorldGenerator } from '../src/world/WorldGenerator';
+
+const WORLD_SIZE = 8192; // 16x16 chunks
+const CHUNKS = WORLD_SIZE / 512;
+const CHUNK_TILES = 32;
+const SEED = 1234;
+
+// The block of chunks around spawn, where the hub's roads always run
+const AREA: Array<[number, number]> = [];
+for (let cy = CHUNKS / 2 - 2; cy < CHUNKS / 2 + 2; cy++) {
+  for (let cx = CHUNKS / 2 - 2; cx < CHUNKS / 2 + 2; cx++) {
+    AREA.push([cx, cy]);
+  }
+}
+
+function world(seed: number): ChunkManager {
+  const chunkManager = new ChunkManager(WORLD_SIZE, WORLD_SIZE);
+  new WorldGenerator(chunkManager, seed);
+  return chunkManager;
+}
+
+function chunkAt(chunkManager: ChunkManager, cx: number, cy: number): ChunkData {
+  const chunk = chunkManager.getChunk(cx, cy);
+  assert.ok(chunk, `chunk ${cx},${cy}`);
+  return chunk;
+}
+
+// Road tile ids whose bitmask says the neighbour on that side is road, or isn't
+// (CENTER and the inner corners are left out: texture variants share their ids)
+const ROAD_SIDES: { [side: string]: { road: number[]; open: number[] } } = {
+  east: { road: [1, 7, 2, 8, 4], open: [3, 9, 6] },
+  west: { road: [3, 9, 2, 8, 6], open: [1, 7, 4] },
+  south: { road: [1, 3, 2, 4, 6], open: [7, 9, 8] },
+  north: { road: [7, 9, 8, 4, 6], open: [1, 3, 2] },
+};
+
+test('hash is stable, 32-bit and sensitive to every argument', () => {
+  assert.equal(hash(1, 2, 3), hash(1, 2, 3));
+  assert.notEqual(hash(1, 2, 3), hash(1, 2, 4));
+  assert.notEqual(hash(1, 2, 3), hash(3, 2, 1));
+
+  for (let i = 0; i < 1000; i++) {
+    const value = hash(SEED, i);
+    assert.ok(Number.isInteger(value) && value >= 0 && value < 2 ** 32);
+    const unit = hash01(SEED, i);
+    assert.ok(unit >= 0 && unit < 1);
+  }
+});
+
+test('chunks do not depend on the order they are generated in', () => {
+  const forward = world(SEED);
+  const backward = world(SEED);
+
+  const forwardChunks = AREA.map(([cx, cy]) => chunkAt(forward, cx, cy));
+  const backwardChunks = [...AREA].reverse().map(([cx, cy]) => chunkAt(backward, cx, cy)).reverse();
+  assert.deepEqual(forwardChunks, backwardChunks);
+
+  // A chunk generated on its own, with none of its neighbours around
+  const [cx, cy] = AREA[5];
+  assert.deepEqual(chunkAt(world(SEED), cx, cy), forwardChunks[5]);
+});
+
+test('different seeds give different worlds', () => {
+  const a = world(SEED);
+  const b = world(SEED + 1);
+  assert.notDeepEqual(AREA.map(([cx, cy]) => chunkAt(a, cx, cy)), AREA.map(([cx, cy]) => chunkAt(b, cx, cy)));
+});
+
+test('road tiles agree with their neighbours across chunk borders', () => {
+  const chunkManager = world(SEED);
+  const isRoad = (x: number, y: number) => {
+    const chunk = chunkAt(chunkManager, Math.floor(x / CHUNK_TILES), Math.floor(y / CHUNK_TILES));
+    return `${x % CHUNK_TILES},${y % CHUNK_TILES}` in chunk.roads;
+  };
+  const roadId = (x: number, y: number) =>
+    chunkAt(chunkManager, Math.floor(x / CHUNK_TILES), Math.floor(y / CHUNK_TILES)).roads[`${x % CHUNK_TILES},${y % CHUNK_TILES}`];
+
+  let crossings = 0;
+  const check = (x: number, y: number, side: string, nx: number, ny: number) => {
+    const id = roadId(x, y);
+    if (id === undefined) return;
+    if (ROAD_SIDES[side].road.includes(id)) {
+      assert.ok(isRoad(nx, ny), `road ${x},${y} (${id}) expects road to the ${side}`);
+      crossings++;
+    } else if (ROAD_SIDES[side].open.includes(id)) {
+      assert.ok(!isRoad(nx, ny), `road ${x},${y} (${id}) expects no road to the ${side}`);
+    }
+  };
+
+  for (const [cx, cy] of AREA) {
+    const x0 = cx * CHUNK_TILES;
+    const y0 = cy * CHUNK_TILES;
+    for (let i = 0; i < CHUNK_TILES; i++) {
+      check(x0 + CHUNK_TILES - 1, y0 + i, 'east', x0 + CHUNK_TILES, y0 + i);
+      check(x0, y0 + i, 'west', x0 - 1, y0 + i);
+      check(x0 + i, y0 + CHUNK_TILES - 1, 'south', x0 + i, y0 + CHUNK_TILES);
+      check(x0 + i, y0, 'north', x0 + i, y0 - 1);
+    }
+  }
+  // The hub's roads leave the spawn area, so some must cross a border
+  assert.ok(crossings > 0);
+});
+
+test('isWaterAt agrees with generated water without generating chunks', () => {
+  const reference = world(SEED);
+  const chunkManager = new ChunkManager(WORLD_SIZE, WORLD_SIZE);
+  const generator = new WorldGenerator(chunkManager, SEED);
+
+  let water = 0;
+  for (const [cx, cy] of AREA) {
+    for (const key in chunkAt(reference, cx, cy).water) {
+      const [lx, ly] = key.split(',').map(Number);
+      assert.equal(generator.isWaterAt(cx * CHUNK_TILES + lx, cy * CHUNK_TILES + ly), true, `water ${key} in ${cx},${cy}`);
+      water++;
+    }
+  }
+  assert.ok(water > 0);
+  assert.deepEqual(chunkManager.getAllChunks(), {});
+});
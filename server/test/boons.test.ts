@@ -0,0 +1,156 @@
+// server/test/boons.test.ts
+// Boon stacking, stat resolution and gameplay hooks
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import type { Player } from '../src/game_server';
+import {
+  BASE_MAX_HP,
+  Boon,
+  BoonHookHost,
+  BOON_DEFINITIONS,
+  DamageContext,
+  MoveContext,
+  SLOW_DURATION,
+  ShotContext,
+  canHoldMore,
+  createBoon,
+  forEachHook,
+  getBoonDefinition,
+  resolveStats,
+  rollBoon,
+} from '../src/boons';
+
+function boon(type: string): Boon {
+  const def = getBoonDefinition(type);
+  assert.ok(def, type);
+  return createBoon(def);
+}
+
+function player(id: string, ...types: string[]): Player {
+  return {
+    id, x: 0, y: 0, direction: 'down', hp: 100, maxHp: 100, boons: types.map(boon),
+    kills: 0, deaths: 0, invulnerable: false, invulnerableTimer: 0, extracted: false,
+  };
+}
+
+// Records what hooks ask of the game
+function host(...players: Player[]): BoonHookHost & { respawned: string[] } {
+  const state = { players: {} as { [id: string]: Player } };
+  for (const p of players) state.players[p.id] = p;
+  return {
+    state,
+    respawned: [],
+    respawnPlayer(playerId) {
+      this.respawned.push(playerId);
+    },
+    transferBoon(from, to, index) {
+      to.boons.push(...from.boons.splice(index, 1));
+    },
+  };
+}
+
+function damage(attacker: Player | null, victim: Player, amount: number, now: number): DamageContext {
+  return { attacker, victim, damage: amount, now };
+}
+
+test('stats compound per stack and unknown boons are ignored', () => {
+  const holder = player('p1', 'damage_boost', 'damage_boost', 'hp_boost', 'hp_boost', 'piercing', 'lifesteal');
+  holder.boons.push({ type: 'gone_boon', rarity: 'common', data: { rarity: 'common' } }); // From an older catalogue
+  const stats = resolveStats(holder);
+  assert.equal(stats.damageMultiplier, 2.25);
+  assert.equal(stats.maxHp, BASE_MAX_HP + 50);
+  assert.equal(stats.pierce, 1);
+  assert.equal(stats.lifesteal, 0.2);
+  assert.equal(stats.speedMultiplier, 1);
+  assert.equal(stats.monsterDamageMultiplier, 1);
+});
+
+test('rolls skip boons the player already holds the maximum of', () => {
+  const holder = player('p1', 'triple_shot', 'piercing');
+  assert.equal(canHoldMore(holder, 'triple_shot'), false);
+  assert.equal(canHoldMore(holder, 'piercing'), true);
+  assert.equal(canHoldMore(holder, 'gone_boon'), false);
+
+  for (let i = 0; i < 50; i++) {
+    assert.notEqual(rollBoon('rare', holder)?.type, 'triple_shot');
+  }
+
+  const maxed = player('p2');
+  for (const def of BOON_DEFINITIONS.filter(d => d.rarity === 'rare')) {
+    for (let i = 0; i < def.maxStacks; i++) maxed.boons.push(createBoon(def));
+  }
+  assert.equal(rollBoon('rare', maxed), null);
+  assert.ok(rollBoon('rare'));
+});
+
+test('triple_shot adds a shot either side of the main one', () => {
+  const shooter = player('p1', 'triple_shot');
+  const volley: ShotContext = { player: shooter, shots: [{ angle: 1, damage: 10 }] };
+  forEachHook(shooter, 'onShoot', (hook, b) => hook(b, volley));
+  assert.deepEqual(volley.shots.map(s => s.angle), [1, 0.8, 1.2]);
+  assert.ok(volley.shots.every(s => s.damage === 10));
+});
+
+test('dash only speeds up sprinting', () => {
+  const runner = player('p1', 'dash');
+  const walk: MoveContext = { player: runner, sprinting: false, speed: 100 };
+  const sprint: MoveContext = { player: runner, sprinting: true, speed: 100 };
+  forEachHook(runner, 'onMove', (hook, b) => hook(b, walk));
+  forEachHook(runner, 'onMove', (hook, b) => hook(b, sprint));
+  assert.equal(walk.speed, 100);
+  assert.equal(sprint.speed, 140);
+});
+
+test('shield blocks one hit, then recharges after 10 seconds', () => {
+  const victim = player('p1', 'shield');
+  const game = host(victim);
+  const hurt = (now: number) => {
+    const ctx = damage(null, victim, 30, now);
+    forEachHook(victim, 'onHurt', (hook, b) => hook(b, ctx, game));
+    return ctx.damage;
+  };
+
+  assert.equal(hurt(1000), 0);
+  assert.equal(hurt(2000), 30);
+  assert.equal(hurt(11000), 0);
+});
+
+test('teleport cancels a death once every two minutes', () => {
+  const victim = player('p1', 'teleport');
+  const game = host(victim);
+  const die = (now: number) => {
+    let cancelled = false;
+    forEachHook(victim, 'onDeath', (hook, b) => {
+      if (hook(b, damage(null, victim, 100, now), game)) cancelled = true;
+    });
+    return cancelled;
+  };
+
+  assert.equal(die(1000), true);
+  assert.deepEqual(game.respawned, ['p1']);
+  assert.equal(die(60000), false);
+  assert.equal(die(121000), true);
+});
+
+test('slow_enemies slows whoever the holder hits', () => {
+  const attacker = player('p1', 'slow_enemies');
+  const victim = player('p2');
+  forEachHook(attacker, 'onHit', (hook, b) => hook(b, damage(attacker, victim, 10, 1000), host(attacker, victim)));
+  assert.equal(victim.slowTimer, SLOW_DURATION);
+});
+
+test('steal_on_hit moves a boon from the victim to the attacker', t => {
+  const attacker = player('p1', 'steal_on_hit');
+  const victim = player('p2', 'speed_boost');
+  const game = host(attacker, victim);
+
+  t.mock.method(Math, 'random', () => 0.5); // Over the 10% chance
+  forEachHook(attacker, 'onHit', (hook, b) => hook(b, damage(attacker, victim, 10, 1000), game));
+  assert.equal(victim.boons.length, 1);
+
+  t.mock.method(Math, 'random', () => 0);
+  forEachHook(attacker, 'onHit', (hook, b) => hook(b, damage(attacker, victim, 10, 1000), game));
+  assert.deepEqual(victim.boons, []);
+  assert.deepEqual(attacker.boons.map(b => b.type), ['steal_on_hit', 'speed_boost']);
+});
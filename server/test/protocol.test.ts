@@ -0,0 +1,238 @@
+// server/test/protocol.test.ts
+// Binary codec, client message decoding and TCP framing
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import type net from 'net';
+import { BinaryReader, BinaryWriter } from '../src/net/BinaryCodec';
+import { Connection } from '../src/net/Connection';
+import {
+  ClientMessage,
+  FRAME_HEADER_SIZE,
+  JoinRequest,
+  MAX_FRAME_SIZE,
+  MAX_MOVE_BATCH,
+  MessageType,
+  PROTOCOL_VERSION,
+  decodeClientFrame,
+  encodeFrame,
+  encodeJoin,
+  parseJoinLine,
+  parseTextMessage,
+  requestedProtocolVersion,
+} from '../src/net/protocol';
+
+// Just enough of a socket for Connection: records writes and destroy()
+function fakeSocket(): net.Socket & { written: (string | Buffer)[] } {
+  const socket = {
+    destroyed: false,
+    written: [] as (string | Buffer)[],
+    write(data: string | Buffer) {
+      socket.written.push(data);
+      return true;
+    },
+    destroy() {
+      socket.destroyed = true;
+    },
+    end() {},
+  };
+  return socket as unknown as net.Socket & { written: (string | Buffer)[] };
+}
+
+function connect(): { connection: Connection; socket: ReturnType<typeof fakeSocket>; joins: JoinRequest[]; messages: ClientMessage[] } {
+  const socket = fakeSocket();
+  const joins: JoinRequest[] = [];
+  const messages: ClientMessage[] = [];
+  const connection: Connection = new Connection(socket, {
+    onJoin: join => {
+      joins.push(join);
+      connection.upgrade(requestedProtocolVersion(join));
+    },
+    onMessage: msg => messages.push(msg),
+  });
+  return { connection, socket, joins, messages };
+}
+
+test('BinaryWriter and BinaryReader round-trip every field type', () => {
+  const buffer = new BinaryWriter(4) // Small on purpose, so the writer has to grow
+    .u8(200)
+    .bool(true)
+    .u16(65000)
+    .u32(4000000000)
+    .i32(-123456)
+    .f32(1.5)
+    .str('héllo')
+    .bytes(Buffer.from([1, 2, 3]))
+    .toBuffer();
+
+  const reader = new BinaryReader(buffer);
+  assert.equal(reader.u8(), 200);
+  assert.equal(reader.bool(), true);
+  assert.equal(reader.u16(), 65000);
+  assert.equal(reader.u32(), 4000000000);
+  assert.equal(reader.i32(), -123456);
+  assert.equal(reader.f32(), 1.5);
+  assert.equal(reader.str(), 'héllo');
+  assert.deepEqual([...reader.rest()], [1, 2, 3]);
+  assert.equal(reader.remaining(), 0);
+});
+
+test('BinaryWriter clamps integers to their range', () => {
+  const reader = new BinaryReader(new BinaryWriter().u16(70000).u16(-5).u32(-1).i32(2 ** 40).toBuffer());
+  assert.equal(reader.u16(), 0xffff);
+  assert.equal(reader.u16(), 0);
+  assert.equal(reader.u32(), 0);
+  assert.equal(reader.i32(), 0x7fffffff);
+});
+
+test('BinaryReader throws RangeError on a short payload', () => {
+  assert.throws(() => new BinaryReader(Buffer.from([0, 1])).u32(), RangeError);
+  // Length prefix says 10 bytes, only 2 follow
+  assert.throws(() => new BinaryReader(Buffer.from([0, 10, 65, 66])).str(), RangeError);
+});
+
+test('encodeFrame writes the length (type + payload) and type ahead of the payload', () => {
+  const frame = encodeFrame(MessageType.Join, encodeJoin('p1', 10, -20, 'tok'));
+  assert.equal(frame.readUInt32BE(0), frame.length - 4);
+  assert.equal(frame.readUInt8(4), MessageType.Join);
+
+  const reader = new BinaryReader(frame.subarray(FRAME_HEADER_SIZE));
+  assert.equal(reader.str(), 'p1');
+  assert.equal(reader.i32(), 10);
+  assert.equal(reader.i32(), -20);
+  assert.equal(reader.str(), 'tok');
+
+  assert.equal(encodeFrame(MessageType.Paired).length, FRAME_HEADER_SIZE);
+});
+
+test('decodeClientFrame decodes what a binary client sends', () => {
+  const move = new BinaryWriter()
+    .str('left')
+    .u8(2)
+    .f32(-1).f32(0).bool(true).f32(0.5).u32(7)
+    .f32(0).f32(1).bool(false).f32(0.25).u32(8)
+    .toBuffer();
+  assert.deepEqual(decodeClientFrame(MessageType.Move, move), {
+    type: 'move',
+    direction: 'left',
+    batch: [
+      { dx: -1, dy: 0, sprinting: true, dt: 0.5, seq: 7 },
+      { dx: 0, dy: 1, sprinting: false, dt: 0.25, seq: 8 },
+    ],
+  });
+
+  assert.deepEqual(decodeClientFrame(MessageType.Chunk, new BinaryWriter().i32(-2).i32(3).toBuffer()), { type: 'chunk', cx: -2, cy: 3 });
+  assert.deepEqual(decodeClientFrame(MessageType.Ack, new BinaryWriter().u32(42).toBuffer()), { type: 'ack', seq: 42 });
+  assert.deepEqual(decodeClientFrame(MessageType.Relay, Buffer.from('pong|3')), { type: 'relay', line: 'pong|3' });
+  assert.deepEqual(decodeClientFrame(MessageType.Spectate, new BinaryWriter().str('').i32(5).i32(6).toBuffer()),
+    { type: 'spectate', follow: '', x: 5, y: 6 });
+});
+
+test('decodeClientFrame refuses server-only frame types and throws on truncated ones', () => {
+  assert.equal(decodeClientFrame(MessageType.State, Buffer.alloc(0)), null);
+  assert.equal(decodeClientFrame(0xff, Buffer.alloc(0)), null);
+  assert.throws(() => decodeClientFrame(MessageType.Move, new BinaryWriter().str('up').u8(1).f32(1).toBuffer()), RangeError);
+});
+
+test('parseJoinLine reads the code, a bare token and key=value options', () => {
+  assert.deepEqual(parseJoinLine('JOIN:abc123:sekrit:proto=2:ticket=t1'), {
+    code: 'ABC123',
+    token: 'sekrit',
+    options: { proto: '2', ticket: 't1' },
+  });
+  assert.deepEqual(parseJoinLine('JOIN:ROOM'), { code: 'ROOM', options: {} });
+  assert.equal(parseJoinLine('JOIN:'), null);
+  assert.equal(parseJoinLine('move|p1'), null);
+});
+
+test('requestedProtocolVersion defaults to text and caps at the newest version', () => {
+  assert.equal(requestedProtocolVersion({ code: 'A', options: {} }), 0);
+  assert.equal(requestedProtocolVersion({ code: 'A', options: { proto: 'x' } }), 0);
+  assert.equal(requestedProtocolVersion({ code: 'A', options: { proto: '1' } }), 1);
+  assert.equal(requestedProtocolVersion({ code: 'A', options: { proto: '99' } }), PROTOCOL_VERSION);
+});
+
+test('parseTextMessage decodes a legacy move batch and relays unknown lines', () => {
+  assert.deepEqual(parseTextMessage('move|p1|2|right|1|0|1|0.05|1|0|-1|0|0.1|2'), {
+    type: 'move',
+    direction: 'right',
+    batch: [
+      { dx: 1, dy: 0, sprinting: true, dt: 0.05, seq: 1 },
+      { dx: 0, dy: -1, sprinting: false, dt: 0.1, seq: 2 },
+    ],
+  });
+  assert.deepEqual(parseTextMessage('chunk|4|-1'), { type: 'chunk', cx: 4, cy: -1 });
+  assert.deepEqual(parseTextMessage('pet_move|p1|3|4'), { type: 'relay', line: 'pet_move|p1|3|4' });
+});
+
+test('parseTextMessage never builds more inputs than the line carries or the cap allows', () => {
+  // Claims three inputs, carries one
+  assert.deepEqual(parseTextMessage('move|p1|3|up|0|-1|0|0.05|9'), {
+    type: 'move',
+    direction: 'up',
+    batch: [{ dx: 0, dy: -1, sprinting: false, dt: 0.05, seq: 9 }],
+  });
+  assert.deepEqual(parseTextMessage('move|p1|3000000|down'), { type: 'move', direction: 'down', batch: [], claimed: 3000000 });
+  assert.deepEqual(parseTextMessage('move|p1|-5|down|1|0|0|0.1|1'), { type: 'move', direction: 'down', batch: [] });
+
+  const inputs = Array.from({ length: MAX_MOVE_BATCH + 10 }, (_, i) => `1|0|0|0.01|${i + 1}`).join('|');
+  const msg = parseTextMessage(`move|p1|${MAX_MOVE_BATCH + 10}|right|${inputs}`);
+  assert.ok(msg.type === 'move');
+  assert.equal(msg.batch.length, MAX_MOVE_BATCH);
+  assert.equal(msg.claimed, MAX_MOVE_BATCH + 10);
+});
+
+test('Connection parses frames that arrive in the same packet as the JOIN line', () => {
+  const { connection, socket, joins, messages } = connect();
+  const shoot = encodeFrame(MessageType.Shoot, new BinaryWriter().f32(0.5).toBuffer());
+  connection.receive(Buffer.concat([Buffer.from('JOIN:ROOM:proto=1\n'), shoot]));
+
+  assert.equal(joins.length, 1);
+  assert.equal(connection.binary, true);
+  assert.equal(socket.written[0], 'PROTO|1\n');
+  assert.deepEqual(messages, [{ type: 'shoot', angle: 0.5 }]);
+});
+
+test('Connection reassembles frames split across reads', () => {
+  const { connection, messages } = connect();
+  connection.receive(Buffer.from('JOIN:ROOM:proto=1\n'));
+
+  const chunk = encodeFrame(MessageType.Chunk, new BinaryWriter().i32(1).i32(2).toBuffer());
+  const interact = encodeFrame(MessageType.Interact);
+  const stream = Buffer.concat([chunk, interact]);
+  // Cut inside the first length prefix, then inside the first payload
+  connection.receive(stream.subarray(0, 2));
+  connection.receive(stream.subarray(2, 7));
+  assert.deepEqual(messages, []);
+  connection.receive(stream.subarray(7));
+
+  assert.deepEqual(messages, [{ type: 'chunk', cx: 1, cy: 2 }, { type: 'interact' }]);
+});
+
+test('Connection skips malformed frames and keeps reading', () => {
+  const { connection, messages } = connect();
+  connection.receive(Buffer.from('JOIN:ROOM:proto=1\n'));
+  connection.receive(Buffer.concat([
+    encodeFrame(MessageType.Move, Buffer.from([0, 4, 65])), // String overruns the payload
+    encodeFrame(MessageType.Interact),
+  ]));
+  assert.deepEqual(messages, [{ type: 'interact' }]);
+});
+
+test('Connection drops a stream with an impossible frame length', () => {
+  for (const length of [0, MAX_FRAME_SIZE + 1]) {
+    const { connection, socket, messages } = connect();
+    connection.receive(Buffer.from('JOIN:ROOM:proto=1\n'));
+    const header = Buffer.alloc(FRAME_HEADER_SIZE);
+    header.writeUInt32BE(length, 0);
+    connection.receive(header);
+    assert.equal(socket.destroyed, true, `length ${length}`);
+    assert.deepEqual(messages, []);
+  }
+});
+
+test('Connection drops a text client whose line never ends', () => {
+  const { connection, socket } = connect();
+  connection.receive(Buffer.alloc(MAX_FRAME_SIZE + 1, 0x61));
+  assert.equal(socket.destroyed, true);
+});
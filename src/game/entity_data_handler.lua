@@ -17,6 +17,8 @@ function EntityDataHandler.handleNPCData(npcsData, game)
             npcData.name or "NPC",
             npcData.dialogue or {}
         )
+        -- Binary snapshots only carry NPC positions; the id ties them back to this sprite
+        npc.id = npcData.id
         table.insert(game.npcs, npc)
     end
 end
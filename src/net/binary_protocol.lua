@@ -0,0 +1,433 @@
+-- src/net/binary_protocol.lua
+-- Framed binary protocol spoken to the relay after the JOIN handshake
+--
+-- The client asks for it with `JOIN:<code>:proto=<n>`; the relay answers
+-- `PROTO|<n>` as its last text line and frames everything after it:
+--
+--   [u32 length][u8 type][payload...]   (big-endian, length counts type + payload)
+--
+-- Layouts mirror server/src/net/protocol.ts. Decoded messages use the same
+-- tables Protocol.decode builds from text lines, so handlers don't care
+-- which protocol the relay speaks.
+
+local BinaryProtocol = {}
+
+BinaryProtocol.VERSION = 2 -- 2 sends StateDelta frames instead of full State
+BinaryProtocol.HEADER_SIZE = 5
+BinaryProtocol.MAX_FRAME_SIZE = 1024 * 1024 -- Anything larger is a broken stream
+BinaryProtocol.MAX_MOVE_BATCH = 255 -- Move counts its inputs in a u8
+
+BinaryProtocol.MSG = {
+    JOIN = 0x01,
+    MOVE = 0x02,
+    SHOOT = 0x03,
+    INTERACT = 0x04,
+    CHUNK = 0x05,
+    STATE = 0x06,
+    CYCLE = 0x07,
+    NPCS = 0x08,
+    ANIMALS = 0x09,
+    PAIRED = 0x0a,
+    OPPONENT_LEFT = 0x0b,
+    RELAY = 0x0c, -- Opaque text line relayed between clients (pet_move, ping, ...)
+    STATE_DELTA = 0x0d,
+    ACK = 0x0e,
+    RESYNC = 0x0f,
+    DESPAWN = 0x10,
+    ENVIRONMENT = 0x11,
+    SPECTATE = 0x12,
+}
+
+-- Entity sections of a snapshot, in wire order (despawns carry the index)
+BinaryProtocol.ENTITY_KINDS = { "players", "pets", "projectiles", "chests", "npcs", "animals", "monsters", "drops" }
+
+-- Reads fields in order from a payload string; errors on a short payload
+local Reader = {}
+Reader.__index = Reader
+
+function Reader.new(data)
+    return setmetatable({ data = data, pos = 1 }, Reader)
+end
+
+function Reader:need(size)
+    if self.pos + size - 1 > #self.data then
+        error("payload too short", 0)
+    end
+end
+
+function Reader:read(fmt, size)
+    self:need(size)
+    local value, nextPos = love.data.unpack(fmt, self.data, self.pos)
+    self.pos = nextPos
+    return value
+end
+
+function Reader:u8() return self:read(">B", 1) end
+function Reader:bool() return self:u8() ~= 0 end
+function Reader:u16() return self:read(">I2", 2) end
+function Reader:u32() return self:read(">I4", 4) end
+function Reader:i32() return self:read(">i4", 4) end
+function Reader:f32() return self:read(">f", 4) end
+
+-- u16 length prefix, then UTF-8 bytes
+function Reader:str()
+    local length = self:u16()
+    self:need(length)
+    local value = self.data:sub(self.pos, self.pos + length - 1)
+    self.pos = self.pos + length
+    return value
+end
+
+-- Reads named fields in order onto `target`:
+-- reader:fields({}, "x", "f32", "y", "f32") -> { x = ..., y = ... }
+-- (Lua leaves the evaluation order of table constructors unspecified)
+function Reader:fields(target, ...)
+    local spec = { ... }
+    for i = 1, #spec, 2 do
+        target[spec[i]] = self[spec[i + 1]](self)
+    end
+    return target
+end
+
+function Reader:rest()
+    local value = self.data:sub(self.pos)
+    self.pos = #self.data + 1
+    return value
+end
+
+-- Builds a payload; integers are clamped to their range like the server's BinaryWriter
+local Writer = {}
+Writer.__index = Writer
+
+function Writer.new()
+    return setmetatable({ parts = {} }, Writer)
+end
+
+local function clampInt(value, min, max)
+    value = math.floor(tonumber(value) or 0)
+    return math.max(min, math.min(max, value))
+end
+
+function Writer:pack(fmt, value)
+    table.insert(self.parts, love.data.pack("string", fmt, value))
+    return self
+end
+
+function Writer:u8(value) return self:pack(">B", clampInt(value, 0, 0xff)) end
+function Writer:bool(value) return self:u8(value and 1 or 0) end
+function Writer:u16(value) return self:pack(">I2", clampInt(value, 0, 0xffff)) end
+function Writer:u32(value) return self:pack(">I4", clampInt(value, 0, 4294967295)) end
+function Writer:i32(value) return self:pack(">i4", clampInt(value, -2147483648, 2147483647)) end
+function Writer:f32(value) return self:pack(">f", tonumber(value) or 0) end
+
+function Writer:str(value)
+    value = tostring(value or "")
+    self:u16(#value)
+    table.insert(self.parts, value)
+    return self
+end
+
+function Writer:bytes(value)
+    table.insert(self.parts, value)
+    return self
+end
+
+function Writer:toString()
+    return table.concat(self.parts)
+end
+
+BinaryProtocol.Reader = Reader
+BinaryProtocol.Writer = Writer
+
+-- --- Framing ---
+
+function BinaryProtocol.encodeFrame(msgType, payload)
+    payload = payload or ""
+    return love.data.pack("string", ">I4B", #payload + 1, msgType) .. payload
+end
+
+-- Splits the first frame off a receive buffer.
+-- Returns type, payload and the rest of the buffer, nil while the frame is
+-- incomplete, or false and an error when the length can't be right.
+function BinaryProtocol.readFrame(buffer)
+    if #buffer < 4 then return nil end
+    local length = love.data.unpack(">I4", buffer)
+    if length == 0 or length > BinaryProtocol.MAX_FRAME_SIZE then
+        return false, "invalid frame length " .. length
+    end
+    if #buffer < 4 + length then return nil end
+    local msgType = love.data.unpack(">B", buffer, 5)
+    return msgType, buffer:sub(6, 4 + length), buffer:sub(5 + length)
+end
+
+-- --- Client -> server ---
+
+-- batch: { {dx, dy, sprinting, dt, seq}, ... }, oldest first; only the
+-- newest MAX_MOVE_BATCH inputs are sent
+function BinaryProtocol.encodeMove(direction, batch)
+    local first = math.max(1, #batch - BinaryProtocol.MAX_MOVE_BATCH + 1)
+    local writer = Writer.new():str(direction or "down"):u8(#batch - first + 1)
+    for i = first, #batch do
+        local input = batch[i]
+        writer:f32(input.dx):f32(input.dy):bool(input.sprinting):f32(input.dt):u32(input.seq)
+    end
+    return BinaryProtocol.encodeFrame(BinaryProtocol.MSG.MOVE, writer:toString())
+end
+
+function BinaryProtocol.encodeShoot(angle)
+    return BinaryProtocol.encodeFrame(BinaryProtocol.MSG.SHOOT, Writer.new():f32(angle):toString())
+end
+
+function BinaryProtocol.encodeInteract()
+    return BinaryProtocol.encodeFrame(BinaryProtocol.MSG.INTERACT)
+end
+
+function BinaryProtocol.encodeChunkRequest(cx, cy)
+    return BinaryProtocol.encodeFrame(BinaryProtocol.MSG.CHUNK, Writer.new():i32(cx):i32(cy):toString())
+end
+
+function BinaryProtocol.encodeRelay(line)
+    return BinaryProtocol.encodeFrame(BinaryProtocol.MSG.RELAY, line)
+end
+
+-- Confirms the client holds snapshot `seq`; later deltas are diffed against it
+function BinaryProtocol.encodeAck(seq)
+    return BinaryProtocol.encodeFrame(BinaryProtocol.MSG.ACK, Writer.new():u32(seq):toString())
+end
+
+-- Asks for a full snapshot after losing track of the baseline
+function BinaryProtocol.encodeResync()
+    return BinaryProtocol.encodeFrame(BinaryProtocol.MSG.RESYNC)
+end
+
+-- Frames a text line the way the relay would have parsed it: shots, interacts
+-- and chunk requests get their own frames, anything else is relayed as is.
+-- Move batches go through encodeMove instead.
+function BinaryProtocol.encodeLine(line)
+    local parts = {}
+    for part in string.gmatch(line, "[^|]+") do
+        table.insert(parts, part)
+    end
+
+    if parts[1] == "shoot" then
+        -- shoot|playerId|angle
+        return BinaryProtocol.encodeShoot(tonumber(parts[3]) or 0)
+    elseif parts[1] == "interact" then
+        return BinaryProtocol.encodeInteract()
+    elseif parts[1] == "chunk" and tonumber(parts[2]) and tonumber(parts[3]) then
+        return BinaryProtocol.encodeChunkRequest(tonumber(parts[2]), tonumber(parts[3]))
+    end
+    return BinaryProtocol.encodeRelay(line)
+end
+
+-- --- Server -> client ---
+
+local function readZones(reader)
+    local zones = {}
+    for i = 1, reader:u8() do
+        zones[i] = reader:fields({}, "x", "f32", "y", "f32", "radius", "f32")
+    end
+    return zones
+end
+
+-- Globals at the head of every snapshot, written onto `state`
+function BinaryProtocol.readStateGlobals(reader, state)
+    state.cycleTimeRemaining = reader:u32()
+    state.cycleDuration = reader:u32()
+    state.deadlyEventActive = reader:bool()
+    state.extractionZones = readZones(reader)
+    return state
+end
+
+-- One entity of the given kind; returns its id (the owner id for pets) and
+-- the same fields the JSON snapshot has
+local entityReaders = {
+    players = function(reader, id)
+        local player = reader:fields({ id = id }, "x", "f32", "y", "f32", "direction", "str",
+            "hp", "f32", "maxHp", "f32", "kills", "u32", "deaths", "u32")
+        local flags = reader:u8()
+        player.invulnerable = flags % 2 == 1
+        player.extracted = math.floor(flags / 2) % 2 == 1
+        player.sprinting = math.floor(flags / 4) % 2 == 1
+        player.skin = reader:str()
+        player.lastProcessedSeq = reader:u32()
+        player.boons = {}
+        for i = 1, reader:u16() do
+            player.boons[i] = reader:fields({}, "type", "str", "rarity", "str")
+        end
+        return player
+    end,
+    pets = function(reader)
+        return reader:fields({}, "x", "f32", "y", "f32", "monster", "str")
+    end,
+    projectiles = function(reader, id)
+        return reader:fields({ id = id }, "x", "f32", "y", "f32", "vx", "f32", "vy", "f32", "ownerId", "str")
+    end,
+    chests = function(reader, id)
+        return reader:fields({ id = id }, "x", "f32", "y", "f32", "opened", "bool", "rarity", "str")
+    end,
+    npcs = function(reader, id)
+        -- Sprites and dialogue come once in the Npcs message
+        return reader:fields({ id = id }, "x", "f32", "y", "f32")
+    end,
+    animals = function(reader, id)
+        return reader:fields({ id = id }, "x", "f32", "y", "f32", "state", "str", "direction", "str")
+    end,
+    monsters = function(reader, id)
+        return reader:fields({ id = id }, "x", "f32", "y", "f32", "type", "str",
+            "hp", "f32", "maxHp", "f32", "state", "str", "direction", "str")
+    end,
+    drops = function(reader, id)
+        local drop = reader:fields({ id = id }, "x", "f32", "y", "f32")
+        drop.boon = reader:fields({}, "type", "str", "rarity", "str")
+        return drop
+    end,
+}
+
+function BinaryProtocol.readEntity(reader, kind)
+    local id = reader:str()
+    return id, entityReaders[kind](reader, id)
+end
+
+function BinaryProtocol.decodeState(payload)
+    local reader = Reader.new(payload)
+    local state = BinaryProtocol.readStateGlobals(reader, {})
+    for _, kind in ipairs(BinaryProtocol.ENTITY_KINDS) do
+        local entities = {}
+        for _ = 1, reader:u16() do
+            local id, entity = BinaryProtocol.readEntity(reader, kind)
+            entities[id] = entity
+        end
+        state[kind] = entities
+    end
+    return state
+end
+
+-- u32 seq, u32 baselineSeq (0 = full snapshot), globals, then per kind the
+-- entities that changed since the baseline and the ids that are gone.
+-- SnapshotHistory turns it back into a full state.
+function BinaryProtocol.decodeStateDelta(payload)
+    local reader = Reader.new(payload)
+    local delta = reader:fields({ changed = {}, removed = {} }, "seq", "u32", "baselineSeq", "u32")
+    BinaryProtocol.readStateGlobals(reader, delta)
+    for _, kind in ipairs(BinaryProtocol.ENTITY_KINDS) do
+        local changed = {}
+        for _ = 1, reader:u16() do
+            local id, entity = BinaryProtocol.readEntity(reader, kind)
+            changed[id] = entity
+        end
+        local removed = {}
+        for i = 1, reader:u16() do
+            removed[i] = reader:str()
+        end
+        delta.changed[kind] = changed
+        delta.removed[kind] = removed
+    end
+    return delta
+end
+
+-- Sparse "lx,ly" -> tile map, as the JSON chunk has it
+local function readTileMap(reader)
+    local tiles = {}
+    for _ = 1, reader:u16() do
+        local tile = reader:fields({}, "lx", "u8", "ly", "u8", "id", "u8")
+        tiles[tile.lx .. "," .. tile.ly] = tile.id
+    end
+    return tiles
+end
+
+local function decodeChunk(reader)
+    local msg = reader:fields({ type = "chunk" }, "cx", "i32", "cy", "i32")
+    local data = { rocks = {}, trees = {} }
+    data.roads = readTileMap(reader)
+    data.water = readTileMap(reader)
+    for i = 1, reader:u16() do
+        data.rocks[i] = reader:fields({}, "x", "f32", "y", "f32", "tileId", "u8", "actualTileNum", "u8")
+    end
+    for i = 1, reader:u16() do
+        data.trees[i] = reader:fields({}, "x", "f32", "y", "f32", "width", "u16", "height", "u16", "type", "str")
+    end
+    data.biome = reader:u8()
+    msg.data = data
+    return msg
+end
+
+local function decodeNpcs(reader)
+    local npcs = {}
+    for i = 1, reader:u16() do
+        local npc = reader:fields({ dialogue = {} }, "id", "str", "x", "f32", "y", "f32", "spritePath", "str", "name", "str")
+        for j = 1, reader:u8() do
+            npc.dialogue[j] = reader:str()
+        end
+        npcs[i] = npc
+    end
+    return { type = "npcs", count = #npcs, npcs = npcs }
+end
+
+local function decodeAnimals(reader)
+    local animals = {}
+    for i = 1, reader:u16() do
+        animals[i] = reader:fields({}, "id", "str", "x", "f32", "y", "f32", "spritePath", "str", "name", "str",
+            "speed", "f32", "groupCenterX", "f32", "groupCenterY", "f32", "groupRadius", "f32")
+    end
+    return { type = "animals", count = #animals, animals = animals }
+end
+
+local function decodeDespawn(reader)
+    local removed = {}
+    for _ = 1, reader:u16() do
+        local kind = BinaryProtocol.ENTITY_KINDS[reader:u8() + 1]
+        local id = reader:str()
+        if kind then
+            removed[kind] = removed[kind] or {}
+            table.insert(removed[kind], id)
+        end
+    end
+    return { type = "despawn", removed = removed }
+end
+
+-- Decodes a server frame. Returns a message table, or nil and a text line
+-- for frames that stand in for one (relayed lines, PAIRED, OPPONENT_LEFT).
+-- Errors on a malformed payload; callers pcall it.
+function BinaryProtocol.decode(msgType, payload)
+    local MSG = BinaryProtocol.MSG
+    if msgType == MSG.RELAY then
+        return nil, payload
+    elseif msgType == MSG.PAIRED then
+        return nil, "PAIRED"
+    elseif msgType == MSG.OPPONENT_LEFT then
+        return nil, "OPPONENT_LEFT"
+    end
+
+    local reader = Reader.new(payload)
+    if msgType == MSG.JOIN then
+        return reader:fields({ type = "join" }, "id", "str", "x", "i32", "y", "i32", "token", "str")
+    elseif msgType == MSG.MOVE then
+        return reader:fields({ type = "move" }, "id", "str", "x", "f32", "y", "f32", "dir", "str",
+            "skin", "str", "sprinting", "bool", "lastProcessedSeq", "u32")
+    elseif msgType == MSG.INTERACT then
+        return { type = "interact", id = reader:rest() }
+    elseif msgType == MSG.CHUNK then
+        return decodeChunk(reader)
+    elseif msgType == MSG.STATE then
+        return { type = "state", state = BinaryProtocol.decodeState(payload) }
+    elseif msgType == MSG.STATE_DELTA then
+        return { type = "state_delta", delta = BinaryProtocol.decodeStateDelta(payload) }
+    elseif msgType == MSG.CYCLE then
+        return reader:fields({ type = "cycle" }, "timeRemaining", "u32", "duration", "u32")
+    elseif msgType == MSG.NPCS then
+        return decodeNpcs(reader)
+    elseif msgType == MSG.ANIMALS then
+        return decodeAnimals(reader)
+    elseif msgType == MSG.DESPAWN then
+        return decodeDespawn(reader)
+    elseif msgType == MSG.ENVIRONMENT then
+        return reader:fields({ type = "env" }, "timeOfDay", "f32", "day", "u32", "isNight", "bool",
+            "weather", "str", "weatherRemaining", "u32")
+    elseif msgType == MSG.SPECTATE then
+        return reader:fields({ type = "spectate" }, "follow", "str", "x", "i32", "y", "i32")
+    end
+    return nil
+end
+
+return BinaryProtocol
@@ -5,11 +5,15 @@
 local socket = require("socket")
 local json = require("src.lib.dkjson")
 local Protocol = require("src.net.protocol")
+local BinaryProtocol = require("src.net.binary_protocol")
+local SnapshotHistory = require("src.net.snapshot_history")
 local Constants = require("src.constants")
 
 local RelayClient = {}
 RelayClient.__index = RelayClient
 
+local CONNECT_TIMEOUT = 10.0 -- Seconds to resolve the relay and open the socket
+
 local dnsThread = nil
 local dnsRequestChannel = nil
 local dnsResponseChannel = nil
@@ -19,15 +23,139 @@ function RelayClient:new()
     self.tcp = nil
     self.roomCode = nil
     self.connected = false
+    self.connecting = false
     self.playerId = nil
+    self.receivedPlayerId = false
     self.paired = false -- True when opponent is also connected to relay
-    self.messageQueue = {} -- Queue for incoming raw messages
+    self.messageQueue = {} -- Queue for incoming raw messages (text lines or binary frames)
     self.processedCount = 0
+    self.buffer = "" -- Received bytes not yet split into lines/frames
+    self.outgoing = "" -- Bytes the socket hasn't taken yet
+
+    -- Wire protocol: text until the relay acknowledges our proto request
+    self.handshaking = false -- JOIN sent, waiting to learn which protocol the relay speaks
+    self.binary = false
+    self.protocolVersion = 0
+    self.snapshots = SnapshotHistory:new() -- Delta baselines (v2)
+    self.awaitingFullSnapshot = false -- Resync sent, deltas on old baselines are stale
+
+    -- Adaptive rate limiting
+    self.lastSendTime = 0
+    self.minSendRate = Constants.MIN_SEND_RATE
+    self.maxSendRate = Constants.MAX_SEND_RATE
+    self.sendRate = Constants.BASE_SEND_RATE
+
+    -- Connection quality tracking
+    self.pingHistory = {}
+    self.maxPingSamples = 10
+    self.lastPingTime = 0
+    self.averagePing = 100  -- Initial estimate in ms
+    self.connectionQuality = 1.0  -- 0.0 to 1.0 (higher is better)
+    self.pendingPing = nil  -- {timestamp, sent_time} for manual ping measurement
+    self.lastPacketSentTime = 0
 
     return self
 end
 
--- ... (connect and updateConnecting remain the same) ...
+-- Hostnames are resolved on a thread so a slow DNS lookup doesn't freeze the game.
+-- Returns the address right away for IPs, else nil and the answer arrives on dns_response.
+local function resolveHost(hostname)
+    if hostname:match("^%d+%.%d+%.%d+%.%d+$") then
+        return hostname
+    end
+    if not dnsThread then
+        dnsRequestChannel = love.thread.getChannel("dns_request")
+        dnsResponseChannel = love.thread.getChannel("dns_response")
+        dnsThread = love.thread.newThread("src/net/dns_thread.lua")
+        dnsThread:start()
+    end
+    dnsRequestChannel:push(hostname)
+    return nil
+end
+
+-- Starts connecting; poll() finishes the connection and sends JOIN
+function RelayClient:connect(roomCode, role, game)
+    if self.tcp then
+        self:disconnect()
+    end
+
+    self.roomCode = roomCode:upper()
+    self.role = role
+    self.game = game
+    self.buffer = ""
+    self.outgoing = ""
+    self.messageQueue = {}
+    self.binary = false
+    self.handshaking = false
+    self.snapshots:reset()
+    self.awaitingFullSnapshot = false
+    self.receivedPlayerId = false
+    self.connecting = true
+    self.connectStartTime = love.timer.getTime()
+    self.relayIp = resolveHost(Constants.RELAY_HOST)
+
+    print("RelayClient: Connecting to " .. Constants.RELAY_HOST .. ":" .. Constants.RELAY_PORT .. " (room " .. self.roomCode .. ")")
+    return true
+end
+
+function RelayClient:_failConnect(reason)
+    print("RelayClient: Connection failed: " .. reason)
+    if self.tcp then
+        self.tcp:close()
+        self.tcp = nil
+    end
+    self.connecting = false
+    self.connected = false
+end
+
+function RelayClient:updateConnecting()
+    if love.timer.getTime() - self.connectStartTime > CONNECT_TIMEOUT then
+        self:_failConnect("timed out")
+        return
+    end
+
+    -- 1. Wait for DNS
+    if not self.relayIp then
+        local response = dnsResponseChannel:pop()
+        if not response or response.hostname ~= Constants.RELAY_HOST then return end
+        if not response.ip then
+            self:_failConnect("could not resolve " .. Constants.RELAY_HOST)
+            return
+        end
+        self.relayIp = response.ip
+    end
+
+    -- 2. Non-blocking connect; the socket turns writable once it's up
+    if not self.tcp then
+        self.tcp = socket.tcp()
+        self.tcp:settimeout(0)
+        self.tcp:setoption("tcp-nodelay", true)
+        local ok, err = self.tcp:connect(self.relayIp, Constants.RELAY_PORT)
+        if not ok then
+            if err ~= "timeout" and err ~= "Operation already in progress" then
+                self:_failConnect(tostring(err))
+            end
+            return
+        end
+    else
+        local _, writable = socket.select(nil, { self.tcp }, 0)
+        if not writable or #writable == 0 then return end
+        if not self.tcp:getpeername() then
+            self:_failConnect("connection refused")
+            return
+        end
+    end
+
+    self.connecting = false
+    self.connected = true
+    print("RelayClient: Connected to relay, joining room " .. self.roomCode)
+
+    -- Ask for framed binary. The relay answers PROTO|<n> and frames everything
+    -- after it; a relay that doesn't know the option keeps talking text.
+    -- Either way nothing else is sent until we know which one it is.
+    self.handshaking = true
+    self:_write("JOIN:" .. self.roomCode .. ":proto=" .. BinaryProtocol.VERSION .. "\n")
+end
 
 function RelayClient:poll(timeBudget)
     if self.connecting then
@@ -36,6 +164,10 @@ function RelayClient:poll(timeBudget)
     
     if not self.connected or not self.tcp then return {} end
 
+    if self.outgoing ~= "" then
+        self:_flush()
+    end
+
     -- 1. RECEIVE: Read all available data from TCP socket and buffer into queue
     -- Use non-blocking receive with timeout
     self.tcp:settimeout(0)
@@ -57,15 +189,12 @@ function RelayClient:poll(timeBudget)
     -- Append new data to buffer
     self.buffer = self.buffer .. (data or partial or "")
     
-    -- Extract complete lines and push to message queue
-    while true do
-        local line, rest = self.buffer:match("^(.-)\n(.*)$")
-        if line then
-            table.insert(self.messageQueue, line)
-            self.buffer = rest
-        else
-            break
-        end
+    -- Extract complete lines or frames and push to message queue
+    local ok, splitErr = self:_splitBuffer()
+    if not ok then
+        print("RelayClient: " .. splitErr .. ", dropping connection")
+        self:disconnect()
+        return {{ type = "player_left", id = "opponent", disconnectReason = "connection_closed" }}
     end
 
     -- 2. CONFLATION: Pre-process queue to drop outdated state snapshots
@@ -77,17 +206,53 @@ function RelayClient:poll(timeBudget)
     return self:_processMessageQueue(timeBudget)
 end
 
+-- Moves complete text lines, or binary frames once the relay switched, from
+-- the receive buffer to the message queue. Returns false and a reason when
+-- the stream is broken.
+function RelayClient:_splitBuffer()
+    while true do
+        if self.binary then
+            local frameType, payload, rest = BinaryProtocol.readFrame(self.buffer)
+            if frameType == false then return false, payload end
+            if not frameType then return true end
+            table.insert(self.messageQueue, { frameType = frameType, payload = payload })
+            self.buffer = rest
+        else
+            local line, rest = self.buffer:match("^(.-)\n(.*)$")
+            if not line then return true end
+            self.buffer = rest
+
+            local version = self.handshaking and tonumber(line:match("^PROTO|(%d+)$"))
+            if version then
+                -- Last text line; everything after it is framed
+                self.binary = true
+                self.protocolVersion = version
+                print("RelayClient: Relay speaks binary protocol v" .. version)
+            else
+                table.insert(self.messageQueue, line)
+            end
+            self.handshaking = false
+        end
+    end
+end
+
+-- Deltas can be dropped too: each one is diffed against a snapshot we acked,
+-- and a dropped delta is never acked
+local function isStateSnapshot(entry)
+    if type(entry) == "table" then
+        return entry.frameType == BinaryProtocol.MSG.STATE or entry.frameType == BinaryProtocol.MSG.STATE_DELTA
+    end
+    return entry:sub(1, 6) == Protocol.MSG.STATE_SNAPSHOT .. "|"
+end
+
 function RelayClient:_conflateQueue()
     -- Scan queue backwards to find the last state snapshot
     local lastStateIdx = nil
     local stateIndices = {}
 
-    local Protocol = require("src.net.protocol")
-    
     for i = #self.messageQueue, 1, -1 do
-        local line = self.messageQueue[i]
-        -- Check for state snapshot markers (fast string match, no decode yet)
-        if line:sub(1, 6) == "state|" or line:sub(1, 6) == Protocol.MSG.STATE_SNAPSHOT.."|" then
+        -- Check for state snapshot markers (no decode yet)
+        if isStateSnapshot(self.messageQueue[i]) then
             if not lastStateIdx then
                 lastStateIdx = i
             else
@@ -137,7 +302,7 @@ function RelayClient:_processMessageQueue(timeBudget)
 
     -- Process loop with time check
     while #self.messageQueue > 0 do
-        local line = table.remove(self.messageQueue, 1)
+        local entry = table.remove(self.messageQueue, 1)
         
         -- Estimate ping based on packet round trip (approximate using receive time)
         if self.lastPacketSentTime > 0 and not pingSent then
@@ -151,66 +316,24 @@ function RelayClient:_processMessageQueue(timeBudget)
            end
         end
 
-        if line == "PAIRED" then
-            print("RelayClient: Opponent connected to relay!")
-            self.paired = true
-        elseif line == "OPPONENT_LEFT" then
-            print("RelayClient: Opponent left the room!")
-            self.paired = false
-            table.insert(messages, { type = "player_left", id = "opponent", disconnectReason = "opponent_left" })
-        elseif line:match("^ERROR:") then
-            local errorMsg = line:sub(7)
-            print("RelayClient: Server error: " .. errorMsg)
-        elseif line ~= "" then
-            local msg = Protocol.decode(line)
-            if msg then
-                 -- Handle server-assigned player ID
-                 if msg.type == Protocol.MSG.PLAYER_JOIN and not self.receivedPlayerId then
-                    self.playerId = msg.id
-                    self.receivedPlayerId = true
-                    if self.game then
-                        self.game.playerId = msg.id
-                        print("RelayClient: Server assigned player ID: " .. msg.id)
-                    end
-                elseif msg.id == self.playerId then
-                    -- print("RelayClient: Ignoring our own message")
-                else
-                     -- Translate protocol types (legacy compatibility)
-                    if msg.type == Protocol.MSG.PLAYER_JOIN then msg.type = "player_joined"
-                    elseif msg.type == Protocol.MSG.PLAYER_LEAVE then msg.type = "player_left"
-                    elseif msg.type == Protocol.MSG.PLAYER_MOVE then msg.type = "player_moved"
-                    elseif msg.type == Protocol.MSG.PET_MOVE then msg.type = "pet_moved"
-                    elseif msg.type == Protocol.MSG.STATE_SNAPSHOT or msg.type == "state" then msg.type = "state_snapshot"
-                    elseif msg.type == Protocol.MSG.EVENT_BOON_GRANTED then msg.type = "boon_granted"
-                    elseif msg.type == Protocol.MSG.EVENT_PLAYER_DIED then msg.type = "player_died"
-                    elseif msg.type == Protocol.MSG.EVENT_BOON_STOLEN then msg.type = "boon_stolen"
-                    elseif msg.type == Protocol.MSG.CYCLE_TIME then msg.type = "cycle"
-                    elseif msg.type == Protocol.MSG.EXTRACTION then msg.type = "extract"
-                    elseif msg.type == Protocol.MSG.PING then
-                        local pongData = Protocol.encode(Protocol.MSG.PONG, msg.timestamp)
-                        self:send(pongData)
-                    elseif msg.type == Protocol.MSG.PONG then
-                        if self.pendingPing and self.pendingPing.timestamp == msg.timestamp then
-                            local pingMs = (love.timer.getTime() - self.pendingPing.sent_time) * 1000
-                            self:updatePingMeasurement(pingMs)
-                            self.pendingPing = nil
-                        end
-                    elseif line:match("^npcs%|") or msg.type == "npcs" then
-                        -- Protocol.decode now handles npcs natively if structure matches
-                        -- But for raw string parsing fallback (if Protocol.decode didn't handle it fully):
-                        if not msg.npcs then
-                             -- (Logic similar to original manual parse if needed, but Protocol.lua handles it)
-                        end
-                    elseif line:match("^animals%|") or msg.type == "animals" then
-                         -- Protocol.lua handles it
-                    end
-
-                    -- Push valid message to result list
-                    if msg.type ~= Protocol.MSG.INPUT_SHOOT and msg.type ~= Protocol.MSG.INPUT_INTERACT then
-                        table.insert(messages, msg)
-                    end
+        if type(entry) == "table" then
+            -- Binary frame: decodes to the same message tables as a text line,
+            -- or to the text line it stands in for (relayed lines, PAIRED, ...)
+            local ok, msg, line = pcall(BinaryProtocol.decode, entry.frameType, entry.payload)
+            if not ok then
+                print("RelayClient: Malformed frame type " .. entry.frameType .. ": " .. tostring(msg))
+            elseif msg and msg.type == "state_delta" then
+                local state = self:_applyDelta(msg.delta)
+                if state then
+                    self:_handleMessage({ type = "state", state = state }, messages)
                 end
+            elseif msg then
+                self:_handleMessage(msg, messages)
+            elseif line then
+                self:_handleLine(line, messages)
             end
+        else
+            self:_handleLine(entry, messages)
         end
 
         -- Check Time Budget
@@ -223,15 +346,119 @@ function RelayClient:_processMessageQueue(timeBudget)
     return messages
 end
 
+-- Rebuilds the full state from a delta and acks it, so the relay diffs the
+-- next one against it. Without the baseline, asks for a full snapshot once.
+function RelayClient:_applyDelta(delta)
+    if self.awaitingFullSnapshot and delta.baselineSeq ~= 0 then
+        return nil -- Sent before the relay saw our Resync
+    end
+
+    local state = self.snapshots:apply(delta)
+    if not state then
+        print("RelayClient: Missing baseline " .. delta.baselineSeq .. " for snapshot " .. delta.seq .. ", resyncing")
+        self.snapshots:reset()
+        self.awaitingFullSnapshot = true
+        self:_write(BinaryProtocol.encodeResync())
+        return nil
+    end
+
+    self.awaitingFullSnapshot = false
+    self:_write(BinaryProtocol.encodeAck(delta.seq))
+    return state
+end
+
+function RelayClient:_handleLine(line, messages)
+    if line == "PAIRED" then
+        print("RelayClient: Opponent connected to relay!")
+        self.paired = true
+    elseif line == "OPPONENT_LEFT" then
+        print("RelayClient: Opponent left the room!")
+        self.paired = false
+        table.insert(messages, { type = "player_left", id = "opponent", disconnectReason = "opponent_left" })
+    elseif line:match("^ERROR:") then
+        local errorMsg = line:sub(7)
+        print("RelayClient: Server error: " .. errorMsg)
+    elseif line ~= "" then
+        local msg = Protocol.decode(line)
+        if msg then
+            self:_handleMessage(msg, messages)
+        end
+    end
+end
+
+function RelayClient:_handleMessage(msg, messages)
+    -- Handle server-assigned player ID
+    if msg.type == Protocol.MSG.PLAYER_JOIN and not self.receivedPlayerId then
+        self.playerId = msg.id
+        self.receivedPlayerId = true
+        if self.game then
+            self.game.playerId = msg.id
+            print("RelayClient: Server assigned player ID: " .. msg.id)
+        end
+    elseif msg.id == self.playerId then
+        -- print("RelayClient: Ignoring our own message")
+    else
+        -- Translate protocol types (legacy compatibility)
+        if msg.type == Protocol.MSG.PLAYER_JOIN then msg.type = "player_joined"
+        elseif msg.type == Protocol.MSG.PLAYER_LEAVE then msg.type = "player_left"
+        elseif msg.type == Protocol.MSG.PLAYER_MOVE then msg.type = "player_moved"
+        elseif msg.type == Protocol.MSG.PET_MOVE then msg.type = "pet_moved"
+        elseif msg.type == Protocol.MSG.STATE_SNAPSHOT or msg.type == "state" then msg.type = "state_snapshot"
+        elseif msg.type == Protocol.MSG.EVENT_BOON_GRANTED then msg.type = "boon_granted"
+        elseif msg.type == Protocol.MSG.EVENT_PLAYER_DIED then msg.type = "player_died"
+        elseif msg.type == Protocol.MSG.EVENT_BOON_STOLEN then msg.type = "boon_stolen"
+        elseif msg.type == Protocol.MSG.CYCLE_TIME then msg.type = "cycle"
+        elseif msg.type == Protocol.MSG.EXTRACTION then msg.type = "extract"
+        elseif msg.type == Protocol.MSG.PING then
+            local pongData = Protocol.encode(Protocol.MSG.PONG, msg.timestamp)
+            self:send(pongData)
+        elseif msg.type == Protocol.MSG.PONG then
+            if self.pendingPing and self.pendingPing.timestamp == msg.timestamp then
+                local pingMs = (love.timer.getTime() - self.pendingPing.sent_time) * 1000
+                self:updatePingMeasurement(pingMs)
+                self.pendingPing = nil
+            end
+        end
+
+        -- Push valid message to result list
+        if msg.type ~= Protocol.MSG.INPUT_SHOOT and msg.type ~= Protocol.MSG.INPUT_INTERACT then
+            table.insert(messages, msg)
+        end
+    end
+end
+
+-- Lines are framed once the relay switched to binary: shots, interacts and
+-- chunk requests as their own frames, anything else relayed as is
 function RelayClient:send(data)
-    if not self.connected or not self.tcp then return false end
+    if not self.connected or not self.tcp or self.handshaking then return false end
+    if self.binary then
+        return self:_write(BinaryProtocol.encodeLine(data))
+    end
     -- Relay protocol expects one message per line
-    local success, err = self.tcp:send(data .. "\n")
-    if not success then
-        print("RelayClient: Send failed: " .. tostring(err))
-        if err == "closed" then self.connected = false end
+    return self:_write(data .. "\n")
+end
+
+-- Queues bytes behind anything the socket hasn't taken yet, so a partial
+-- send never splits a line or frame
+function RelayClient:_write(bytes)
+    self.outgoing = self.outgoing .. bytes
+    return self:_flush()
+end
+
+function RelayClient:_flush()
+    local sent, err, lastSent = self.tcp:send(self.outgoing)
+    if sent then
+        self.outgoing = ""
+        return true
+    elseif err == "timeout" then
+        -- Socket buffer full; poll() sends the rest
+        self.outgoing = self.outgoing:sub((lastSent or 0) + 1)
+        return true
     end
-    return success
+    print("RelayClient: Send failed: " .. tostring(err))
+    self.outgoing = ""
+    if err == "closed" then self.connected = false end
+    return false
 end
 
 -- Compatible interface with ENet client
@@ -248,6 +475,10 @@ function RelayClient:sendPosition(direction, batch)
     self.lastSendTime = now
     self.lastPacketSentTime = now  -- Track for ping measurement
 
+    if self.binary then
+        return self:_write(BinaryProtocol.encodeMove(direction, batch))
+    end
+
     -- Build batched message: move|id|count|direction|dx1|dy1|sprint1|dt1|seq1|...
     local Protocol = require('src.net.protocol')
     local parts = {
@@ -372,9 +603,14 @@ function RelayClient:disconnect()
         self.tcp = nil
     end
     self.connected = false
+    self.connecting = false
     self.roomCode = nil
     self.paired = false
     self.pendingPing = nil
+    self.buffer = ""
+    self.outgoing = ""
+    self.handshaking = false
+    self.binary = false
     print("RelayClient: Disconnected")
 end
 
@@ -0,0 +1,73 @@
+-- src/net/snapshot_history.lua
+-- Client half of delta snapshots (binary protocol v2): keeps the snapshots
+-- the relay may still diff against and rebuilds full states from deltas.
+-- The server side is server/src/net/SnapshotHistory.ts.
+
+local BinaryProtocol = require("src.net.binary_protocol")
+
+local SnapshotHistory = {}
+SnapshotHistory.__index = SnapshotHistory
+
+-- Same window the server keeps unacknowledged snapshots for
+local MAX_SNAPSHOTS = 32
+
+function SnapshotHistory:new()
+    local self = setmetatable({}, SnapshotHistory)
+    self.snapshots = {} -- seq -> full state
+    self.seqs = {} -- Stored seqs, oldest first
+    return self
+end
+
+-- Applies a decoded StateDelta to the snapshot it names as its baseline.
+-- Returns the full state, or nil when that baseline isn't held any more;
+-- the caller then asks for a full snapshot (Resync).
+function SnapshotHistory:apply(delta)
+    local baseline = nil
+    if delta.baselineSeq ~= 0 then
+        baseline = self.snapshots[delta.baselineSeq]
+        if not baseline then return nil end
+    end
+
+    local state = {
+        cycleTimeRemaining = delta.cycleTimeRemaining,
+        cycleDuration = delta.cycleDuration,
+        deadlyEventActive = delta.deadlyEventActive,
+        extractionZones = delta.extractionZones,
+    }
+    -- Unchanged entities are shared with the baseline; nothing edits them in place
+    for _, kind in ipairs(BinaryProtocol.ENTITY_KINDS) do
+        local entities = {}
+        if baseline then
+            for id, entity in pairs(baseline[kind]) do
+                entities[id] = entity
+            end
+        end
+        for _, id in ipairs(delta.removed[kind]) do
+            entities[id] = nil
+        end
+        for id, entity in pairs(delta.changed[kind]) do
+            entities[id] = entity
+        end
+        state[kind] = entities
+    end
+
+    self:_store(delta.seq, state, delta.baselineSeq)
+    return state
+end
+
+-- The server's baseline only moves forward, so anything older than the one
+-- this delta used is never referenced again
+function SnapshotHistory:_store(seq, state, baselineSeq)
+    self.snapshots[seq] = state
+    table.insert(self.seqs, seq)
+    while #self.seqs > 0 and (#self.seqs > MAX_SNAPSHOTS or self.seqs[1] < baselineSeq) do
+        self.snapshots[table.remove(self.seqs, 1)] = nil
+    end
+end
+
+function SnapshotHistory:reset()
+    self.snapshots = {}
+    self.seqs = {}
+end
+
+return SnapshotHistory
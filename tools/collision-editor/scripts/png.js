@@ -0,0 +1,127 @@
+import zlib from 'zlib';
+
+// Minimal PNG reader for the asset scripts: non-interlaced images of any
+// colour type and bit depth, returned as 8-bit RGBA.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+export function isPng(buffer) {
+    return buffer.length >= 8 && buffer.subarray(0, 8).equals(SIGNATURE);
+}
+
+export function decodePng(buffer) {
+    if (!isPng(buffer)) throw new Error('Not a PNG');
+
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    let palette = null;
+    let transparency = null;
+    const idat = [];
+
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += 12 + length;
+
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            bitDepth = data[8];
+            colorType = data[9];
+            interlace = data[12];
+        } else if (type === 'PLTE') {
+            palette = data;
+        } else if (type === 'tRNS') {
+            transparency = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (interlace) throw new Error('Interlaced PNGs are not supported');
+    const channels = CHANNELS[colorType];
+    if (!channels) throw new Error(`Unknown colour type ${colorType}`);
+
+    const bitsPerPixel = channels * bitDepth;
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+    const bpp = Math.max(1, bitsPerPixel >> 3); // Filter distance in bytes
+    const raw = zlib.inflateSync(Buffer.concat(idat));
+    const rgba = new Uint8Array(width * height * 4);
+
+    let prev = new Uint8Array(stride);
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = Uint8Array.from(raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1)));
+        unfilter(filter, line, prev, bpp);
+
+        for (let x = 0; x < width; x++) {
+            const out = (y * width + x) * 4;
+            const sample = c => readSample(line, x * channels + c, bitDepth);
+            // Scale samples to 0-255; 16-bit keeps the high byte
+            const scale = v => bitDepth >= 8 ? v : Math.round(v * 255 / ((1 << bitDepth) - 1));
+
+            if (colorType === 3) {
+                const i = sample(0);
+                rgba[out] = palette ? palette[i * 3] : 0;
+                rgba[out + 1] = palette ? palette[i * 3 + 1] : 0;
+                rgba[out + 2] = palette ? palette[i * 3 + 2] : 0;
+                rgba[out + 3] = transparency && i < transparency.length ? transparency[i] : 255;
+            } else if (colorType === 0 || colorType === 4) {
+                const v = sample(0);
+                rgba[out] = rgba[out + 1] = rgba[out + 2] = scale(v);
+                if (colorType === 4) rgba[out + 3] = sample(1);
+                else rgba[out + 3] = transparency && v === readTransparentKey(transparency, 0, bitDepth) ? 0 : 255;
+            } else {
+                rgba[out] = sample(0);
+                rgba[out + 1] = sample(1);
+                rgba[out + 2] = sample(2);
+                if (colorType === 6) rgba[out + 3] = sample(3);
+                else rgba[out + 3] = transparency &&
+                    [0, 1, 2].every(c => sample(c) === readTransparentKey(transparency, c, bitDepth)) ? 0 : 255;
+            }
+        }
+        prev = line;
+    }
+
+    return { width, height, data: rgba };
+}
+
+function unfilter(filter, line, prev, bpp) {
+    for (let i = 0; i < line.length; i++) {
+        const left = i >= bpp ? line[i - bpp] : 0;
+        const up = prev[i];
+        const upLeft = i >= bpp ? prev[i - bpp] : 0;
+        switch (filter) {
+            case 1: line[i] = (line[i] + left) & 0xff; break;
+            case 2: line[i] = (line[i] + up) & 0xff; break;
+            case 3: line[i] = (line[i] + ((left + up) >> 1)) & 0xff; break;
+            case 4: line[i] = (line[i] + paeth(left, up, upLeft)) & 0xff; break;
+        }
+    }
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+// The index'th sample in a line, as 8 bits or fewer
+function readSample(line, index, bitDepth) {
+    if (bitDepth === 8) return line[index];
+    if (bitDepth === 16) return line[index * 2];
+    const bit = index * bitDepth;
+    return (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+}
+
+// tRNS colour keys are 16-bit per channel
+function readTransparentKey(transparency, channel, bitDepth) {
+    const value = transparency.readUInt16BE(channel * 2);
+    return bitDepth === 16 ? value >> 8 : value;
+}
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,29 +10,149 @@ const __dirname = path.dirname(__filename);
 // Adjust paths - we are in /scripts/, assets are linked in /public/project-assets/
 const assetsDir = path.resolve(__dirname, '../public/project-assets/img');
 const outputFile = path.resolve(__dirname, '../public/image-list.json');
+const masksFile = process.env.COLLISION_MASKS_PATH || path.resolve(__dirname, '../../../server/collision-masks.json');
 
-console.log(`Scanning for images in: ${assetsDir}`);
+const watchMode = process.argv.includes('--watch');
+const RESCAN_DELAY_MS = 300; // Editors save in bursts; wait for them to settle
+
+// Width and height from the file header (PNG and GIF), or null
+function imageSize(buffer) {
+    if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    return null;
+}
+
+// The .aseprite/.ase file next to an image, by base name
+function findAseprite(filePath) {
+    const base = filePath.slice(0, -path.extname(filePath).length);
+    for (const ext of ['.aseprite', '.ase']) {
+        if (fs.existsSync(base + ext)) return base + ext;
+    }
+    return null;
+}
+
+// Canvas size of an Aseprite file: one frame of the exported sheet
+function asepriteFrameSize(filePath) {
+    const header = Buffer.alloc(12);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        fs.readSync(fd, header, 0, 12, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (header.readUInt16LE(4) !== 0xa5e0) return null; // Magic number
+    return { width: header.readUInt16LE(8), height: header.readUInt16LE(10) };
+}
+
+// Frame grid: the Aseprite canvas if there is one, else square frames in a horizontal strip
+function detectFrames(size, asepritePath) {
+    const frame = asepritePath ? asepriteFrameSize(asepritePath) : null;
+    if (frame && frame.width > 0 && frame.height > 0 &&
+        size.width % frame.width === 0 && size.height % frame.height === 0) {
+        return {
+            frameWidth: frame.width,
+            frameHeight: frame.height,
+            frameCount: (size.width / frame.width) * (size.height / frame.height),
+            frameSource: 'aseprite',
+        };
+    }
+    if (size.height > 0 && size.width > size.height && size.width % size.height === 0) {
+        return { frameWidth: size.height, frameHeight: size.height, frameCount: size.width / size.height, frameSource: 'strip' };
+    }
+    return { frameWidth: size.width, frameHeight: size.height, frameCount: 1, frameSource: 'single' };
+}
+
+// sprites/<category>/..., otherwise the top folder; loose images (trees) are objects
+function categoryOf(relPath) {
+    const parts = relPath.split(path.sep);
+    if (parts[0] === 'sprites' && parts.length > 2) return parts[1];
+    return parts.length > 1 ? parts[0] : 'objects';
+}
+
+function loadMaskKeys() {
+    try {
+        return new Set(Object.keys(JSON.parse(fs.readFileSync(masksFile, 'utf8')).masks || {}));
+    } catch {
+        return new Set();
+    }
+}
+
+function describe(filePath, maskKeys) {
+    // Get relative path from assetsDir
+    const relPath = path.relative(assetsDir, filePath);
+    const buffer = fs.readFileSync(filePath);
+    const size = imageSize(buffer);
+    const asepritePath = findAseprite(filePath);
+    const urlPath = relPath.split(path.sep).join('/');
+
+    return {
+        name: urlPath,
+        path: `/project-assets/img/${urlPath}`,
+        category: categoryOf(relPath),
+        width: size ? size.width : null,
+        height: size ? size.height : null,
+        ...(size ? detectFrames(size, asepritePath) : {}),
+        aseprite: asepritePath ? `assets/img/${path.relative(assetsDir, asepritePath).split(path.sep).join('/')}` : null,
+        hash: crypto.createHash('sha1').update(buffer).digest('hex'),
+        hasMask: maskKeys.has(`assets/img/${urlPath}`),
+    };
+}
 
 function walkSync(dir, filelist = []) {
-    const files = fs.readdirSync(dir);
+    const files = fs.readdirSync(dir).sort();
     files.forEach(function (file) {
         const filePath = path.join(dir, file);
         if (fs.statSync(filePath).isDirectory()) {
             filelist = walkSync(filePath, filelist);
-        } else {
-            if (/\.(png|jpe?g|gif|webp)$/i.test(file)) {
-                // Get relative path from assetsDir
-                const relPath = path.relative(assetsDir, filePath);
-                filelist.push({
-                    name: relPath,
-                    path: `/project-assets/img/${relPath}`
-                });
-            }
+        } else if (/\.(png|jpe?g|gif|webp)$/i.test(file)) {
+            filelist.push(filePath);
         }
     });
     return filelist;
 }
 
+// Rewrite the list; returns false when nothing changed
+function scan() {
+    const maskKeys = loadMaskKeys();
+    const images = walkSync(assetsDir).map(filePath => describe(filePath, maskKeys));
+    const json = JSON.stringify(images, null, 2);
+    if (fs.existsSync(outputFile) && fs.readFileSync(outputFile, 'utf8') === json) return false;
+    fs.writeFileSync(outputFile, json);
+    const sheets = images.filter(img => img.frameCount > 1).length;
+    const missing = images.filter(img => !img.hasMask).length;
+    console.log(`Generated list with ${images.length} images (${sheets} sheets, ${missing} without masks) at ${outputFile}`);
+    return true;
+}
+
+function watch() {
+    let timer = null;
+    const rescan = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            try {
+                scan();
+            } catch (err) {
+                console.error('Error scanning images:', err);
+            }
+        }, RESCAN_DELAY_MS);
+    };
+
+    // The assets folder is a symlink; watch where it points
+    fs.watch(fs.realpathSync(assetsDir), { recursive: true }, rescan);
+    // The manifest is replaced by rename on save, so watch its folder
+    const masksName = path.basename(masksFile);
+    fs.watch(path.dirname(masksFile), (_event, file) => {
+        if (file === masksName) rescan();
+    });
+    console.log(`Watching ${assetsDir} and ${masksFile} for changes`);
+}
+
+console.log(`Scanning for images in: ${assetsDir}`);
+
 try {
     if (!fs.existsSync(assetsDir)) {
         console.error(`Directory not found: ${assetsDir}`);
@@ -39,10 +160,8 @@ try {
         process.exit(0);
     }
 
-    const images = walkSync(assetsDir);
-
-    fs.writeFileSync(outputFile, JSON.stringify(images, null, 2));
-    console.log(`Generated list with ${images.length} images (recursive) at ${outputFile}`);
+    if (!scan()) console.log(`${outputFile} is up to date`);
+    if (watchMode) watch();
 
 } catch (err) {
     console.error('Error scanning images:', err);
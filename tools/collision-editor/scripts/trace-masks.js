@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { decodePng, isPng } from './png.js';
+import { DEFAULT_THRESHOLD, DEFAULT_TOLERANCE, traceOutline } from '../src/trace.js';
+
+// Pre-generates collision masks for every asset in image-list.json by tracing
+// sprite alpha. The result is a starting point to refine in the editor.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const listFile = path.resolve(__dirname, '../public/image-list.json');
+const publicDir = path.resolve(__dirname, '../public');
+const masksFile = process.env.COLLISION_MASKS_PATH || path.resolve(__dirname, '../../../server/collision-masks.json');
+
+const USAGE = `Usage: node scripts/trace-masks.js [options] [filter]
+
+Traces every PNG in image-list.json whose name contains [filter].
+
+  --force          Re-trace sprites that already have a mask (replaces it)
+  --frame WxH      Slice matching images into WxH frames and trace each one
+                   (default: the frame grid scan-images.js detected)
+  --tolerance N    Simplify outlines to within N pixels (default ${DEFAULT_TOLERANCE})
+  --threshold N    Alpha from 0-255 that counts as solid (default ${DEFAULT_THRESHOLD})
+  --dry-run        Report what would change without writing`;
+
+function parseArgs(argv) {
+    const options = { force: false, dryRun: false, frame: null, tolerance: DEFAULT_TOLERANCE, threshold: DEFAULT_THRESHOLD, filter: '' };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--force') options.force = true;
+        else if (arg === '--dry-run') options.dryRun = true;
+        else if (arg === '--tolerance') options.tolerance = Number(argv[++i]);
+        else if (arg === '--threshold') options.threshold = Number(argv[++i]);
+        else if (arg === '--frame') {
+            const match = /^(\d+)x(\d+)$/.exec(argv[++i] || '');
+            if (!match) throw new Error('--frame expects WxH, e.g. 16x16');
+            options.frame = { w: Number(match[1]), h: Number(match[2]) };
+        } else if (arg === '--help' || arg === '-h') {
+            console.log(USAGE);
+            process.exit(0);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.filter = arg;
+        }
+    }
+    if (!(options.tolerance >= 0)) throw new Error('--tolerance must be a number >= 0');
+    if (!(options.threshold >= 0 && options.threshold <= 255)) throw new Error('--threshold must be 0-255');
+    return options;
+}
+
+function solid(points) {
+    return { type: 'polygon', name: 'solid', points };
+}
+
+// One traced mask, or null when the image (or every frame) is fully transparent
+function traceImage(image, frame, options) {
+    const trace = region => traceOutline(image, { ...region, tolerance: options.tolerance, threshold: options.threshold });
+
+    if (!frame || (frame.w >= image.width && frame.h >= image.height)) {
+        const points = trace({});
+        return points && { shapes: [solid(points)] };
+    }
+
+    const { w, h } = frame;
+    const columns = Math.floor(image.width / w);
+    const rows = Math.floor(image.height / h);
+    const frames = {};
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < columns; col++) {
+            const points = trace({ x: col * w, y: row * h, w, h });
+            if (points) frames[row * columns + col + 1] = [solid(points)];
+        }
+    }
+    if (Object.keys(frames).length === 0) return null;
+    return { frameWidth: w, frameHeight: h, shapes: [], frames };
+}
+
+try {
+    const options = parseArgs(process.argv.slice(2));
+    const images = JSON.parse(fs.readFileSync(listFile, 'utf8'));
+    const manifest = fs.existsSync(masksFile)
+        ? JSON.parse(fs.readFileSync(masksFile, 'utf8'))
+        : { version: 1, masks: {} };
+
+    let traced = 0, kept = 0, skipped = 0;
+    for (const img of images) {
+        if (!img.name.includes(options.filter)) continue;
+        // Served paths start with /project-assets, a link to the repo's assets/
+        const spritePath = img.path.replace(/^\/project-assets\//, 'assets/');
+        if (manifest.masks[spritePath] && !options.force) {
+            kept++;
+            continue;
+        }
+
+        const buffer = fs.readFileSync(path.join(publicDir, img.path));
+        if (!isPng(buffer)) {
+            skipped++;
+            continue;
+        }
+
+        let mask;
+        try {
+            const detected = img.frameCount > 1 ? { w: img.frameWidth, h: img.frameHeight } : null;
+            mask = traceImage(decodePng(buffer), options.frame || detected, options);
+        } catch (err) {
+            console.warn(`Skipping ${img.name}: ${err.message}`);
+            skipped++;
+            continue;
+        }
+        if (!mask) {
+            console.warn(`Skipping ${img.name}: nothing opaque to trace`);
+            skipped++;
+            continue;
+        }
+
+        manifest.masks[spritePath] = mask;
+        traced++;
+        const frames = mask.frames ? `${Object.keys(mask.frames).length} frames` : `${mask.shapes[0].points.length} points`;
+        console.log(`Traced ${img.name} (${frames})`);
+    }
+
+    if (!options.dryRun && traced > 0) {
+        // Write then rename, like the editor's save
+        const tmp = `${masksFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n');
+        fs.renameSync(tmp, masksFile);
+    }
+    console.log(`${options.dryRun ? 'Would trace' : 'Traced'} ${traced} images, kept ${kept} existing masks, skipped ${skipped} (not PNG or empty)`);
+    if (!options.dryRun && traced > 0) console.log(`Wrote ${masksFile}`);
+
+} catch (err) {
+    console.error('Error tracing masks:', err.message);
+    process.exit(1);
+}
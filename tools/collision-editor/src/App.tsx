@@ -1,14 +1,44 @@
 import React, { useState, useRef, useEffect, useMemo } from 'react';
 import './index.css';
+import {
+  type EditorMask, type MaskBlocks, type MasksManifest, type Point, type Shape,
+  SHAPE_NAMES, emptyMask, frameCount, frameOrigin, getMask, loadManifest, saveSpriteMask, spritePathFor, toSpriteMask,
+} from './masks';
+import { DEFAULT_TOLERANCE, traceOutline } from './trace';
+import { useHistory } from './useHistory';
 
-interface Point {
-  x: number;
-  y: number;
-}
-
+// Written by scripts/scan-images.js
 interface ImageAsset {
   name: string;
   path: string;
+  category?: string; // animals, humans, monsters, objects, tileset
+  width?: number | null;
+  height?: number | null;
+  frameWidth?: number;
+  frameHeight?: number;
+  frameCount?: number;
+  aseprite?: string | null;
+  hash?: string;
+  hasMask?: boolean;
+}
+
+// What is being dragged on the selected shape
+type Handle =
+  | { kind: 'point'; index: number }
+  | { kind: 'center' }
+  | { kind: 'radius' }
+  | { kind: 'corner'; corner: 'tl' | 'br' }
+  | { kind: 'move'; from: Point; shape: Shape };
+
+const BLOCKS_COLORS: { [blocks in MaskBlocks]: string } = {
+  all: '#3b82f6',
+  projectiles: '#a855f7',
+  none: '#eab308',
+};
+
+function moveShape(shape: Shape, dx: number, dy: number): Shape {
+  if (shape.type === 'polygon') return { ...shape, points: shape.points.map(p => ({ x: p.x + dx, y: p.y + dy })) };
+  return { ...shape, x: shape.x + dx, y: shape.y + dy };
 }
 
 function App() {
@@ -16,8 +46,21 @@ function App() {
   const [searchQuery, setSearchQuery] = useState('');
   const [imageSrc, setImageSrc] = useState<string | null>(null);
   const [imgDims, setImgDims] = useState<{ w: number; h: number } | null>(null);
-  const [points, setPoints] = useState<Point[]>([]);
-  const [draggedPointIndex, setDraggedPointIndex] = useState<number | null>(null);
+  const [pixels, setPixels] = useState<ImageData | null>(null); // For auto trace
+
+  const history = useHistory<EditorMask | null>(null);
+  const mask = history.present;
+  const [savedMask, setSavedMask] = useState<EditorMask | null>(null); // Mask as loaded/saved, to spot edits
+  const [frame, setFrame] = useState<number | null>(null); // null: shapes shared by every frame
+  const [selected, setSelected] = useState<number | null>(null);
+  const [drag, setDrag] = useState<{ handle: Handle; before: EditorMask } | null>(null);
+  const [snap, setSnap] = useState(true);
+  const [tolerance, setTolerance] = useState(DEFAULT_TOLERANCE);
+
+  const [manifest, setManifest] = useState<MasksManifest | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [missingOnly, setMissingOnly] = useState(false);
+  const [category, setCategory] = useState<string | null>(null);
 
   const [scale, setScale] = useState(1);
   const [pan, setPan] = useState({ x: 0, y: 0 });
@@ -27,18 +70,155 @@ function App() {
   const svgRef = useRef<SVGSVGElement>(null);
   const workspaceRef = useRef<HTMLDivElement>(null);
 
+  const { undo, redo } = history;
+
   useEffect(() => {
     fetch('/image-list.json')
       .then(res => res.json())
       .then(data => setImageList(data))
       .catch(err => console.error("Failed to load image list", err));
+    loadManifest()
+      .then(data => setManifest(data))
+      .catch(err => console.error("Failed to load collision masks", err));
   }, []);
 
+  useEffect(() => {
+    const onKeyDown = (e: KeyboardEvent) => {
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+      if (!(e.ctrlKey || e.metaKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo(); else undo();
+      } else if (key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo]);
+
+  const hasMask = (path: string) => {
+    const spritePath = spritePathFor(path);
+    return !!(manifest && spritePath && manifest.masks[spritePath]);
+  };
+
+  const missingCount = useMemo(() => {
+    if (!manifest) return 0;
+    return imageList.filter(img => {
+      const spritePath = spritePathFor(img.path);
+      return !spritePath || !manifest.masks[spritePath];
+    }).length;
+  }, [imageList, manifest]);
+
+  const categories = useMemo(() => {
+    return [...new Set(imageList.map(img => img.category).filter((c): c is string => !!c))].sort();
+  }, [imageList]);
+
   const filteredAssets = useMemo(() => {
-    return imageList.filter(img =>
-      img.name.toLowerCase().includes(searchQuery.toLowerCase())
-    );
-  }, [imageList, searchQuery]);
+    return imageList.filter(img => {
+      if (!img.name.toLowerCase().includes(searchQuery.toLowerCase())) return false;
+      if (category && img.category !== category) return false;
+      if (!missingOnly || !manifest) return true;
+      const spritePath = spritePathFor(img.path);
+      return !spritePath || !manifest.masks[spritePath];
+    });
+  }, [imageList, searchQuery, category, missingOnly, manifest]);
+
+  const currentSprite = imageSrc ? spritePathFor(imageSrc) : null;
+  const dirty = mask !== savedMask;
+  const currentSaved = !!(manifest && currentSprite && manifest.masks[currentSprite]) && !dirty;
+
+  // The shapes being edited: the shared ones, or the selected frame's own
+  const frameShapes = mask && frame !== null ? mask.frames[frame] : undefined;
+  const shapes = mask ? (frame === null ? mask.shapes : frameShapes || []) : [];
+  const inherited = mask && frame !== null && !frameShapes?.length ? mask.shapes : []; // Shown greyed out
+  const selectedShape = selected !== null ? shapes[selected] : undefined;
+
+  // Shapes are in frame coordinates; sheets show one frame at a time
+  const frames = mask && imgDims ? frameCount(mask, imgDims.w, imgDims.h) : 1;
+  const view = mask && imgDims
+    ? { ...frameOrigin(mask, frame ?? 1, imgDims.w), w: mask.frameWidth, h: mask.frameHeight }
+    : null;
+
+  const snapValue = (v: number) => snap ? Math.round(v) : Math.round(v * 10) / 10;
+
+  const setShapes = (next: Shape[], record = true) => {
+    if (!mask) return;
+    const nextMask = frame === null
+      ? { ...mask, shapes: next }
+      : { ...mask, frames: { ...mask.frames, [frame]: next } };
+    if (record) history.push(nextMask); else history.replace(nextMask);
+  };
+
+  const updateShape = (index: number, shape: Shape, record = true) => {
+    setShapes(shapes.map((s, i) => i === index ? shape : s), record);
+  };
+
+  const addShape = (type: Shape['type']) => {
+    if (!view) return;
+    const { w, h } = view;
+    const cx = snapValue(w / 2);
+    const cy = snapValue(h / 2);
+    let shape: Shape;
+    if (type === 'circle') {
+      shape = { type, name: 'solid', x: cx, y: cy, r: Math.max(1, snapValue(Math.min(w, h) / 4)) };
+    } else if (type === 'rect') {
+      shape = { type, name: 'solid', x: snapValue(w / 4), y: snapValue(h / 4), w: Math.max(1, snapValue(w / 2)), h: Math.max(1, snapValue(h / 2)) };
+    } else {
+      shape = {
+        type, name: 'solid', points: [
+          { x: 1, y: 1 },
+          { x: w - 1, y: 1 },
+          { x: w - 1, y: h - 1 },
+          { x: 1, y: h - 1 },
+        ],
+      };
+    }
+    setShapes([...shapes, shape]);
+    setSelected(shapes.length);
+  };
+
+  // Outline the opaque pixels of the current frame. Re-tracing replaces the
+  // selected polygon, so the tolerance can be tuned on the same shape.
+  const autoTrace = () => {
+    if (!pixels || !view) return;
+    const points = traceOutline(pixels, { x: view.x, y: view.y, w: view.w, h: view.h, tolerance });
+    if (!points) {
+      alert('Nothing opaque to trace');
+      return;
+    }
+    if (selected !== null && selectedShape?.type === 'polygon') {
+      updateShape(selected, { ...selectedShape, points });
+    } else {
+      setShapes([...shapes, { type: 'polygon', name: 'solid', points }]);
+      setSelected(shapes.length);
+    }
+  };
+
+  const removeShape = (index: number) => {
+    setShapes(shapes.filter((_, i) => i !== index));
+    setSelected(null);
+  };
+
+  const setFrameGrid = (frameWidth: number, frameHeight: number) => {
+    if (!mask || !imgDims) return;
+    const next = {
+      ...mask,
+      frameWidth: Math.max(1, Math.min(frameWidth || imgDims.w, imgDims.w)),
+      frameHeight: Math.max(1, Math.min(frameHeight || imgDims.h, imgDims.h)),
+    };
+    history.push(next);
+    if (frame !== null && frame > frameCount(next, imgDims.w, imgDims.h)) setFrame(null);
+    setSelected(null);
+    requestAnimationFrame(() => resetView(next.frameWidth, next.frameHeight));
+  };
+
+  const selectFrame = (next: number | null) => {
+    setFrame(next);
+    setSelected(null);
+  };
 
   const resetView = (w: number, h: number) => {
     if (!workspaceRef.current) return;
@@ -56,18 +236,45 @@ function App() {
   };
 
   const handleImageSelect = (path: string) => {
+    if (dirty && !confirm('Discard unsaved mask changes?')) return;
     const img = new Image();
     img.onload = () => {
-      setImgDims({ w: img.naturalWidth, h: img.naturalHeight });
+      const w = img.naturalWidth;
+      const h = img.naturalHeight;
+      setImgDims({ w, h });
       setImageSrc(path);
-      setPoints([
-        { x: 1, y: 1 },
-        { x: img.naturalWidth - 1, y: 1 },
-        { x: img.naturalWidth - 1, y: img.naturalHeight - 1 },
-        { x: 1, y: img.naturalHeight - 1 },
-      ]);
+      const canvas = document.createElement('canvas');
+      canvas.width = w;
+      canvas.height = h;
+      const ctx = canvas.getContext('2d');
+      ctx?.drawImage(img, 0, 0);
+      setPixels(ctx ? ctx.getImageData(0, 0, w, h) : null);
+      // Start from the saved mask if there is one, otherwise a polygon around
+      // the whole image (or first frame, for sheets the scan found)
+      const spritePath = spritePathFor(path);
+      const saved = manifest && spritePath ? getMask(manifest, spritePath, w, h) : null;
+      const asset = imageList.find(a => a.path === path);
+      const fw = asset?.frameWidth || w;
+      const fh = asset?.frameHeight || h;
+      const initial = saved || {
+        ...emptyMask(w, h),
+        frameWidth: fw,
+        frameHeight: fh,
+        shapes: [{
+          type: 'polygon', name: 'solid', points: [
+            { x: 1, y: 1 },
+            { x: fw - 1, y: 1 },
+            { x: fw - 1, y: fh - 1 },
+            { x: 1, y: fh - 1 },
+          ],
+        }],
+      } satisfies EditorMask;
+      history.reset(initial);
+      setSavedMask(initial);
+      setFrame(null);
+      setSelected(initial.shapes.length > 0 ? 0 : null);
       // Use requestAnimationFrame for cleaner transition
-      requestAnimationFrame(() => resetView(img.naturalWidth, img.naturalHeight));
+      requestAnimationFrame(() => resetView(initial.frameWidth, initial.frameHeight));
     };
     img.src = path;
   };
@@ -90,23 +297,70 @@ function App() {
     };
   };
 
+  // Snapped mouse position, kept inside the frame
+  const getFramePos = (e: React.MouseEvent) => {
+    const { x, y } = getMousePos(e);
+    return {
+      x: Math.max(0, Math.min(snapValue(x), view?.w || 0)),
+      y: Math.max(0, Math.min(snapValue(y), view?.h || 0)),
+    };
+  };
+
+  const startDrag = (handle: Handle, e: React.MouseEvent) => {
+    e.stopPropagation();
+    if (mask) setDrag({ handle, before: mask });
+  };
+
+  const handleShapeMouseDown = (index: number, e: React.MouseEvent) => {
+    if (e.button !== 0) return;
+    e.stopPropagation();
+    setSelected(index);
+    startDrag({ kind: 'move', from: getFramePos(e), shape: shapes[index] }, e);
+  };
+
   const handlePointMouseDown = (index: number, e: React.MouseEvent) => {
     e.stopPropagation();
+    if (selected === null || selectedShape?.type !== 'polygon') return;
     if (e.button === 2) {
       e.preventDefault();
-      if (points.length > 3) setPoints(points.filter((_, i) => i !== index));
+      const points = selectedShape.points;
+      if (points.length > 3) updateShape(selected, { ...selectedShape, points: points.filter((_, i) => i !== index) });
       return;
     }
-    setDraggedPointIndex(index);
+    startDrag({ kind: 'point', index }, e);
   };
 
   const handleLineClick = (index: number, e: React.MouseEvent) => {
     e.stopPropagation();
-    const { x, y } = getMousePos(e);
-    const newPoints = [...points];
-    newPoints.splice(index + 1, 0, { x: Math.round(x), y: Math.round(y) });
-    setPoints(newPoints);
-    setDraggedPointIndex(index + 1);
+    if (!mask || selected === null || selectedShape?.type !== 'polygon') return;
+    const points = [...selectedShape.points];
+    points.splice(index + 1, 0, getFramePos(e));
+    updateShape(selected, { ...selectedShape, points }, false); // Recorded with the drag that follows
+    setDrag({ handle: { kind: 'point', index: index + 1 }, before: mask });
+  };
+
+  const dragShape = (shape: Shape, handle: Handle, p: Point): Shape => {
+    switch (handle.kind) {
+      case 'move':
+        return moveShape(handle.shape, p.x - handle.from.x, p.y - handle.from.y);
+      case 'point':
+        return shape.type === 'polygon' ? { ...shape, points: shape.points.map((q, i) => i === handle.index ? p : q) } : shape;
+      case 'center':
+        return shape.type === 'circle' ? { ...shape, x: p.x, y: p.y } : shape;
+      case 'radius':
+        return shape.type === 'circle' ? { ...shape, r: Math.max(0.5, snapValue(Math.hypot(p.x - shape.x, p.y - shape.y))) } : shape;
+      case 'corner':
+        if (shape.type !== 'rect') return shape;
+        if (handle.corner === 'br') return { ...shape, w: Math.max(1, p.x - shape.x), h: Math.max(1, p.y - shape.y) };
+        {
+          // Keep the bottom-right corner where it is
+          const right = shape.x + shape.w;
+          const bottom = shape.y + shape.h;
+          const x = Math.min(p.x, right - 1);
+          const y = Math.min(p.y, bottom - 1);
+          return { ...shape, x, y, w: right - x, h: bottom - y };
+        }
+    }
   };
 
   const handleMouseDownMain = (e: React.MouseEvent) => {
@@ -117,14 +371,8 @@ function App() {
   };
 
   const handleMouseMove = (e: React.MouseEvent) => {
-    if (draggedPointIndex !== null) {
-      const { x, y } = getMousePos(e);
-      const newPoints = [...points];
-      newPoints[draggedPointIndex] = {
-        x: Math.max(0, Math.min(Math.round(x), imgDims?.w || 0)),
-        y: Math.max(0, Math.min(Math.round(y), imgDims?.h || 0))
-      };
-      setPoints(newPoints);
+    if (drag && selected !== null && selectedShape) {
+      updateShape(selected, dragShape(selectedShape, drag.handle, getFramePos(e)), false);
     } else if (isPanning) {
       const dx = e.clientX - lastMousePos.x;
       const dy = e.clientY - lastMousePos.y;
@@ -134,7 +382,8 @@ function App() {
   };
 
   const handleMouseUp = () => {
-    setDraggedPointIndex(null);
+    if (drag) history.record(drag.before); // The whole drag is one undo step
+    setDrag(null);
     setIsPanning(false);
   };
 
@@ -144,12 +393,64 @@ function App() {
     setScale(Math.max(0.01, Math.min(100, scale * factor)));
   };
 
+  const saveMask = () => {
+    if (!manifest || !currentSprite || !mask || !imgDims) return;
+    setSaving(true);
+    saveSpriteMask(currentSprite, toSpriteMask(mask, imgDims.w, imgDims.h))
+      .then(next => {
+        setManifest(next);
+        setSavedMask(mask);
+      })
+      .catch(err => alert(err.message))
+      .finally(() => setSaving(false));
+  };
+
   const copyToClipboard = () => {
-    navigator.clipboard.writeText(JSON.stringify(points, null, 2))
-      .then(() => alert('Points copied!'))
+    if (!mask || !imgDims) return;
+    navigator.clipboard.writeText(JSON.stringify(toSpriteMask(mask, imgDims.w, imgDims.h), null, 2))
+      .then(() => alert('Mask copied!'))
       .catch(err => console.error('Failed to copy', err));
   };
 
+  const renderShape = (shape: Shape, index: number, ghost: boolean) => {
+    const color = BLOCKS_COLORS[shape.blocks || 'all'];
+    const isSelected = !ghost && index === selected;
+    const props = {
+      fill: ghost ? 'rgba(255, 255, 255, 0.05)' : `${color}${isSelected ? '40' : '26'}`,
+      stroke: ghost ? 'rgba(255, 255, 255, 0.3)' : color,
+      strokeWidth: (isSelected ? 2 : 1) / scale,
+      strokeDasharray: shape.blocks === 'none' || ghost ? `${4 / scale} ${3 / scale}` : undefined,
+      className: ghost ? 'pointer-events-none' : 'cursor-move pointer-events-auto',
+      onMouseDown: ghost ? undefined : (e: React.MouseEvent) => handleShapeMouseDown(index, e),
+    };
+    const key = `${ghost ? 'g' : 's'}-${index}`;
+    if (shape.type === 'circle') return <circle key={key} cx={shape.x} cy={shape.y} r={shape.r} {...props} />;
+    if (shape.type === 'rect') return <rect key={key} x={shape.x} y={shape.y} width={shape.w} height={shape.h} {...props} />;
+    return <polygon key={key} points={shape.points.map(p => `${p.x},${p.y}`).join(' ')} {...props} />;
+  };
+
+  const renderHandle = (key: string, p: Point, handle: Handle, active: boolean, onMouseDown?: (e: React.MouseEvent) => void) => (
+    <g
+      key={key}
+      onMouseDown={onMouseDown || (e => startDrag(handle, e))}
+      className="cursor-move pointer-events-auto"
+    >
+      <circle cx={p.x} cy={p.y} r={10 / scale} fill="transparent" />
+      <circle
+        cx={p.x} cy={p.y}
+        r={4 / scale}
+        fill={active ? '#f59e0b' : 'rgba(255, 255, 255, 0.6)'}
+        stroke={active ? '#f59e0b' : 'white'}
+        strokeWidth={1 / scale}
+      />
+      {/* Precision dot */}
+      <circle cx={p.x} cy={p.y} r={0.5 / scale} fill="black" />
+    </g>
+  );
+
+  const isDragging = (kind: Handle['kind'], match: (handle: Handle) => boolean = () => true) =>
+    !!drag && drag.handle.kind === kind && match(drag.handle);
+
   return (
     <div className="flex h-screen w-screen bg-[#020202] text-gray-100 font-sans overflow-hidden" onContextMenu={e => e.preventDefault()}>
       {/* Sidebar: Strictly constrained width */}
@@ -165,6 +466,19 @@ function App() {
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
           />
+          {categories.length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-3">
+              {[null, ...categories].map(c => (
+                <button
+                  key={c ?? 'all'}
+                  onClick={() => setCategory(c)}
+                  className={`px-2 py-1 rounded-md text-[9px] font-bold uppercase tracking-wider transition-colors ${category === c ? 'bg-blue-600 text-white' : 'bg-black/40 text-gray-500 hover:text-gray-300'}`}
+                >
+                  {c ?? 'All'}
+                </button>
+              ))}
+            </div>
+          )}
           <label className="block w-full text-center cursor-pointer px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg text-[10px] font-black tracking-widest transition-all active:scale-95 uppercase">
             Upload Custom
             <input type="file" onChange={handleImageUpload} className="hidden" accept="image/*" />
@@ -172,9 +486,15 @@ function App() {
         </div>
 
         <div className="flex-1 overflow-y-auto p-2 space-y-1 scroll-smooth">
-          <p className="text-[9px] font-black text-gray-600 px-3 uppercase tracking-[0.2em] mb-3 mt-2">
-            Files ({filteredAssets.length})
-          </p>
+          <div className="flex items-center justify-between px-3 mb-3 mt-2">
+            <p className="text-[9px] font-black text-gray-600 uppercase tracking-[0.2em]">
+              Files ({filteredAssets.length}){manifest && ` · ${missingCount} missing`}
+            </p>
+            <label className="flex items-center gap-1 text-[9px] font-bold text-gray-500 uppercase cursor-pointer">
+              <input type="checkbox" checked={missingOnly} onChange={e => setMissingOnly(e.target.checked)} />
+              Missing only
+            </label>
+          </div>
           {filteredAssets.map((img) => (
             <button
               key={img.path}
@@ -182,8 +502,18 @@ function App() {
               className={`w-full text-left px-3 py-2 rounded-lg text-[11px] transition-all group overflow-hidden ${imageSrc === img.path ? 'bg-blue-600 text-white shadow-lg' : 'text-gray-500 hover:bg-gray-800/80 hover:text-gray-300'}`}
               title={img.name}
             >
-              <div className="truncate font-bold">{img.name.split('/').pop()}</div>
-              <div className="text-[8px] opacity-40 italic truncate mt-0.5 group-hover:opacity-70">{img.name.split('/').slice(0, -1).join('/')}</div>
+              <div className="flex items-center gap-2">
+                <span
+                  className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${hasMask(img.path) ? 'bg-emerald-400' : 'bg-gray-700'}`}
+                  title={hasMask(img.path) ? 'Has a collision mask' : 'No collision mask yet'}
+                />
+                <div className="truncate font-bold">{img.name.split('/').pop()}</div>
+              </div>
+              <div className="text-[8px] opacity-40 italic truncate mt-0.5 group-hover:opacity-70">
+                {img.name.split('/').slice(0, -1).join('/')}
+                {img.width && ` · ${img.width}×${img.height}`}
+                {img.frameCount && img.frameCount > 1 && ` · ${img.frameCount} frames`}
+              </div>
             </button>
           ))}
           {filteredAssets.length === 0 && (
@@ -192,6 +522,14 @@ function App() {
         </div>
 
         <div className="p-4 border-t border-gray-800 bg-black/20 space-y-3">
+          <button
+            onClick={saveMask}
+            disabled={!manifest || !currentSprite || currentSaved || saving}
+            title={imageSrc && !currentSprite ? 'Uploaded images have no sprite path to save under' : undefined}
+            className="w-full px-4 py-3 bg-emerald-500 text-black hover:bg-emerald-400 disabled:opacity-20 rounded-xl text-xs font-black transition-all shadow-xl active:scale-95 uppercase tracking-widest"
+          >
+            {saving ? 'Saving...' : currentSaved ? 'Saved' : 'Save Mask'}
+          </button>
           <button
             onClick={copyToClipboard}
             disabled={!imageSrc}
@@ -200,7 +538,7 @@ function App() {
             Copy JSON
           </button>
           <button
-            onClick={() => imgDims && resetView(imgDims.w, imgDims.h)}
+            onClick={() => view && resetView(view.w, view.h)}
             className="w-full px-4 py-2 bg-gray-800 hover:bg-gray-700 text-gray-400 rounded-lg text-[9px] font-bold uppercase transition-colors"
           >
             Recenter
@@ -218,12 +556,12 @@ function App() {
         onMouseLeave={handleMouseUp}
         onWheel={handleWheel}
       >
-        {imageSrc && imgDims ? (
+        {imageSrc && imgDims && view ? (
           <div
             style={{
               position: 'relative',
-              width: imgDims.w,
-              height: imgDims.h,
+              width: view.w,
+              height: view.h,
               transform: `translate(${pan.x}px, ${pan.y}px) scale(${scale})`,
               transition: isPanning ? 'none' : 'transform 0.1s ease-out',
               transformOrigin: 'center center',
@@ -232,66 +570,62 @@ function App() {
           >
             <svg
               ref={svgRef}
-              viewBox={`0 0 ${imgDims.w} ${imgDims.h}`}
+              viewBox={`0 0 ${view.w} ${view.h}`}
               style={{ width: '100%', height: '100%', overflow: 'visible' }}
               className="shadow-[0_0_80px_rgba(0,0,0,0.9)] bg-black/40"
             >
-              <image
-                href={imageSrc}
-                width={imgDims.w}
-                height={imgDims.h}
-                style={{ imageRendering: 'pixelated' }}
-              />
+              <defs>
+                <clipPath id="frame-clip">
+                  <rect width={view.w} height={view.h} />
+                </clipPath>
+                <pattern id="pixel-grid" width={1} height={1} patternUnits="userSpaceOnUse">
+                  <path d="M 1 0 L 0 0 0 1" fill="none" stroke="rgba(255, 255, 255, 0.08)" strokeWidth={1 / scale} />
+                </pattern>
+              </defs>
 
-              <polygon
-                points={points.map(p => `${p.x},${p.y}`).join(' ')}
-                fill="rgba(59, 130, 246, 0.2)"
-                stroke="#3b82f6"
-                strokeWidth={1 / scale}
-                className="pointer-events-none"
-              />
+              {/* The whole sheet, shifted so the current frame sits at 0,0 */}
+              <g clipPath="url(#frame-clip)">
+                <image
+                  href={imageSrc}
+                  x={-view.x}
+                  y={-view.y}
+                  width={imgDims.w}
+                  height={imgDims.h}
+                  style={{ imageRendering: 'pixelated' }}
+                />
+              </g>
+              {snap && scale >= 8 && <rect width={view.w} height={view.h} fill="url(#pixel-grid)" className="pointer-events-none" />}
+
+              {inherited.map((shape, i) => renderShape(shape, i, true))}
+              {shapes.map((shape, i) => renderShape(shape, i, false))}
 
-              {/* Visual Lines and Splitters */}
-              {points.map((p, i) => {
-                const nextP = points[(i + 1) % points.length];
+              {/* Polygon edges: click to split */}
+              {selected !== null && selectedShape?.type === 'polygon' && selectedShape.points.map((p, i) => {
+                const nextP = selectedShape.points[(i + 1) % selectedShape.points.length];
                 return (
-                  <React.Fragment key={`l-${i}`}>
-                    <line
-                      x1={p.x} y1={p.y} x2={nextP.x} y2={nextP.y}
-                      stroke="transparent"
-                      strokeWidth={12 / scale}
-                      className="cursor-crosshair pointer-events-auto hover:stroke-white/10"
-                      onMouseDown={(e) => handleLineClick(i, e)}
-                    />
-                    <line
-                      x1={p.x} y1={p.y} x2={nextP.x} y2={nextP.y}
-                      stroke="#3b82f6"
-                      strokeWidth={1.2 / scale}
-                      className="pointer-events-none"
-                    />
-                  </React.Fragment>
+                  <line
+                    key={`l-${i}`}
+                    x1={p.x} y1={p.y} x2={nextP.x} y2={nextP.y}
+                    stroke="transparent"
+                    strokeWidth={12 / scale}
+                    className="cursor-crosshair pointer-events-auto hover:stroke-white/10"
+                    onMouseDown={(e) => handleLineClick(i, e)}
+                  />
                 )
               })}
 
               {/* Nodes */}
-              {points.map((p, i) => (
-                <g
-                  key={`p-${i}`}
-                  onMouseDown={(e) => handlePointMouseDown(i, e)}
-                  className="cursor-move pointer-events-auto"
-                >
-                  <circle cx={p.x} cy={p.y} r={10 / scale} fill="transparent" />
-                  <circle
-                    cx={p.x} cy={p.y}
-                    r={4 / scale}
-                    fill={draggedPointIndex === i ? '#f59e0b' : 'rgba(255, 255, 255, 0.6)'}
-                    stroke={draggedPointIndex === i ? '#f59e0b' : 'white'}
-                    strokeWidth={1 / scale}
-                  />
-                  {/* Precision dot */}
-                  <circle cx={p.x} cy={p.y} r={0.5 / scale} fill="black" />
-                </g>
-              ))}
+              {selectedShape?.type === 'polygon' && selectedShape.points.map((p, i) =>
+                renderHandle(`p-${i}`, p, { kind: 'point', index: i }, isDragging('point', h => h.kind === 'point' && h.index === i), e => handlePointMouseDown(i, e))
+              )}
+              {selectedShape?.type === 'circle' && [
+                renderHandle('center', selectedShape, { kind: 'center' }, isDragging('center')),
+                renderHandle('radius', { x: selectedShape.x + selectedShape.r, y: selectedShape.y }, { kind: 'radius' }, isDragging('radius')),
+              ]}
+              {selectedShape?.type === 'rect' && [
+                renderHandle('tl', selectedShape, { kind: 'corner', corner: 'tl' }, isDragging('corner', h => h.kind === 'corner' && h.corner === 'tl')),
+                renderHandle('br', { x: selectedShape.x + selectedShape.w, y: selectedShape.y + selectedShape.h }, { kind: 'corner', corner: 'br' }, isDragging('corner', h => h.kind === 'corner' && h.corner === 'br')),
+              ]}
             </svg>
           </div>
         ) : (
@@ -320,6 +654,164 @@ function App() {
           </div>
         )}
       </div>
+
+      {/* Shapes panel */}
+      {mask && imgDims && (
+        <div className="w-72 min-w-[288px] max-w-[288px] flex-shrink-0 bg-gray-900 border-l border-gray-800 flex flex-col z-20 shadow-2xl h-full overflow-y-auto">
+          <div className="p-4 border-b border-gray-800 space-y-3">
+            <div className="flex gap-2">
+              <button
+                onClick={undo}
+                disabled={!history.canUndo}
+                title="Undo (Ctrl+Z)"
+                className="flex-1 px-3 py-2 bg-gray-800 hover:bg-gray-700 disabled:opacity-20 rounded-lg text-[9px] font-bold uppercase"
+              >
+                Undo
+              </button>
+              <button
+                onClick={redo}
+                disabled={!history.canRedo}
+                title="Redo (Ctrl+Shift+Z)"
+                className="flex-1 px-3 py-2 bg-gray-800 hover:bg-gray-700 disabled:opacity-20 rounded-lg text-[9px] font-bold uppercase"
+              >
+                Redo
+              </button>
+            </div>
+            <label className="flex items-center gap-2 text-[9px] font-bold text-gray-500 uppercase cursor-pointer">
+              <input type="checkbox" checked={snap} onChange={e => setSnap(e.target.checked)} />
+              Snap to pixels
+            </label>
+          </div>
+
+          <div className="p-4 border-b border-gray-800 space-y-3">
+            <p className="text-[9px] font-black text-gray-600 uppercase tracking-[0.2em]">Frames</p>
+            <div className="flex items-center gap-2 text-[10px] font-mono">
+              <input
+                type="number"
+                min={1}
+                max={imgDims.w}
+                value={mask.frameWidth}
+                onChange={e => setFrameGrid(Number(e.target.value), mask.frameHeight)}
+                className="w-16 bg-black/40 border border-white/10 rounded px-2 py-1"
+              />
+              ×
+              <input
+                type="number"
+                min={1}
+                max={imgDims.h}
+                value={mask.frameHeight}
+                onChange={e => setFrameGrid(mask.frameWidth, Number(e.target.value))}
+                className="w-16 bg-black/40 border border-white/10 rounded px-2 py-1"
+              />
+              <span className="text-gray-500">px</span>
+            </div>
+            {frames > 1 && (
+              <select
+                value={frame ?? ''}
+                onChange={e => selectFrame(e.target.value === '' ? null : Number(e.target.value))}
+                className="w-full bg-black/40 border border-white/10 rounded px-2 py-1 text-[11px]"
+              >
+                <option value="">All frames</option>
+                {Array.from({ length: frames }, (_, i) => i + 1).map(n => (
+                  <option key={n} value={n}>Frame {n}{mask.frames[n]?.length ? ' (own shapes)' : ''}</option>
+                ))}
+              </select>
+            )}
+            {frame !== null && (
+              <p className="text-[10px] text-gray-500">
+                {frameShapes?.length ? 'This frame overrides the shared shapes.' : 'Uses the shared shapes until you add one here.'}
+              </p>
+            )}
+            {frame !== null && !frameShapes?.length && mask.shapes.length > 0 && (
+              <button
+                onClick={() => setShapes(mask.shapes.map(s => ({ ...s })))}
+                className="w-full px-3 py-2 bg-gray-800 hover:bg-gray-700 rounded-lg text-[9px] font-bold uppercase"
+              >
+                Copy shared shapes here
+              </button>
+            )}
+          </div>
+
+          <div className="p-4 space-y-3">
+            <p className="text-[9px] font-black text-gray-600 uppercase tracking-[0.2em]">Shapes</p>
+            <div className="flex gap-2">
+              {(['polygon', 'circle', 'rect'] as const).map(type => (
+                <button
+                  key={type}
+                  onClick={() => addShape(type)}
+                  className="flex-1 px-2 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg text-[9px] font-black uppercase"
+                >
+                  + {type}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={autoTrace}
+                disabled={!pixels}
+                title="Outline the opaque pixels of this frame. Replaces the selected polygon, if any."
+                className="flex-1 px-2 py-2 bg-emerald-600 hover:bg-emerald-500 disabled:opacity-20 text-white rounded-lg text-[9px] font-black uppercase"
+              >
+                Auto trace
+              </button>
+              <label className="flex items-center gap-1 text-[9px] font-bold text-gray-500 uppercase" title="Simplify to within this many pixels">
+                Tolerance
+                <input
+                  type="number"
+                  min={0}
+                  step={0.5}
+                  value={tolerance}
+                  onChange={e => setTolerance(Math.max(0, Number(e.target.value)))}
+                  className="w-12 bg-black/40 border border-white/10 rounded px-1 py-1 text-[10px] font-mono"
+                />
+              </label>
+            </div>
+            <datalist id="shape-names">
+              {SHAPE_NAMES.map(name => <option key={name} value={name} />)}
+            </datalist>
+            {shapes.map((shape, i) => (
+              <div
+                key={i}
+                onClick={() => setSelected(i)}
+                className={`p-2 rounded-lg border space-y-2 cursor-pointer ${i === selected ? 'border-blue-500 bg-blue-500/10' : 'border-white/5 hover:bg-gray-800/80'}`}
+              >
+                <div className="flex items-center gap-2">
+                  <span className="w-2 h-2 rounded-full flex-shrink-0" style={{ background: BLOCKS_COLORS[shape.blocks || 'all'] }} />
+                  <input
+                    list="shape-names"
+                    value={shape.name || ''}
+                    placeholder={shape.type}
+                    onChange={e => updateShape(i, { ...shape, name: e.target.value || undefined })}
+                    className="flex-1 min-w-0 bg-black/40 border border-white/10 rounded px-2 py-1 text-[11px] font-mono"
+                  />
+                  <button
+                    onClick={e => { e.stopPropagation(); removeShape(i); }}
+                    title="Delete shape"
+                    className="px-2 py-1 text-gray-500 hover:text-red-400 text-xs font-bold"
+                  >
+                    ×
+                  </button>
+                </div>
+                <div className="flex items-center gap-2 text-[10px] text-gray-500">
+                  <span className="uppercase font-bold w-14">{shape.type}</span>
+                  <select
+                    value={shape.blocks || 'all'}
+                    onChange={e => updateShape(i, { ...shape, blocks: e.target.value === 'all' ? undefined : e.target.value as MaskBlocks })}
+                    className="flex-1 bg-black/40 border border-white/10 rounded px-2 py-1"
+                  >
+                    <option value="all">Blocks everything</option>
+                    <option value="projectiles">Blocks shots only</option>
+                    <option value="none">No collision</option>
+                  </select>
+                </div>
+              </div>
+            ))}
+            {shapes.length === 0 && (
+              <div className="text-[10px] text-center py-6 text-gray-700 font-bold uppercase tracking-widest italic">No shapes</div>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,125 @@
+// Collision masks manifest shared with the game server (server/collision-masks.json).
+// Keys are sprite paths from the repo root, e.g. "assets/img/Oak_Tree.png".
+
+export interface Point {
+  x: number;
+  y: number;
+}
+
+// What a shape stops on the server. 'none' shapes (triggers, hurtboxes) are kept for gameplay code but never collide.
+export type MaskBlocks = 'all' | 'projectiles' | 'none';
+
+interface ShapeInfo {
+  name?: string; // e.g. "solid", "trunk", "canopy", "hurtbox"
+  blocks?: MaskBlocks;
+}
+
+export type PolygonShape = ShapeInfo & { type: 'polygon'; points: Point[] };
+export type CircleShape = ShapeInfo & { type: 'circle'; x: number; y: number; r: number };
+export type RectShape = ShapeInfo & { type: 'rect'; x: number; y: number; w: number; h: number };
+export type Shape = PolygonShape | CircleShape | RectShape;
+
+// As written in the manifest; a bare point array is an unnamed polygon
+export type MaskShape = Point[] | Shape;
+
+export interface SpriteMask {
+  frameWidth?: number; // Sprite sheets: size of one frame
+  frameHeight?: number;
+  shapes?: MaskShape[];
+  frames?: { [frame: string]: MaskShape[] }; // Keyed by 1-based frame number, row by row
+}
+
+export interface MasksManifest {
+  version: number;
+  masks: { [spritePath: string]: SpriteMask | Point[] };
+}
+
+// What the editor works on: every shape in object form
+export interface EditorMask {
+  frameWidth: number;
+  frameHeight: number;
+  shapes: Shape[];
+  frames: { [frame: string]: Shape[] };
+}
+
+export const MASKS_VERSION = 1;
+export const MASKS_ENDPOINT = '/api/masks';
+export const SHAPE_NAMES = ['solid', 'trunk', 'canopy', 'trigger', 'hurtbox'];
+
+// Served images live under /project-assets, a link to the repo's assets/
+export function spritePathFor(imagePath: string): string | null {
+  const prefix = '/project-assets/';
+  return imagePath.startsWith(prefix) ? `assets/${imagePath.slice(prefix.length)}` : null;
+}
+
+function toShape(shape: MaskShape): Shape {
+  return Array.isArray(shape) ? { type: 'polygon', points: shape } : shape;
+}
+
+export function emptyMask(w: number, h: number): EditorMask {
+  return { frameWidth: w, frameHeight: h, shapes: [], frames: {} };
+}
+
+// A sprite's saved mask, or null if it has none yet
+export function getMask(manifest: MasksManifest, spritePath: string, w: number, h: number): EditorMask | null {
+  const entry = manifest.masks[spritePath];
+  if (!entry) return null;
+  const mask = Array.isArray(entry) ? { shapes: [entry] } : entry;
+  const frames: { [frame: string]: Shape[] } = {};
+  for (const frame in mask.frames || {}) {
+    frames[frame] = mask.frames![frame].map(toShape);
+  }
+  return {
+    frameWidth: mask.frameWidth || w,
+    frameHeight: mask.frameHeight || h,
+    shapes: (mask.shapes || []).map(toShape),
+    frames,
+  };
+}
+
+// Manifest entry for a mask; the frame grid is only written for sprite sheets
+export function toSpriteMask(mask: EditorMask, w: number, h: number): SpriteMask {
+  const entry: SpriteMask = {};
+  if (mask.frameWidth !== w || mask.frameHeight !== h) {
+    entry.frameWidth = mask.frameWidth;
+    entry.frameHeight = mask.frameHeight;
+  }
+  entry.shapes = mask.shapes;
+  const frames = Object.keys(mask.frames).filter(frame => mask.frames[frame].length > 0);
+  if (frames.length > 0) {
+    entry.frames = {};
+    for (const frame of frames) entry.frames[frame] = mask.frames[frame];
+  }
+  return entry;
+}
+
+// Top-left corner of a 1-based frame in a sheet
+export function frameOrigin(mask: EditorMask, frame: number, imageWidth: number): Point {
+  const columns = Math.max(1, Math.floor(imageWidth / mask.frameWidth));
+  return {
+    x: ((frame - 1) % columns) * mask.frameWidth,
+    y: Math.floor((frame - 1) / columns) * mask.frameHeight,
+  };
+}
+
+export function frameCount(mask: EditorMask, w: number, h: number): number {
+  return Math.max(1, Math.floor(w / mask.frameWidth)) * Math.max(1, Math.floor(h / mask.frameHeight));
+}
+
+export async function loadManifest(): Promise<MasksManifest> {
+  const res = await fetch(MASKS_ENDPOINT);
+  if (!res.ok) throw new Error(`Loading masks failed: ${res.status}`);
+  return res.json();
+}
+
+// Saves one sprite's mask. The dev server merges it into the manifest on disk,
+// so masks traced since the editor loaded survive; returns the merged manifest.
+export async function saveSpriteMask(spritePath: string, mask: SpriteMask): Promise<MasksManifest> {
+  const res = await fetch(`${MASKS_ENDPOINT}/${spritePath.split('/').map(encodeURIComponent).join('/')}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(mask),
+  });
+  if (!res.ok) throw new Error(`Saving masks failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
@@ -0,0 +1,20 @@
+import type { Point } from './masks';
+
+export const DEFAULT_TOLERANCE: number;
+export const DEFAULT_THRESHOLD: number;
+
+export interface TraceOptions {
+  x?: number; // Region to trace; the whole image by default
+  y?: number;
+  w?: number;
+  h?: number;
+  threshold?: number;
+  tolerance?: number;
+}
+
+export function traceOutline(
+  image: { width: number; height: number; data: ArrayLike<number> },
+  options?: TraceOptions,
+): Point[] | null;
+
+export function simplifyPolygon(points: Point[], tolerance: number): Point[];
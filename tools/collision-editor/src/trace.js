@@ -0,0 +1,166 @@
+// Outline tracing from sprite alpha. Plain JS so both the editor and
+// scripts/trace-masks.js (run by Node) can use it; types are in trace.d.ts.
+
+export const DEFAULT_TOLERANCE = 1;
+export const DEFAULT_THRESHOLD = 128; // Alpha at or above this counts as solid
+
+// Corner steps for headings east, south, west, north (y points down)
+const STEPS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+/**
+ * Outline of the largest opaque blob in a region of an RGBA image, simplified
+ * to a polygon. Points are pixel corners relative to the region.
+ * @param {{ width: number, height: number, data: ArrayLike<number> }} image
+ * @param {{ x?: number, y?: number, w?: number, h?: number, threshold?: number, tolerance?: number }} [options]
+ * @returns {{ x: number, y: number }[] | null} null when nothing is opaque
+ */
+export function traceOutline(image, options = {}) {
+  const ox = options.x ?? 0;
+  const oy = options.y ?? 0;
+  const w = Math.min(options.w ?? image.width, image.width - ox);
+  const h = Math.min(options.h ?? image.height, image.height - oy);
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  if (w <= 0 || h <= 0) return null;
+
+  const solid = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      solid[y * w + x] = image.data[((oy + y) * image.width + ox + x) * 4 + 3] >= threshold ? 1 : 0;
+    }
+  }
+
+  const blob = largestBlob(solid, w, h);
+  if (!blob) return null;
+  const inside = (x, y) => x >= 0 && y >= 0 && x < w && y < h && blob.labels[y * w + x] === blob.label;
+
+  const outline = followEdge(inside, blob.start % w, Math.floor(blob.start / w));
+  const points = simplifyPolygon(outline, options.tolerance ?? DEFAULT_TOLERANCE);
+  return points.length >= 3 ? points : null;
+}
+
+// Label 8-connected blobs and keep the biggest one; `start` is its top-left-most pixel
+function largestBlob(solid, w, h) {
+  const labels = new Int32Array(w * h);
+  const stack = [];
+  let best = null;
+  let label = 0;
+
+  for (let i = 0; i < solid.length; i++) {
+    if (!solid[i] || labels[i]) continue;
+    label++;
+    let size = 0;
+    labels[i] = label;
+    stack.push(i);
+    while (stack.length > 0) {
+      const p = stack.pop();
+      size++;
+      const px = p % w;
+      const py = (p - px) / w;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = px + dx;
+          const ny = py + dy;
+          if (nx < 0 || ny < 0 || nx >= w || ny >= h) continue;
+          const n = ny * w + nx;
+          if (solid[n] && !labels[n]) {
+            labels[n] = label;
+            stack.push(n);
+          }
+        }
+      }
+    }
+    // Scanning in row order, i is the blob's first pixel
+    if (!best || size > best.size) best = { label, size, start: i };
+  }
+
+  return best && { labels, label: best.label, start: best.start };
+}
+
+// Walk the blob's outer boundary along pixel edges, clockwise with the blob on
+// the right, starting at the top-left corner of its first pixel. Nothing else
+// of the blob touches that corner, so the walk passes it only once. Returns
+// the corners where the walk turns.
+function followEdge(inside, sx, sy) {
+  const points = [];
+  let x = sx;
+  let y = sy;
+  let heading = 0; // East along the top edge
+
+  do {
+    // The two pixels ahead of this corner, to the left and right of the heading
+    const [aheadLeft, aheadRight] = aheadPixels(x, y, heading);
+    let next;
+    if (inside(aheadLeft[0], aheadLeft[1])) next = (heading + 3) % 4; // Turn left
+    else if (inside(aheadRight[0], aheadRight[1])) next = heading; // Straight on
+    else next = (heading + 1) % 4; // Turn right
+
+    if (next !== heading || points.length === 0) points.push({ x, y });
+    heading = next;
+    x += STEPS[heading][0];
+    y += STEPS[heading][1];
+  } while (x !== sx || y !== sy);
+
+  return points;
+}
+
+function aheadPixels(x, y, heading) {
+  switch (heading) {
+    case 0: return [[x, y - 1], [x, y]];
+    case 1: return [[x, y], [x - 1, y]];
+    case 2: return [[x - 1, y], [x - 1, y - 1]];
+    default: return [[x - 1, y - 1], [x, y - 1]];
+  }
+}
+
+/**
+ * Ramer-Douglas-Peucker on a closed polygon: drop points that are within
+ * `tolerance` pixels of the simplified outline.
+ * @param {{ x: number, y: number }[]} points
+ * @param {number} tolerance
+ * @returns {{ x: number, y: number }[]}
+ */
+export function simplifyPolygon(points, tolerance) {
+  if (points.length <= 3 || tolerance <= 0) return points;
+
+  // Split the ring at the point farthest from the first one
+  let far = 0;
+  let farDist = -1;
+  for (let i = 1; i < points.length; i++) {
+    const d = (points[i].x - points[0].x) ** 2 + (points[i].y - points[0].y) ** 2;
+    if (d > farDist) {
+      far = i;
+      farDist = d;
+    }
+  }
+
+  const first = simplifyChain(points.slice(0, far + 1), tolerance);
+  const second = simplifyChain([...points.slice(far), points[0]], tolerance);
+  return [...first.slice(0, -1), ...second.slice(0, -1)];
+}
+
+function simplifyChain(points, tolerance) {
+  if (points.length <= 2) return points;
+  const a = points[0];
+  const b = points[points.length - 1];
+  let index = 0;
+  let maxDist = 0;
+  for (let i = 1; i < points.length - 1; i++) {
+    const d = distanceToSegment(points[i], a, b);
+    if (d > maxDist) {
+      index = i;
+      maxDist = d;
+    }
+  }
+  if (maxDist <= tolerance) return [a, b];
+  const left = simplifyChain(points.slice(0, index + 1), tolerance);
+  const right = simplifyChain(points.slice(index), tolerance);
+  return [...left.slice(0, -1), ...right];
+}
+
+function distanceToSegment(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq)) : 0;
+  return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
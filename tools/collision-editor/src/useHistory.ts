@@ -0,0 +1,56 @@
+import { useCallback, useState } from 'react';
+
+interface History<T> {
+  past: T[];
+  present: T;
+  future: T[];
+}
+
+const MAX_STEPS = 100;
+
+// Undo/redo over immutable snapshots. A drag updates live with `replace`
+// and becomes a single step with `record` when it ends.
+export function useHistory<T>(initial: T) {
+  const [history, setHistory] = useState<History<T>>({ past: [], present: initial, future: [] });
+
+  const push = useCallback((value: T) => setHistory(h => ({
+    past: [...h.past, h.present].slice(-MAX_STEPS),
+    present: value,
+    future: [],
+  })), []);
+
+  const replace = useCallback((value: T) => setHistory(h => ({ ...h, present: value })), []);
+
+  // Make `before` the undo step for whatever changed since it
+  const record = useCallback((before: T) => setHistory(h => h.present === before ? h : {
+    past: [...h.past, before].slice(-MAX_STEPS),
+    present: h.present,
+    future: [],
+  }), []);
+
+  const undo = useCallback(() => setHistory(h => h.past.length === 0 ? h : {
+    past: h.past.slice(0, -1),
+    present: h.past[h.past.length - 1],
+    future: [h.present, ...h.future],
+  }), []);
+
+  const redo = useCallback(() => setHistory(h => h.future.length === 0 ? h : {
+    past: [...h.past, h.present],
+    present: h.future[0],
+    future: h.future.slice(1),
+  }), []);
+
+  const reset = useCallback((value: T) => setHistory({ past: [], present: value, future: [] }), []);
+
+  return {
+    present: history.present,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    push,
+    replace,
+    record,
+    undo,
+    redo,
+    reset,
+  };
+}
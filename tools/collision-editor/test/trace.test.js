@@ -0,0 +1,85 @@
+// Outline tracing and polygon simplification (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { traceOutline, simplifyPolygon } from '../src/trace.js';
+
+// RGBA image from rows of '#' (opaque), '+' (alpha 100) and '.' (clear)
+function image(rows) {
+  const height = rows.length;
+  const width = rows[0].length;
+  const data = new Uint8ClampedArray(width * height * 4);
+  rows.forEach((row, y) => {
+    for (let x = 0; x < width; x++) {
+      data[(y * width + x) * 4 + 3] = row[x] === '#' ? 255 : row[x] === '+' ? 100 : 0;
+    }
+  });
+  return { width, height, data };
+}
+
+test('a rectangle traces to its four corners, clockwise from the top left', () => {
+  const img = image([
+    '........',
+    '..####..',
+    '..####..',
+    '..####..',
+    '........',
+  ]);
+  assert.deepEqual(traceOutline(img), [
+    { x: 2, y: 1 }, { x: 6, y: 1 }, { x: 6, y: 4 }, { x: 2, y: 4 },
+  ]);
+});
+
+test('concave shapes keep every corner at zero tolerance', () => {
+  const img = image([
+    '##..',
+    '##..',
+    '####',
+    '####',
+  ]);
+  assert.deepEqual(traceOutline(img, { tolerance: 0 }), [
+    { x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 4, y: 2 }, { x: 4, y: 4 }, { x: 0, y: 4 },
+  ]);
+});
+
+test('points are relative to the region, and only the largest blob is traced', () => {
+  const img = image([
+    '#.......',
+    '....###.',
+    '....###.',
+    '........',
+  ]);
+  assert.deepEqual(traceOutline(img, { x: 3, y: 1, w: 5, h: 3 }), [
+    { x: 1, y: 0 }, { x: 4, y: 0 }, { x: 4, y: 2 }, { x: 1, y: 2 },
+  ]);
+});
+
+test('the alpha threshold decides what is solid', () => {
+  const img = image([
+    '++',
+    '++',
+  ]);
+  assert.equal(traceOutline(img), null);
+  assert.deepEqual(traceOutline(img, { threshold: 50 }), [
+    { x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 },
+  ]);
+});
+
+test('nothing opaque, or an empty region, gives null', () => {
+  assert.equal(traceOutline(image(['...', '...'])), null);
+  assert.equal(traceOutline(image(['##', '##']), { x: 2 }), null);
+});
+
+test('simplifyPolygon drops points within tolerance of the outline', () => {
+  const ring = [
+    { x: 0, y: 0 }, { x: 5, y: 0.5 }, { x: 10, y: 0 }, { x: 10, y: 5 }, { x: 10, y: 10 }, { x: 0, y: 10 },
+  ];
+  assert.deepEqual(simplifyPolygon(ring, 1), [
+    { x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 },
+  ]);
+  assert.deepEqual(simplifyPolygon(ring, 0.25), [
+    { x: 0, y: 0 }, { x: 5, y: 0.5 }, { x: 10, y: 0 }, { x: 10, y: 10 }, { x: 0, y: 10 },
+  ]);
+  assert.equal(simplifyPolygon(ring, 0), ring);
+  assert.equal(simplifyPolygon(ring.slice(0, 3), 1).length, 3);
+});
@@ -1,7 +1,65 @@
-import { defineConfig } from 'vite'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { defineConfig, type Plugin } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The manifest the game server loads its collision masks from
+const masksFile = process.env.COLLISION_MASKS_PATH
+  ?? fileURLToPath(new URL('../../server/collision-masks.json', import.meta.url))
+
+function readMasks(): { version: number; masks: { [spritePath: string]: unknown } } {
+  return fs.existsSync(masksFile) ? JSON.parse(fs.readFileSync(masksFile, 'utf8')) : { version: 1, masks: {} }
+}
+
+// GET /api/masks reads the masks manifest while the dev server runs.
+// PUT /api/masks/<sprite path> saves one sprite's mask into the file as it is
+// on disk now, so masks written meanwhile (trace-masks) are kept, and answers
+// with the merged manifest.
+function masksEndpoint(): Plugin {
+  return {
+    name: 'collision-masks-endpoint',
+    configureServer(server) {
+      server.middlewares.use('/api/masks', (req, res) => {
+        const spritePath = decodeURIComponent((req.url || '/').split('?')[0].slice(1))
+        if (req.method === 'GET' && !spritePath) {
+          res.setHeader('Content-Type', 'application/json')
+          res.end(JSON.stringify(readMasks()))
+          return
+        }
+
+        if (req.method !== 'PUT' || !spritePath) {
+          res.statusCode = 405
+          res.end()
+          return
+        }
+
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+          try {
+            const mask = JSON.parse(body)
+            if (typeof mask !== 'object' || mask === null) throw new Error('Expected a sprite mask')
+            const manifest = readMasks()
+            manifest.masks[spritePath] = mask
+            // Write then rename so a crash never leaves half a manifest
+            const tmp = `${masksFile}.tmp`
+            fs.mkdirSync(path.dirname(masksFile), { recursive: true })
+            fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n')
+            fs.renameSync(tmp, masksFile)
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify(manifest))
+          } catch (err) {
+            res.statusCode = 400
+            res.end((err as Error).message)
+          }
+        })
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), masksEndpoint()],
 })